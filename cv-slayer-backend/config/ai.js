@@ -0,0 +1,47 @@
+// AI provider configuration
+// AI_PROVIDER selects the backend used by geminiService:
+//   gemini            - Google Gemini (requires GEMINI_API_KEY)
+//   openai-compatible - any OpenAI-compatible /chat/completions endpoint (Ollama, LM Studio, vLLM...)
+//   offline           - built-in deterministic analyzer, no network access
+// When AI_PROVIDER is not set, Gemini is used if a key is present, otherwise offline.
+
+const SUPPORTED_PROVIDERS = ['gemini', 'openai-compatible', 'offline'];
+
+const resolveProviderName = () => {
+  const configured = (process.env.AI_PROVIDER || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!SUPPORTED_PROVIDERS.includes(configured)) {
+      throw new Error(`Unsupported AI_PROVIDER "${configured}". Use one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+    return configured;
+  }
+
+  return process.env.GEMINI_API_KEY ? 'gemini' : 'offline';
+};
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getAIConfig = () => ({
+  provider: resolveProviderName(),
+  requestTimeout: parseNumber(process.env.AI_REQUEST_TIMEOUT_MS, 30000),
+  // Contact details are replaced by placeholders before a prompt is sent
+  redactPii: process.env.AI_REDACT_PII !== 'false',
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY || '',
+    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+  },
+  openaiCompatible: {
+    baseURL: (process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_COMPAT_API_KEY || '',
+    model: process.env.OPENAI_COMPAT_MODEL || 'llama3.1'
+  }
+});
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  getAIConfig
+};
@@ -0,0 +1,29 @@
+// Resume scoring configuration
+// The AI scores each section 0-100; the overall score is always the
+// weighted average below, computed on the server. Weights must sum to 1.
+
+const SECTION_WEIGHTS = {
+  contact: 0.10,
+  summary: 0.10,
+  experience: 0.30,
+  education: 0.15,
+  skills: 0.20,
+  formatting: 0.15
+};
+
+const SECTION_KEYS = Object.keys(SECTION_WEIGHTS);
+
+const computeOverallScore = (sectionScores) => {
+  const total = SECTION_KEYS.reduce((sum, key) => {
+    const score = Number(sectionScores?.[key]?.score) || 0;
+    return sum + score * SECTION_WEIGHTS[key];
+  }, 0);
+
+  return Math.max(0, Math.min(100, Math.round(total)));
+};
+
+module.exports = {
+  SECTION_WEIGHTS,
+  SECTION_KEYS,
+  computeOverallScore
+};
@@ -0,0 +1,60 @@
+// Terms of Service & Privacy Policy
+// The frontend shows the current version and sends its version back with
+// each upload; the analyze route rejects any other version, and the accepted
+// version is recorded with the submission. Any change to the text needs a
+// new version appended here. Older versions stay listed, because stored
+// resumes refer to them.
+// What the AI section promises depends on AI_REDACT_PII, so each version
+// comes in two variants with their own version ids. The current terms are
+// the latest variant matching the setting: switching it changes the version
+// and users consent again to what actually happens to their text.
+
+const { getAIConfig } = require('./ai');
+
+const sections = ({ redactPii }) => [
+  {
+    heading: '🔐 Privacy & Data',
+    body: 'Your uploaded file is never stored. Unless you opt in to storage, nothing is kept once your analysis has been delivered.'
+  },
+  {
+    heading: '🗄️ Optional Storage',
+    body: 'If you opt in, the extracted text, your contact details and the analysis are stored encrypted. They are used for aggregate statistics and are purged on our retention schedule. You get a deletion key to download or delete them at any time.'
+  },
+  {
+    heading: '🤖 AI Analysis',
+    body: redactPii
+      ? 'We use AI to analyze your resume and provide feedback. Your contact details are replaced with placeholders before the text is sent to the AI provider.'
+      : 'We use AI to analyze your resume and provide feedback. The text is sent to the AI provider as it is, including your contact details.'
+  },
+  {
+    heading: '📞 Contact',
+    body: 'Questions or erasure requests? Email: outlercodie.com@gmail.com'
+  }
+];
+
+const TERMS_VERSIONS = [
+  {
+    version: '2026-10-19',
+    effectiveDate: '2026-10-19',
+    title: 'Terms of Service & Privacy Policy',
+    redactPii: true,
+    sections: sections({ redactPii: true })
+  },
+  {
+    version: '2026-10-19-unredacted',
+    effectiveDate: '2026-10-19',
+    title: 'Terms of Service & Privacy Policy',
+    redactPii: false,
+    sections: sections({ redactPii: false })
+  }
+];
+
+const CURRENT_TERMS = TERMS_VERSIONS.filter(terms => terms.redactPii === getAIConfig().redactPii).pop();
+
+const getTerms = (version) => TERMS_VERSIONS.find(terms => terms.version === version) || null;
+
+module.exports = {
+  TERMS_VERSIONS,
+  CURRENT_TERMS,
+  getTerms
+};
@@ -0,0 +1,32 @@
+// Roast tone configuration
+// The tone and opening line for each roastLevel and language, shared by the
+// AI prompt and the offline provider so both answer in the same voice.
+
+const ROAST_TONES = {
+  pyar: {
+    english: { tone: 'gentle and encouraging', greeting: 'Let me take a loving look at your resume...' },
+    hindi: { tone: 'प्यार से और प्रेरणादायक', greeting: 'आपका resume देखते हैं प्यार से...' },
+    hinglish: { tone: 'pyaar se aur motivating', greeting: 'Chaliye dekhtein hain aapka resume pyaar se...' }
+  },
+  ache: {
+    english: { tone: 'balanced and constructive', greeting: 'Let me give you an honest assessment...' },
+    hindi: { tone: 'संतुलित और रचनात्मक', greeting: 'आइए आपके resume का संतुलित विश्लेषण करते हैं...' },
+    hinglish: { tone: 'balanced aur constructive', greeting: 'Chaliye aapke resume ka seedha analysis karte hain...' }
+  },
+  dhang: {
+    english: { tone: 'brutally honest and direct', greeting: 'Alright, let me roast your resume...' },
+    hindi: { tone: 'बेरहमी से ईमानदार', greeting: 'ठीक है, अब सच्चाई बताते हैं...' },
+    hinglish: { tone: 'bilkul seedha aur savage', greeting: 'Arre bhai/behen, ab batata hun ki kya ghotala hai...' }
+  }
+};
+
+// Unknown levels and languages fall back to ache / english
+const getToneConfig = ({ roastLevel, language } = {}) => {
+  const level = ROAST_TONES[roastLevel] || ROAST_TONES.ache;
+  return level[language] || level.english;
+};
+
+module.exports = {
+  ROAST_TONES,
+  getToneConfig
+};
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const analysisCacheSchema = new mongoose.Schema({
+  cacheKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // MD5 of the extracted text, same as Resume.fileInfo.fileHash
+  contentHash: { type: String, required: true, index: true },
+
+  analysis: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  hits: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: false,
+  collection: 'analysis_cache'
+});
+
+// Entries are removed by MongoDB once expiresAt has passed
+analysisCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisCache', analysisCacheSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const JOB_STAGES = ['queued', 'extracting', 'analyzing', 'parsing', 'saving', 'done', 'failed'];
+
+const analysisJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  stage: { type: String, enum: JOB_STAGES, default: 'queued' },
+
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  error: {
+    message: { type: String, default: '' },
+    code: { type: String, default: '' }
+  },
+
+  metadata: {
+    requestId: { type: String, default: '' },
+    originalFileName: { type: String, default: '' }
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: false,
+  collection: 'analysis_jobs'
+});
+
+// Finished jobs are removed by MongoDB once expiresAt has passed
+analysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AnalysisJob = mongoose.model('AnalysisJob', analysisJobSchema);
+
+module.exports = AnalysisJob;
+module.exports.JOB_STAGES = JOB_STAGES;
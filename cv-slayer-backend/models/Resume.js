@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+const sectionScoreSchema = {
+  score: { type: Number, default: 0, min: 0, max: 100 },
+  weight: { type: Number, default: 0 },
+  rationale: { type: String, default: '' }
+};
+
 const resumeSchema = new mongoose.Schema({
   resumeId: {
     type: String,
@@ -12,9 +18,30 @@ const resumeSchema = new mongoose.Schema({
     originalFileName: { type: String, default: '' },
     fileSize: { type: Number, default: 0 },
     mimeType: { type: String, default: '' },
-    fileHash: { type: String, default: '' }
+    fileHash: { type: String, default: '' },
+    // Hyperlinks found in the document, as checked by linkInspector
+    links: [{
+      url: { type: String, default: '' },
+      text: { type: String, default: '' },
+      page: { type: Number, default: null },
+      status: { type: String, enum: ['ok', 'broken', 'placeholder', 'mismatch'], default: 'ok' },
+      issue: { type: String, default: '' }
+    }],
+    // Document properties (PDF info dictionary, DOCX core/app properties)
+    metadata: {
+      title: { type: String, default: '' },
+      author: { type: String, default: '' },
+      creator: { type: String, default: '' },
+      producer: { type: String, default: '' },
+      pageCount: { type: Number, default: null },
+      createdAt: { type: Date, default: null },
+      modifiedAt: { type: Date, default: null }
+    }
   },
   
+  // Full extracted text, used by the bullet rewrite endpoint; not loaded by default
+  extractedText: { type: String, default: '', select: false },
+  
   extractedInfo: {
     personalInfo: {
       name: { type: String, default: '' },
@@ -66,7 +93,34 @@ const resumeSchema = new mongoose.Schema({
       title: { type: String, default: '' },
       description: { type: String, default: '' },
       example: { type: String, default: '' }
-    }]
+    }],
+    // overallScore is the weighted average of these (see config/scoring.js)
+    sectionScores: {
+      contact: sectionScoreSchema,
+      summary: sectionScoreSchema,
+      experience: sectionScoreSchema,
+      education: sectionScoreSchema,
+      skills: sectionScoreSchema,
+      formatting: sectionScoreSchema
+    }
+  },
+  
+  // Present only when the resume was matched against a job description
+  jobMatch: {
+    type: new mongoose.Schema({
+      jdHash: { type: String, default: '' },
+      matchScore: { type: Number, default: 0, min: 0, max: 100 },
+      requiredKeywords: [{
+        keyword: { type: String, default: '' },
+        present: { type: Boolean, default: false }
+      }],
+      preferredKeywords: [{
+        keyword: { type: String, default: '' },
+        present: { type: Boolean, default: false }
+      }],
+      tailoringSuggestions: { type: [String], default: [] }
+    }, { _id: false }),
+    default: undefined
   },
   
   preferences: {
@@ -82,11 +136,32 @@ const resumeSchema = new mongoose.Schema({
     updatedAt: { type: Date, default: Date.now }
   },
   
+  // Set by retentionService when a data class is purged; absent until then
+  retention: {
+    textPurgedAt: { type: Date },
+    personalPurgedAt: { type: Date },
+    analysisPurgedAt: { type: Date }
+  },
+  
+  // Data-subject requests: the hash of the deletion token handed to the
+  // uploader, and the blind index of the email for erasure requests
+  privacy: {
+    deletionTokenHash: { type: String, default: '', select: false },
+    emailIndex: { type: String, default: '' }
+  },
+  
+  // The terms the uploader accepted (config/terms.js) and when
+  consent: {
+    termsVersion: { type: String, default: '' },
+    acceptedAt: { type: Date },
+    storageOptIn: { type: Boolean, default: false }
+  },
+  
   metadata: {
     clientIP: { type: String, default: 'unknown' },
     userAgent: { type: String, default: 'unknown' },
     countryCode: { type: String, default: 'unknown' },
-    gdprConsent: { type: Boolean, default: true },
+    gdprConsent: { type: Boolean, default: false },
     requestId: { type: String, default: '' },
     processingTime: { type: Number, default: 0 }
   }
@@ -99,6 +174,7 @@ const resumeSchema = new mongoose.Schema({
 resumeSchema.index({ resumeId: 1 });
 resumeSchema.index({ 'timestamps.uploadedAt': -1 });
 resumeSchema.index({ 'analysis.overallScore': -1 });
+resumeSchema.index({ 'privacy.emailIndex': 1 });
 
 // Pre-save middleware to update timestamps
 resumeSchema.pre('save', function(next) {
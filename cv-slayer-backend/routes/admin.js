@@ -4,6 +4,9 @@ const rateLimit = require('express-rate-limit');
 const { body, validationResult, param, query } = require('express-validator');
 const adminAuth = require('../services/adminAuth');
 const Resume = require('../models/Resume');
+const analysisCache = require('../services/analysisCache');
+const resumeStorage = require('../services/resumeStorageEnhanced');
+const retentionService = require('../services/retentionService');
 
 const router = express.Router();
 
@@ -45,6 +48,10 @@ const validateResumeId = [
   param('id').isLength({ min: 1, max: 100 })
 ];
 
+const validateErasure = [
+  body('email').isEmail().isLength({ max: 200 })
+];
+
 // Simple error handler
 const handleErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -112,7 +119,7 @@ router.get('/dashboard',
             $gte: new Date(new Date().setHours(0, 0, 0, 0)) 
           }
         }),
-        collection.find({})
+        collection.find({}, { projection: { extractedText: 0 } })
           .sort({ 'timestamps.uploadedAt': -1 })
           .limit(10)
           .toArray()
@@ -129,7 +136,8 @@ router.get('/dashboard',
       }
       
       // Transform recent resumes simply
-      const transformedRecent = recentResumes.map(resume => {
+      const decryptedRecent = resumeStorage.decryptResumes(recentResumes, { purpose: 'admin-dashboard', actor: req.admin.email });
+      const transformedRecent = decryptedRecent.map(resume => {
         const personalInfo = resume.extractedInfo?.personalInfo || {};
         const fileInfo = resume.fileInfo || {};
         const analysis = resume.analysis || {};
@@ -149,6 +157,7 @@ router.get('/dashboard',
         todayResumes,
         averageScore,
         recentResumes: transformedRecent,
+        retention: retentionService.getStatus(),
         systemInfo: {
           serverTime: new Date().toISOString(),
           dbConnection: 'healthy'
@@ -177,6 +186,7 @@ router.get('/dashboard',
           todayResumes: 0,
           averageScore: 0,
           recentResumes: [],
+          retention: retentionService.getStatus(),
           systemInfo: {
             serverTime: new Date().toISOString(),
             dbConnection: 'error'
@@ -202,7 +212,7 @@ router.get('/resumes',
       
       const [totalCount, resumes] = await Promise.all([
         collection.countDocuments({}),
-        collection.find({})
+        collection.find({}, { projection: { extractedText: 0 } })
           .sort({ 'timestamps.uploadedAt': -1 })
           .skip(skip)
           .limit(limit)
@@ -210,7 +220,8 @@ router.get('/resumes',
       ]);
       
       // Simple data transformation
-      const transformedResumes = resumes.map(resume => {
+      const decryptedResumes = resumeStorage.decryptResumes(resumes, { purpose: 'admin-list', actor: req.admin.email });
+      const transformedResumes = decryptedResumes.map(resume => {
         const personalInfo = resume.extractedInfo?.personalInfo || {};
         const fileInfo = resume.fileInfo || {};
         const analysis = resume.analysis || {};
@@ -268,10 +279,12 @@ router.get('/resume/:id',
       
       const collection = mongoose.connection.db.collection('resumes');
       
-      let resume = await collection.findOne({ resumeId: id });
+      // The deletion token hash is the uploader's credential, not resume data
+      const projection = { 'privacy.deletionTokenHash': 0 };
+      let resume = await collection.findOne({ resumeId: id }, { projection });
       
       if (!resume && mongoose.Types.ObjectId.isValid(id)) {
-        resume = await collection.findOne({ _id: new mongoose.Types.ObjectId(id) });
+        resume = await collection.findOne({ _id: new mongoose.Types.ObjectId(id) }, { projection });
       }
       
       if (!resume) {
@@ -281,10 +294,12 @@ router.get('/resume/:id',
         });
       }
       
-      // Return full resume data (no sensitive info exposed)
+      // Full resume data, personal info and text decrypted for this admin
+      const [decrypted] = resumeStorage.decryptResumes([resume], { purpose: 'admin-view', actor: req.admin.email });
+
       res.json({
         success: true,
-        data: resume
+        data: decrypted
       });
       
     } catch (error) {
@@ -298,4 +313,170 @@ router.get('/resume/:id',
   }
 );
 
+// Analysis cache stats
+router.get('/cache',
+  adminAuth.requireAuth,
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await analysisCache.getStats()
+      });
+    } catch (error) {
+      console.error('❌ Cache stats error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch cache stats'
+      });
+    }
+  }
+);
+
+// Invalidate the whole analysis cache
+router.delete('/cache',
+  adminAuth.requireAuth,
+  async (req, res) => {
+    try {
+      const removed = await analysisCache.invalidate();
+
+      console.log('🧹 Analysis cache cleared:', { removed });
+
+      res.json({
+        success: true,
+        data: { removed }
+      });
+    } catch (error) {
+      console.error('❌ Cache clear error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear cache'
+      });
+    }
+  }
+);
+
+// Invalidate the cached analyses of one resume's content
+router.delete('/cache/resume/:id',
+  adminAuth.requireAuth,
+  validateResumeId,
+  handleErrors,
+  async (req, res) => {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error('Database not connected');
+      }
+
+      const resume = await mongoose.connection.db.collection('resumes').findOne(
+        { resumeId: req.params.id },
+        { projection: { 'fileInfo.fileHash': 1 } }
+      );
+
+      if (!resume || !resume.fileInfo?.fileHash) {
+        return res.status(404).json({
+          success: false,
+          error: 'Resume not found'
+        });
+      }
+
+      const removed = await analysisCache.invalidate({ contentHash: resume.fileInfo.fileHash });
+
+      console.log('🧹 Analysis cache invalidated:', { resumeId: req.params.id, removed });
+
+      res.json({
+        success: true,
+        data: { removed }
+      });
+    } catch (error) {
+      console.error('❌ Cache invalidation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to invalidate cache'
+      });
+    }
+  }
+);
+
+// Erasure request: delete every stored resume with this email address
+router.post('/erasure',
+  adminAuth.requireAuth,
+  validateErasure,
+  handleErrors,
+  async (req, res) => {
+    try {
+      const result = await resumeStorage.eraseByEmail(req.body.email);
+
+      console.log('🗑️ Erasure request processed:', {
+        admin: req.admin.email.substring(0, 3) + '***',
+        deleted: result.deleted,
+        resumeIds: result.resumeIds
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ Erasure error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process erasure request'
+      });
+    }
+  }
+);
+
+// Run the retention purge now instead of waiting for the schedule
+router.post('/retention/run',
+  adminAuth.requireAuth,
+  async (req, res) => {
+    try {
+      const lastRun = await retentionService.run();
+
+      if (!lastRun || lastRun.error) {
+        throw new Error(lastRun ? lastRun.error : 'Purge already running or database not connected');
+      }
+
+      res.json({
+        success: true,
+        data: retentionService.getStatus()
+      });
+    } catch (error) {
+      console.error('❌ Retention run error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run retention purge'
+      });
+    }
+  }
+);
+
+// Re-encrypt stored personal data under the current DATA_ENCRYPTION_KEYS key
+router.post('/encryption/rotate',
+  adminAuth.requireAuth,
+  async (req, res) => {
+    try {
+      const result = await resumeStorage.rotateEncryption();
+
+      console.log('🔑 Resume encryption rotated:', result);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ Encryption rotation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate encryption'
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
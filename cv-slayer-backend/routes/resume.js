@@ -1,17 +1,49 @@
 const express = require('express');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = rateLimit;
 const crypto = require('crypto');
 const geminiService = require('../services/geminiService');
-const fileProcessor = require('../services/fileProcessor');
+const jobStore = require('../services/jobStore');
+const jobEvents = require('../services/jobEvents');
+const analysisPipeline = require('../services/analysisPipeline');
+const jobMatcher = require('../services/jobMatcher');
+const bulletRewriter = require('../services/bulletRewriter');
 const resumeStorage = require('../services/resumeStorageEnhanced');
+const formatDetector = require('../services/formatDetector');
+const jsonResume = require('../services/jsonResume');
+const extractionPool = require('../services/extractionPool');
+const { CURRENT_TERMS, getTerms } = require('../config/terms');
 
 const router = express.Router();
 
 // Simple rate limiting
+// The analyze store is kept so cache hits can give the request back
+const analyzeRateLimitStore = new MemoryStore();
 const analyzeRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,
+  store: analyzeRateLimitStore,
+  message: {
+    error: 'Too many requests. Try again in 15 minutes.'
+  },
+  standardHeaders: false,
+  legacyHeaders: false
+});
+
+const rewriteRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many rewrite requests. Try again in 15 minutes.'
+  },
+  standardHeaders: false,
+  legacyHeaders: false
+});
+
+const privacyRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
   message: {
     error: 'Too many requests. Try again in 15 minutes.'
   },
@@ -24,16 +56,12 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB
-    files: 1
+    files: 2 // resume + optional job description
   },
+  // Only a first filter on the name and claimed type; the content is
+  // sniffed once the upload is complete
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (formatDetector.isAcceptedUpload(file)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type'), false);
@@ -41,9 +69,14 @@ const upload = multer({
   }
 });
 
+const uploadFields = upload.fields([
+  { name: 'resume', maxCount: 1 },
+  { name: 'jobDescriptionFile', maxCount: 1 }
+]);
+
 // Simple validation
 const validateInput = (req, res, next) => {
-  const { gender, roastLevel, roastType, language } = req.body;
+  const { gender, roastLevel, roastType, language, jobDescription, consentGiven, termsVersion, storageOptIn } = req.body;
   
   const validGenders = ['male', 'female', 'other'];
   const validRoastLevels = ['pyar', 'ache', 'dhang'];
@@ -59,185 +92,543 @@ const validateInput = (req, res, next) => {
     });
   }
   
-  next();
-};
-
-// Extract basic personal info only
-const extractBasicInfo = (text) => {
-  try {
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-    const phoneRegex = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
-    const linkedinRegex = /linkedin\.com\/in\/([a-zA-Z0-9\-_]+)/i;
-    const githubRegex = /github\.com\/([a-zA-Z0-9\-_]+)/i;
-    
-    const emailMatch = text.match(emailRegex);
-    const phoneMatch = text.match(phoneRegex);
-    const linkedinMatch = text.match(linkedinRegex);
-    const githubMatch = text.match(githubRegex);
-    
-    // Extract name from first line
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    let name = '';
-    for (let i = 0; i < Math.min(3, lines.length); i++) {
-      const line = lines[i].trim();
-      if (!line.includes('@') && !line.includes('http') && line.length < 50) {
-        name = line;
-        break;
-      }
-    }
-    
-    return {
-      name: name || '',
-      email: emailMatch ? emailMatch[0] : '',
-      phone: phoneMatch ? phoneMatch[0] : '',
-      linkedin: linkedinMatch ? linkedinMatch[0] : '',
-      github: githubMatch ? githubMatch[0] : '',
-      address: '',
-      website: ''
-    };
-  } catch (error) {
-    return {
-      name: '',
-      email: '',
-      phone: '',
-      linkedin: '',
-      github: '',
-      address: '',
-      website: ''
-    };
+  if (jobDescription !== undefined &&
+      (typeof jobDescription !== 'string' || jobDescription.length > jobMatcher.maxJobDescriptionLength)) {
+    return res.status(400).json({
+      error: 'Job description must be text of at most 10000 characters'
+    });
   }
+  
+  // The current terms must be accepted; storing the resume is a separate opt-in
+  if (consentGiven !== 'true') {
+    return res.status(400).json({
+      error: 'Please accept the Terms of Service & Privacy Policy'
+    });
+  }
+  
+  if (termsVersion !== CURRENT_TERMS.version) {
+    return res.status(409).json({
+      error: 'The terms have changed. Please review and accept the current version.',
+      termsVersion: CURRENT_TERMS.version
+    });
+  }
+  
+  if (storageOptIn !== undefined && storageOptIn !== 'true' && storageOptIn !== 'false') {
+    return res.status(400).json({
+      error: 'Invalid input parameters'
+    });
+  }
+  
+  next();
 };
 
 // Main analyze endpoint
+// Queues the analysis and answers immediately with a job ID; progress and
+// the final result are read from GET /jobs/:id
 router.post('/analyze', 
   analyzeRateLimit,
-  upload.single('resume'),
+  uploadFields,
   validateInput,
   async (req, res) => {
-    const startTime = Date.now();
     const requestId = crypto.randomUUID();
     
     try {
+      const resumeFile = req.files?.resume?.[0];
+      const jobDescriptionFile = req.files?.jobDescriptionFile?.[0] || null;
+      
       // Basic file validation
-      if (!req.file) {
+      if (!resumeFile) {
         return res.status(400).json({
           error: 'No file uploaded'
         });
       }
       
-      if (req.file.size === 0) {
+      if (resumeFile.size === 0) {
         return res.status(400).json({
           error: 'Empty file'
         });
       }
       
+      // The format comes from the file content, not the client's mimetype
+      for (const file of [resumeFile, jobDescriptionFile].filter(Boolean)) {
+        const format = formatDetector.detect(file);
+        if (!format) {
+          return res.status(400).json({
+            error: `Unsupported file type. Allowed formats: ${formatDetector.labels().join(', ')}`
+          });
+        }
+        file.mimetype = formatDetector.mimeTypeOf(format);
+      }
+      
+      // JSON Resume uploads are checked against the schema up front so the
+      // problems can be reported instead of a generic extraction failure
+      if (resumeFile.mimetype === formatDetector.mimeTypeOf('jsonresume')) {
+        const { error } = jsonResume.validate(resumeFile.buffer);
+        if (error) {
+          return res.status(400).json({
+            error: `Invalid JSON Resume: ${error}`
+          });
+        }
+      }
+      
+      // Files are parsed in a bounded worker pool; when its queue is full,
+      // ask the client to come back instead of queueing without limit
+      if (extractionPool.isSaturated()) {
+        const retryAfter = extractionPool.retryAfterSeconds();
+        analyzeRateLimitStore.decrement(req.ip);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({
+          error: 'Server is busy analyzing other resumes. Please try again shortly.',
+          retryAfter
+        });
+      }
+      
       const { gender, roastLevel, roastType, language } = req.body;
+      const jobDescriptionText = (req.body.jobDescription || '').trim();
       
-      // Extract text
-      let resumeText;
-      try {
-        resumeText = await fileProcessor.extractText(req.file);
-      } catch (error) {
-        console.error('Text extraction failed:', error.message);
+      // Recorded with the stored resume; without the opt-in nothing is persisted
+      const consent = {
+        termsVersion: CURRENT_TERMS.version,
+        acceptedAt: new Date(),
+        storageOptIn: req.body.storageOptIn === 'true'
+      };
+      
+      const job = await jobStore.createJob({
+        requestId,
+        originalFileName: resumeFile.originalname,
+        persist: consent.storageOptIn
+      });
+      
+      setImmediate(() => {
+        analysisPipeline.run(job.jobId, {
+          file: resumeFile,
+          preferences: { gender, roastLevel, roastType, language },
+          jobDescription: (jobDescriptionText || jobDescriptionFile)
+            ? { text: jobDescriptionText, file: jobDescriptionFile }
+            : null,
+          requestId,
+          clientIP: req.ip,
+          consent,
+          // Cached results cost no AI call, so they do not count against the limit
+          onCacheHit: () => analyzeRateLimitStore.decrement(req.ip)
+        });
+      });
+      
+      jobEvents.publish(job.jobId, {
+        type: 'progress',
+        stage: 'queued',
+        step: 'queued',
+        progress: 5,
+        message: 'Queued for analysis'
+      });
+      
+      console.log('📥 Analysis queued:', { requestId, jobId: job.jobId });
+      
+      res.status(202).json({
+        success: true,
+        data: {
+          jobId: job.jobId,
+          stage: job.stage,
+          statusUrl: `/api/resume/jobs/${job.jobId}`,
+          eventsUrl: `/api/resume/jobs/${job.jobId}/events`
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Analysis error:', error.message);
+      res.status(500).json({
+        error: 'Analysis failed'
+      });
+    }
+  }
+);
+
+const isValidResumeId = (id) => typeof id === 'string' && /^resume-[a-z0-9]+-[a-f0-9]{16}$/.test(id);
+
+// The deletion token returned with each analysis (metadata.deletionToken)
+const deletionTokenOf = (req) => {
+  const token = req.get('X-Deletion-Token') || '';
+  return /^[A-Za-z0-9_-]{43}$/.test(token) ? token : '';
+};
+
+// Bullet rewrite endpoint
+// Takes { resumeId } to rewrite the weak bullets of a stored resume (with
+// its X-Deletion-Token header), or { bullets: [...] } to rewrite pasted
+// bullets. roastLevel and language default to the ones the resume was
+// analyzed with.
+router.post('/rewrite',
+  rewriteRateLimit,
+  async (req, res) => {
+    try {
+      const { resumeId, bullets, roastLevel, language } = req.body || {};
+      
+      const validRoastLevels = ['pyar', 'ache', 'dhang'];
+      const validLanguages = ['english', 'hindi', 'hinglish'];
+      
+      if ((roastLevel !== undefined && !validRoastLevels.includes(roastLevel)) ||
+          (language !== undefined && !validLanguages.includes(language))) {
+        return res.status(400).json({
+          error: 'Invalid input parameters'
+        });
+      }
+      
+      if (!resumeId && bullets === undefined) {
         return res.status(400).json({
-          error: 'Failed to process file'
+          error: 'Provide a resumeId or a list of bullets'
         });
       }
       
-      // Basic text validation
-      if (!resumeText || resumeText.trim().length < 50) {
+      if (resumeId !== undefined && !isValidResumeId(resumeId)) {
         return res.status(400).json({
-          error: 'Insufficient content in resume'
+          error: 'Invalid resume ID'
         });
       }
       
-      // Clean text
-      const cleanText = resumeText
-        .replace(/[^\w\s\n\r.,;:()\-@+]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      if (bullets !== undefined &&
+          (!Array.isArray(bullets) || bullets.length === 0 || bullets.length > 20 ||
+           bullets.some(bullet => typeof bullet !== 'string' || bullet.length > bulletRewriter.maxBulletLength))) {
+        return res.status(400).json({
+          error: 'Bullets must be a list of 1-20 strings of at most 500 characters'
+        });
+      }
       
-      // Extract basic info
-      const extractedInfo = extractBasicInfo(resumeText);
+      let text = '';
+      let storedPreferences = {};
       
-      // AI Analysis
-      let analysis;
-      try {
-        analysis = await geminiService.analyzeResume(cleanText, {
-          gender,
-          roastLevel,
-          roastType,
-          language
-        }, req.file.originalname);
+      if (resumeId && bullets === undefined) {
+        const token = deletionTokenOf(req);
+        if (!token) {
+          return res.status(403).json({
+            error: 'X-Deletion-Token header is required'
+          });
+        }
+        
+        let stored;
+        try {
+          stored = await resumeStorage.getResumeText(resumeId, token);
+        } catch (error) {
+          console.error('❌ Rewrite lookup error:', error.message);
+          return res.status(503).json({
+            error: 'Stored resumes are unavailable, paste your bullets instead'
+          });
+        }
         
-        if (!analysis || !analysis.success) {
-          throw new Error('AI analysis failed');
+        // An unknown resume and a wrong token look the same
+        if (!stored) {
+          return res.status(403).json({
+            error: 'Invalid deletion token'
+          });
         }
-      } catch (error) {
-        console.error('AI analysis failed:', error.message);
+        
+        if (!stored.text) {
+          return res.status(404).json({
+            error: 'Resume not found'
+          });
+        }
+        
+        text = stored.text;
+        storedPreferences = stored.preferences;
+      }
+      
+      const preferences = {
+        roastLevel: roastLevel || storedPreferences.roastLevel,
+        language: language || storedPreferences.language
+      };
+      
+      const result = await bulletRewriter.rewrite({ text, bullets, preferences });
+      
+      if (!result.success) {
         return res.status(503).json({
           error: 'AI service temporarily unavailable'
         });
       }
       
-      const processingTime = Date.now() - startTime;
-      
-      // Prepare response
-      const responseData = {
+      res.json({
         success: true,
         data: {
-          ...analysis.data,
-          extractedInfo: {
-            personalInfo: extractedInfo
-          },
-          preferences: {
-            gender,
-            roastLevel,
-            roastType,
-            language
-          },
-          metadata: {
-            originalFileName: req.file.originalname,
-            fileSize: req.file.size,
-            processingTime,
-            requestId
-          }
+          ...result.data,
+          preferences
         }
-      };
-      
-      // Save to database (non-blocking)
-      setImmediate(async () => {
-        try {
-          await resumeStorage.saveResumeData(
-            req.file,
-            resumeText,
-            analysis,
-            { gender, roastLevel, roastType, language },
-            { requestId, clientIP: req.ip }
-          );
-          console.log('✅ Resume saved:', requestId);
-        } catch (error) {
-          console.error('❌ Save failed:', error.message);
-        }
-      });
-      
-      console.log('✅ Analysis completed:', {
-        requestId,
-        score: analysis.data.score,
-        time: processingTime + 'ms'
       });
       
-      res.json(responseData);
-      
     } catch (error) {
-      console.error('❌ Analysis error:', error.message);
+      console.error('❌ Rewrite error:', error.message);
       res.status(500).json({
-        error: 'Analysis failed'
+        error: 'Rewrite failed'
       });
     }
   }
 );
 
+// JSON Resume export endpoint
+// Returns a stored resume's structured extraction as a JSON Resume document,
+// for the uploader holding its deletion token
+router.get('/resumes/:resumeId/json-resume', privacyRateLimit, async (req, res) => {
+  try {
+    const { resumeId } = req.params;
+    const token = deletionTokenOf(req);
+    
+    if (!isValidResumeId(resumeId)) {
+      return res.status(400).json({
+        error: 'Invalid resume ID'
+      });
+    }
+    
+    if (!token) {
+      return res.status(403).json({
+        error: 'X-Deletion-Token header is required'
+      });
+    }
+    
+    let stored;
+    try {
+      stored = await resumeStorage.getExtractedInfo(resumeId, token);
+    } catch (error) {
+      console.error('❌ Export lookup error:', error.message);
+      return res.status(503).json({
+        error: 'Stored resumes are unavailable'
+      });
+    }
+    
+    // An unknown resume and a wrong token look the same
+    if (!stored) {
+      return res.status(403).json({
+        error: 'Invalid deletion token'
+      });
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="${resumeId}.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(jsonResume.fromExtractedInfo(stored.extractedInfo, { lastModified: stored.analyzedAt }));
+    
+  } catch (error) {
+    console.error('❌ Export error:', error.message);
+    res.status(500).json({
+      error: 'Export failed'
+    });
+  }
+});
+
+// Data export endpoint
+// Everything stored about a resume, for the uploader holding its deletion token
+router.get('/:id/export', privacyRateLimit, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const token = deletionTokenOf(req);
+    
+    if (!isValidResumeId(id) || !token) {
+      return res.status(400).json({
+        error: 'Resume ID and X-Deletion-Token header are required'
+      });
+    }
+    
+    let data;
+    try {
+      data = await resumeStorage.exportResumeData(id, token);
+    } catch (error) {
+      console.error('❌ Data export lookup error:', error.message);
+      return res.status(503).json({
+        error: 'Stored resumes are unavailable'
+      });
+    }
+    
+    // A wrong token is reported like a missing resume
+    if (!data) {
+      return res.status(404).json({
+        error: 'Resume not found'
+      });
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="${id}-data.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      exportedAt: new Date().toISOString(),
+      resume: data
+    });
+    
+  } catch (error) {
+    console.error('❌ Data export error:', error.message);
+    res.status(500).json({
+      error: 'Export failed'
+    });
+  }
+});
+
+// Data deletion endpoint
+router.delete('/:id', privacyRateLimit, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const token = deletionTokenOf(req);
+    
+    if (!isValidResumeId(id) || !token) {
+      return res.status(400).json({
+        error: 'Resume ID and X-Deletion-Token header are required'
+      });
+    }
+    
+    let deleted;
+    try {
+      deleted = await resumeStorage.deleteResume(id, token);
+    } catch (error) {
+      console.error('❌ Deletion lookup error:', error.message);
+      return res.status(503).json({
+        error: 'Stored resumes are unavailable'
+      });
+    }
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Resume not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { resumeId: id, deleted: true }
+    });
+    
+  } catch (error) {
+    console.error('❌ Deletion error:', error.message);
+    res.status(500).json({
+      error: 'Deletion failed'
+    });
+  }
+});
+
+const isValidJobId = (id) => /^[0-9a-f-]{36}$/i.test(id);
+
+// Job status endpoint
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!isValidJobId(id)) {
+      return res.status(400).json({
+        error: 'Invalid job ID'
+      });
+    }
+    
+    const job = await jobStore.getJob(id);
+    
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job
+    });
+    
+  } catch (error) {
+    console.error('❌ Job status error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch job status'
+    });
+  }
+});
+
+// Job progress stream (Server-Sent Events)
+// Replays the events published so far, then streams live pipeline events
+// until the job is done or failed. Jobs started on another instance are
+// followed by polling the job store.
+router.get('/jobs/:id/events', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidJobId(id)) {
+    return res.status(400).json({
+      error: 'Invalid job ID'
+    });
+  }
+  
+  let job;
+  try {
+    job = await jobStore.getJob(id);
+  } catch (error) {
+    console.error('❌ Job events error:', error.message);
+    return res.status(500).json({
+      error: 'Failed to fetch job status'
+    });
+  }
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  const timers = [];
+  let unsubscribe = () => {};
+  
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    timers.forEach(clearInterval);
+    res.end();
+  };
+  
+  const send = (event) => {
+    if (closed) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    // compression() buffers responses; push each event out immediately
+    if (typeof res.flush === 'function') res.flush();
+    
+    if (event.type === 'done' || event.type === 'failed') {
+      close();
+    }
+  };
+  
+  req.on('close', close);
+  
+  if (jobEvents.hasJob(id)) {
+    unsubscribe = jobEvents.subscribe(id, send);
+    jobEvents.getHistory(id).forEach(send);
+  } else {
+    // No local events: report the stored stage and follow it
+    let lastStage = null;
+    const sendSnapshot = (snapshot) => {
+      if (!snapshot || snapshot.stage === lastStage) return;
+      lastStage = snapshot.stage;
+      
+      if (snapshot.stage === 'done') {
+        send({ type: 'done', stage: 'done', progress: 100, message: 'Analysis complete!' });
+      } else if (snapshot.stage === 'failed') {
+        send({ type: 'failed', stage: 'failed', message: snapshot.error?.message || 'Analysis failed', code: snapshot.error?.code });
+      } else {
+        send({ type: 'progress', stage: snapshot.stage, progress: null, message: '' });
+      }
+    };
+    
+    sendSnapshot(job);
+    timers.push(setInterval(async () => {
+      try {
+        sendSnapshot(await jobStore.getJob(id));
+      } catch (error) {
+        console.error('❌ Job events poll error:', error.message);
+      }
+    }, 2000));
+  }
+  
+  // Keep proxies from closing an idle stream
+  timers.push(setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }
+  }, 15000));
+});
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({
@@ -247,6 +638,26 @@ router.get('/test', (req, res) => {
   });
 });
 
+// Terms endpoint
+// The current terms (or an older version with ?version=) for the consent modal
+router.get('/terms', (req, res) => {
+  const terms = req.query.version ? getTerms(String(req.query.version)) : CURRENT_TERMS;
+  
+  if (!terms) {
+    return res.status(404).json({
+      error: 'Terms version not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      ...terms,
+      current: terms.version === CURRENT_TERMS.version
+    }
+  });
+});
+
 // Info endpoint
 router.get('/info', (req, res) => {
   res.json({
@@ -254,6 +665,7 @@ router.get('/info', (req, res) => {
     data: {
       name: 'CV Slayer Resume Analysis API',
       version: '1.0.0',
+      aiProvider: geminiService.provider.name,
       roastLevels: {
         pyar: 'Mild & Encouraging',
         ache: 'Balanced & Constructive', 
@@ -261,7 +673,7 @@ router.get('/info', (req, res) => {
       },
       limits: {
         maxFileSize: '5MB',
-        supportedFormats: ['PDF', 'DOCX'],
+        supportedFormats: formatDetector.labels(),
         rateLimit: 'Max 5 requests per 15 minutes'
       }
     }
@@ -278,7 +690,7 @@ router.use((error, req, res, next) => {
   }
   
   if (error.message === 'Invalid file type') {
-    return res.status(400).json({ error: 'Only PDF and DOCX files allowed' });
+    return res.status(400).json({ error: `Only ${formatDetector.labels().join(', ')} files allowed` });
   }
   
   console.error('Route error:', error.message);
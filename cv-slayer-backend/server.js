@@ -9,6 +9,7 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const { connectDB, getConnectionStatus } = require('./config/database');
+const retentionService = require('./services/retentionService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -115,6 +116,8 @@ async function startServer() {
     await connectDB();
     console.log('✅ Database connected');
     
+    retentionService.start();
+    
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 CV Slayer API Server running on port ${PORT}`);
       console.log(`📅 Started at: ${new Date().toISOString()}`);
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AnalysisCache = require('../models/AnalysisCache');
+const fieldEncryption = require('./fieldEncryption');
+
+const parseTTL = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Analysis result cache
+ * Keyed by the hash of the extracted text plus everything else that changes
+ * the AI result (preferences, job description, provider), so re-uploading
+ * the same resume with the same settings skips the AI call. Like the job
+ * store, entries live in MongoDB when it is connected and in memory otherwise.
+ * An analysis holds the personal info and feedback that quotes it, so the
+ * stored copy is encrypted with fieldEncryption.
+ * ANALYSIS_CACHE_TTL_MS=0 disables the cache.
+ */
+class AnalysisCacheService {
+  constructor() {
+    this.entries = new Map();
+    this.ttl = parseTTL(process.env.ANALYSIS_CACHE_TTL_MS, 24 * 60 * 60 * 1000); // 24 hours
+    this.maxMemoryEntries = 500;
+    this.indexesEnsured = false;
+
+    // Sweep expired in-memory entries
+    this.sweepTimer = setInterval(() => this.sweepExpired(), 10 * 60 * 1000);
+    this.sweepTimer.unref();
+
+    console.log(this.ttl > 0
+      ? `✅ Analysis cache initialized (TTL ${Math.round(this.ttl / 60000)} min)`
+      : '⚠️ Analysis cache disabled');
+  }
+
+  isEnabled() {
+    return this.ttl > 0;
+  }
+
+  isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async ensureIndexes() {
+    if (this.indexesEnsured) return;
+    this.indexesEnsured = true;
+
+    try {
+      await AnalysisCache.createIndexes();
+    } catch (error) {
+      console.error('⚠️ Cache index creation failed:', error.message);
+    }
+  }
+
+  // Same hash as Resume.fileInfo.fileHash, so admins can invalidate by resume
+  hashContent(text) {
+    return crypto.createHash('md5').update(text || '').digest('hex');
+  }
+
+  buildKey({ contentHash, preferences, jobDescriptionHash, layoutHash, provider }) {
+    const source = JSON.stringify({
+      contentHash,
+      preferences: {
+        gender: preferences.gender,
+        roastLevel: preferences.roastLevel,
+        roastType: preferences.roastType,
+        language: preferences.language
+      },
+      jobDescriptionHash: jobDescriptionHash || '',
+      ...(layoutHash ? { layoutHash } : {}),
+      provider: provider || ''
+    });
+
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Cached analysis for a key, or null
+   */
+  async get(cacheKey) {
+    if (!this.isEnabled()) return null;
+
+    const local = this.entries.get(cacheKey);
+    if (local && local.expiresAt > new Date()) {
+      local.hits++;
+      return structuredClone(local.analysis);
+    }
+
+    if (this.isDatabaseReady()) {
+      try {
+        const stored = await AnalysisCache.findOneAndUpdate(
+          { cacheKey, expiresAt: { $gt: new Date() } },
+          { $inc: { hits: 1 } },
+          { new: true }
+        ).lean();
+
+        return stored ? fieldEncryption.decryptJSON(stored.analysis) : null;
+      } catch (error) {
+        console.error('Cache lookup error:', error.message);
+      }
+    }
+
+    return null;
+  }
+
+  async set(cacheKey, analysis, { contentHash }) {
+    if (!this.isEnabled()) return;
+
+    const now = new Date();
+    const entry = {
+      cacheKey,
+      contentHash,
+      analysis: structuredClone(analysis),
+      hits: 0,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.ttl)
+    };
+
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, entry);
+
+    // Drop the oldest entries beyond the memory cap
+    while (this.entries.size > this.maxMemoryEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (this.isDatabaseReady()) {
+      try {
+        await this.ensureIndexes();
+        await AnalysisCache.updateOne({ cacheKey }, {
+          $set: { ...entry, analysis: fieldEncryption.encryptJSON(entry.analysis) }
+        }, { upsert: true });
+      } catch (error) {
+        console.error('⚠️ Cache entry kept in memory only:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Remove entries, all of them or only those for one content hash.
+   * Returns the number of entries removed.
+   */
+  async invalidate({ contentHash } = {}) {
+    let removed = 0;
+
+    for (const [cacheKey, entry] of this.entries) {
+      if (!contentHash || entry.contentHash === contentHash) {
+        this.entries.delete(cacheKey);
+        removed++;
+      }
+    }
+
+    if (this.isDatabaseReady()) {
+      const result = await AnalysisCache.deleteMany(contentHash ? { contentHash } : {});
+      removed = Math.max(removed, result.deletedCount || 0);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Re-encrypt the stored analyses under the current key
+   */
+  async rotateEncryption() {
+    const cursor = AnalysisCache.collection.find({}, { projection: { analysis: 1 } });
+    let scanned = 0;
+    let updated = 0;
+
+    for await (const entry of cursor) {
+      scanned++;
+      const analysis = fieldEncryption.rotateJSON(entry.analysis);
+      if (analysis === null) continue;
+
+      await AnalysisCache.collection.updateOne({ _id: entry._id }, { $set: { analysis } });
+      updated++;
+    }
+
+    return { scanned, updated };
+  }
+
+  async getStats() {
+    const now = new Date();
+    const stats = {
+      enabled: this.isEnabled(),
+      ttlMs: this.ttl,
+      memoryEntries: [...this.entries.values()].filter(entry => entry.expiresAt > now).length,
+      storedEntries: null
+    };
+
+    if (this.isDatabaseReady()) {
+      try {
+        stats.storedEntries = await AnalysisCache.countDocuments({ expiresAt: { $gt: now } });
+      } catch (error) {
+        console.error('Cache stats error:', error.message);
+      }
+    }
+
+    return stats;
+  }
+
+  sweepExpired() {
+    const now = new Date();
+    for (const [cacheKey, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(cacheKey);
+      }
+    }
+  }
+}
+
+module.exports = new AnalysisCacheService();
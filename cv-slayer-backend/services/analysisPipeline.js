@@ -0,0 +1,349 @@
+const geminiService = require('./geminiService');
+const fileProcessor = require('./fileProcessor');
+const resumeStorage = require('./resumeStorageEnhanced');
+const jobStore = require('./jobStore');
+const jobEvents = require('./jobEvents');
+const jobMatcher = require('./jobMatcher');
+const atsAnalyzer = require('./atsAnalyzer');
+const linkInspector = require('./linkInspector');
+const layoutAnalyzer = require('./layoutAnalyzer');
+const resumeInfoNormalizer = require('./resumeInfoNormalizer');
+const analysisCache = require('./analysisCache');
+
+const pipelineError = (code, message) => Object.assign(new Error(message), { code });
+
+// The extraction pool was full when the job reached it
+const busyError = (error) => pipelineError('SERVER_BUSY', `Server is busy, try again in ${error.retryAfter || 30} seconds`);
+
+/**
+ * Resume analysis pipeline
+ * Runs extraction, AI analysis and storage for a queued job and records
+ * the real stage in the job store as it goes.
+ */
+class AnalysisPipeline {
+  /**
+   * Progress and user-facing message for a pipeline event
+   */
+  describeEvent(event) {
+    switch (`${event.stage}:${event.step}`) {
+      case 'extracting:started':
+        return { progress: 10, message: 'Reading your resume...' };
+      case 'extracting:ocr':
+        return { progress: 15, message: `Reading scanned page ${event.page} with OCR...` };
+      case 'extracting:extracted':
+        return { progress: 20, message: `Extracted ${event.characters} characters` };
+      case 'extracting:cleaned':
+        return { progress: 25, message: 'Text extracted' };
+      case 'extracting:job-description':
+        return { progress: 28, message: 'Reading the job description...' };
+      case 'analyzing:cached':
+        return { progress: 70, message: 'Found a previous analysis of this resume' };
+      case 'analyzing:prompt-ready':
+        return { progress: 30, message: 'Preparing the analysis...' };
+      case 'analyzing:request':
+        if (event.totalChunks) {
+          return { progress: this.chunkProgress(event), message: `AI is analyzing part ${event.chunk} of ${event.totalChunks}...` };
+        }
+        return event.attempt > 1
+          ? { progress: Math.min(65, 35 + (event.attempt - 1) * 10), message: `Retrying AI analysis (attempt ${event.attempt} of ${event.maxAttempts})...` }
+          : { progress: 35, message: 'AI is analyzing your resume...' };
+      case 'analyzing:retry':
+        if (event.totalChunks) {
+          return { progress: this.chunkProgress(event), message: `AI request for part ${event.chunk} failed, retrying in ${Math.round(event.delay / 1000)}s...` };
+        }
+        return { progress: Math.min(65, 35 + event.attempt * 10), message: `AI request failed, retrying in ${Math.round(event.delay / 1000)}s...` };
+      case 'parsing:started':
+        return event.totalChunks
+          ? { progress: 75, message: `Combining findings from ${event.totalChunks} parts...` }
+          : { progress: 75, message: 'Generating feedback...' };
+      case 'parsing:validated':
+        return { progress: 80, message: 'Feedback ready' };
+      case 'saving:started':
+        return { progress: 85, message: 'Saving your results...' };
+      case 'saving:saved':
+      case 'saving:skipped':
+        return { progress: 95, message: 'Wrapping up...' };
+      default:
+        return { progress: null, message: '' };
+    }
+  }
+
+  // Per-page OCR confidence and a warning for scanned resumes, or null
+  describeOCR(layout) {
+    if (!layout || !layout.ocr) return null;
+
+    return {
+      ...layout.ocr,
+      warning: 'Your resume is a scanned image. We read it with OCR, but most ATS will not, so recruiters may never see your details. Upload a PDF exported from Word or Google Docs instead.'
+    };
+  }
+
+  // Chunked analysis spreads the 35-65 progress range over the parts
+  chunkProgress(event) {
+    return Math.round(35 + ((event.chunk - 1) / event.totalChunks) * 30);
+  }
+
+  /**
+   * Reporter handed to the services: publishes every event for SSE
+   * subscribers and records stage changes in the job store
+   */
+  createReporter(jobId) {
+    let currentStage = null;
+    let pendingStageWrite = Promise.resolve();
+
+    const report = (event) => {
+      const { progress, message } = this.describeEvent(event);
+
+      jobEvents.publish(jobId, {
+        type: 'progress',
+        ...event,
+        progress,
+        message
+      });
+
+      if (event.stage && event.stage !== currentStage) {
+        const stage = event.stage;
+        currentStage = stage;
+        // Keep store writes ordered so a late write never rolls the stage back
+        pendingStageWrite = pendingStageWrite.then(() => jobStore.setStage(jobId, stage));
+      }
+    };
+
+    report.flush = () => pendingStageWrite;
+    return report;
+  }
+
+  /**
+   * Resolve the optional job description from pasted text or an uploaded file
+   */
+  async resolveJobDescription(jobDescription, report) {
+    if (!jobDescription) return '';
+
+    let text = jobDescription.text || '';
+
+    if (!text && jobDescription.file) {
+      report({ stage: 'extracting', step: 'job-description' });
+
+      try {
+        text = await fileProcessor.extractText(jobDescription.file);
+      } catch (error) {
+        console.error('Job description extraction failed:', error.message);
+        if (error.code === 'EXTRACTION_BUSY') throw busyError(error);
+        throw pipelineError('INVALID_JOB_DESCRIPTION', 'Failed to read the job description file');
+      }
+    }
+
+    text = jobMatcher.normalizeJobDescription(text);
+
+    if (text.length < 30) {
+      throw pipelineError('INVALID_JOB_DESCRIPTION', 'Job description is too short to match against');
+    }
+
+    return text;
+  }
+
+  /**
+   * Run a job to completion. Never throws: failures are recorded on the job.
+   * Without consent.storageOptIn nothing about the resume is persisted: the
+   * analysis is neither cached nor saved.
+   */
+  async run(jobId, { file, preferences, jobDescription, requestId, clientIP, consent = {}, onCacheHit }) {
+    const startTime = Date.now();
+    const report = this.createReporter(jobId);
+
+    try {
+      // Extract text
+      let resumeText;
+      let layout;
+      let sections;
+      let importedInfo;
+      let links;
+      let documentMetadata;
+      try {
+        ({
+          text: resumeText,
+          layout,
+          sections,
+          links,
+          metadata: documentMetadata,
+          extractedInfo: importedInfo
+        } = await fileProcessor.extractDocument(file, { onProgress: report }));
+      } catch (error) {
+        console.error('Text extraction failed:', error.message);
+        if (error.code === 'EXTRACTION_BUSY') throw busyError(error);
+        throw pipelineError('EXTRACTION_FAILED', 'Failed to process file');
+      }
+
+      // Basic text validation
+      if (!resumeText || resumeText.trim().length < 50) {
+        throw pipelineError('INSUFFICIENT_CONTENT', 'Insufficient content in resume');
+      }
+
+      // Clean text for the AI. Every character is replaced one for one so the
+      // section offsets from fileProcessor still apply.
+      const cleanText = resumeText
+        .replace(/[^\p{L}\p{M}\p{N}_\s.,;:()\-@+/]/gu, match => ' '.repeat(match.length));
+
+      // JSON Resume uploads carry their own structured fields
+      if (importedInfo) {
+        importedInfo = resumeInfoNormalizer.normalize(importedInfo);
+      }
+
+      // Hyperlinks behind the text: profile URLs and broken or template links
+      const inspectedLinks = linkInspector.inspect(links);
+
+      // Extract basic info
+      const extractedInfo = importedInfo
+        ? importedInfo.personalInfo
+        : resumeInfoNormalizer.extractBasicInfo(resumeText, sections, inspectedLinks);
+
+      // Rule-based ATS checks, independent of the AI result
+      const atsReport = atsAnalyzer.analyze({
+        text: resumeText,
+        layout,
+        sections,
+        fileName: file.originalname,
+        personalInfo: extractedInfo,
+        links: inspectedLinks
+      });
+
+      // Fonts, margins and page fill for the AI, which only sees the text
+      const layoutHints = layoutAnalyzer.promptHints(layout);
+
+      const jobDescriptionText = await this.resolveJobDescription(jobDescription, report);
+      const jobDescriptionHash = jobDescriptionText ? jobMatcher.hashJobDescription(jobDescriptionText) : '';
+
+      // Same content and settings as a recent analysis: reuse it
+      const contentHash = analysisCache.hashContent(resumeText);
+      const cacheKey = analysisCache.buildKey({
+        contentHash,
+        preferences: geminiService.sanitizePreferences(preferences),
+        jobDescriptionHash,
+        layoutHash: layoutHints.length > 0 ? analysisCache.hashContent(layoutHints.join('\n')) : '',
+        provider: geminiService.provider.name
+      });
+
+      let analysis;
+      const cachedData = await analysisCache.get(cacheKey);
+
+      if (cachedData) {
+        // The rendered text of a JSON Resume does not carry every imported field
+        analysis = { success: true, data: importedInfo ? { ...cachedData, extractedInfo: importedInfo } : cachedData };
+        report({ stage: 'analyzing', step: 'cached' });
+        if (onCacheHit) onCacheHit();
+      } else {
+        // AI Analysis
+        try {
+          analysis = await geminiService.analyzeResume(cleanText, preferences, {
+            onProgress: report,
+            jobDescription: jobDescriptionText,
+            sections,
+            layoutHints,
+            personalInfo: extractedInfo
+          });
+
+          if (!analysis || !analysis.success) {
+            throw new Error('AI analysis failed');
+          }
+        } catch (error) {
+          console.error('AI analysis failed:', error.message);
+          throw pipelineError('AI_UNAVAILABLE', 'AI service temporarily unavailable');
+        }
+
+        // Keyword presence and match score are checked against the raw text
+        if (jobDescriptionText) {
+          analysis.data.jobMatch = jobMatcher.finalizeJobMatch(analysis.data.jobMatch, resumeText);
+        }
+
+        // Structured extraction: the imported fields as they are, otherwise the
+        // AI's fields merged with the regex contact details
+        analysis.data.extractedInfo = importedInfo ||
+          resumeInfoNormalizer.merge(extractedInfo, analysis.data.extractedInfo, resumeText);
+
+        if (consent.storageOptIn) {
+          await analysisCache.set(cacheKey, analysis.data, { contentHash });
+        }
+      }
+
+      // Save to database
+      let saveResult = { success: false };
+      if (consent.storageOptIn) {
+        saveResult = await resumeStorage.saveResumeData(
+          file,
+          resumeText,
+          analysis,
+          preferences,
+          {
+            requestId,
+            clientIP,
+            consent,
+            jobDescriptionHash,
+            extractedInfo: analysis.data.extractedInfo,
+            links: inspectedLinks,
+            documentMetadata
+          },
+          { onProgress: report }
+        );
+
+        if (saveResult.success) {
+          console.log('✅ Resume saved:', requestId);
+        } else {
+          console.error('❌ Save failed:', saveResult.error);
+        }
+      } else {
+        report({ stage: 'saving', step: 'skipped', reason: 'Storage not opted in' });
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      const result = {
+        ...analysis.data,
+        atsReport,
+        links: inspectedLinks,
+        ocr: this.describeOCR(layout),
+        preferences,
+        metadata: {
+          originalFileName: file.originalname,
+          fileSize: file.size,
+          document: documentMetadata,
+          processingTime,
+          requestId,
+          resumeId: saveResult.success ? saveResult.resumeId : null,
+          // Shown to the uploader once; required to export or delete the record
+          deletionToken: saveResult.success ? saveResult.deletionToken : null,
+          stored: saveResult.success,
+          termsVersion: consent.termsVersion || null,
+          storageOptIn: consent.storageOptIn === true,
+          cached: Boolean(cachedData)
+        }
+      };
+
+      await report.flush();
+      await jobStore.completeJob(jobId, result);
+      jobEvents.publish(jobId, { type: 'done', stage: 'done', progress: 100, message: 'Analysis complete!' });
+
+      console.log('✅ Analysis completed:', {
+        requestId,
+        jobId,
+        score: analysis.data.score,
+        cached: Boolean(cachedData),
+        time: processingTime + 'ms'
+      });
+
+    } catch (error) {
+      console.error('❌ Analysis error:', { jobId, error: error.message });
+
+      const failure = error.code ? error : pipelineError('ANALYSIS_FAILED', 'Analysis failed');
+      await report.flush();
+      await jobStore.failJob(jobId, failure);
+      jobEvents.publish(jobId, {
+        type: 'failed',
+        stage: 'failed',
+        message: failure.message,
+        code: failure.code
+      });
+    }
+  }
+}
+
+module.exports = new AnalysisPipeline();
@@ -0,0 +1,263 @@
+const fileProcessor = require('./fileProcessor');
+const layoutAnalyzer = require('./layoutAnalyzer');
+
+/**
+ * Rule-based ATS compatibility checks
+ * Runs on the text and layout produced by fileProcessor, independently of the
+ * AI provider, so the same file always gets the same report.
+ */
+class ATSAnalyzer {
+  constructor() {
+    this.requiredSections = ['experience', 'education', 'skills'];
+
+    const months = '(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)';
+
+    this.datePatterns = {
+      monthName: new RegExp(`\\b${months}\\.?\\s+\\d{4}\\b`, 'gi'),
+      numeric: /\b(0?[1-9]|1[0-2])[/.-](19|20)\d{2}\b|\b(19|20)\d{2}-(0[1-9]|1[0-2])\b/g,
+      shortYear: new RegExp(`\\b${months}\\.?\\s*['’]\\d{2}\\b`, 'gi'),
+      yearOnly: /\b(19|20)\d{2}\b/g
+    };
+
+    this.genericFileNames = /^(resume|cv|curriculum[\s_-]*vitae|document|doc|untitled|new|file|scan|img|image|download)\d*$/i;
+  }
+
+  /**
+   * Build the ATS report from fileProcessor.extractDocument output (text,
+   * layout and sections), the contact details the pipeline extracted and the
+   * hyperlinks checked by linkInspector
+   */
+  analyze({ text, layout, sections, fileName, personalInfo = {}, links = [] }) {
+    const sectionList = sections || fileProcessor.segmentSections(text);
+
+    const checks = [
+      this.checkSectionHeadings(sectionList),
+      this.checkContactInfo(text, sectionList, personalInfo),
+      this.checkLinks(links),
+      this.checkTables(layout),
+      this.checkColumns(layout),
+      ...layoutAnalyzer.analyze(layout),
+      this.checkImageOnlyPages(layout),
+      this.checkDateFormats(text),
+      this.checkFileName(fileName),
+      this.checkLength(text, layout)
+    ].filter(Boolean);
+
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    checks.forEach(check => { summary[check.status]++; });
+
+    const points = checks.reduce((sum, check) => sum + (check.status === 'pass' ? 1 : check.status === 'warn' ? 0.5 : 0), 0);
+
+    return {
+      score: checks.length > 0 ? Math.round((points / checks.length) * 100) : 0,
+      summary,
+      checks
+    };
+  }
+
+  result(id, label, status, message) {
+    return { id, label, status, message };
+  }
+
+  checkSectionHeadings(sections) {
+    const found = new Set(sections.filter(section => section.heading).map(section => section.type));
+    const missing = this.requiredSections.filter(section => !found.has(section));
+    const label = 'Standard section headings';
+
+    if (missing.length === 0) {
+      return this.result('section-headings', label, 'pass',
+        `Found standard headings: ${[...found].join(', ')}`);
+    }
+
+    if (missing.length < this.requiredSections.length) {
+      return this.result('section-headings', label, 'warn',
+        `Missing or non-standard headings for: ${missing.join(', ')}`);
+    }
+
+    return this.result('section-headings', label, 'fail',
+      'No standard headings (Experience, Education, Skills) found; ATS may not split your resume into sections');
+  }
+
+  checkContactInfo(text, sections, personalInfo) {
+    const label = 'Parseable contact info';
+    const hasEmail = Boolean(personalInfo.email);
+    const hasPhone = Boolean(personalInfo.phone);
+
+    if (!hasEmail) {
+      return this.result('contact-info', label, 'fail',
+        'No email address could be read from the text; it may be inside an image, header or footer');
+    }
+
+    // The text above the first section heading
+    const header = sections.find(section => section.type === 'header');
+    const inHeader = Boolean(header) && fileProcessor.sectionText(text, header).includes(personalInfo.email);
+
+    if (!hasPhone) {
+      return this.result('contact-info', label, 'warn', 'Email found but no phone number could be read');
+    }
+
+    if (!inHeader) {
+      return this.result('contact-info', label, 'warn', 'Contact details found, but not at the top of the resume');
+    }
+
+    return this.result('contact-info', label, 'pass', 'Email and phone number are readable at the top of the resume');
+  }
+
+  checkLinks(links) {
+    if (!links || links.length === 0) return null;
+    const label = 'Working links';
+
+    const broken = links.filter(link => link.status === 'broken');
+    const suspect = links.filter(link => link.status === 'placeholder' || link.status === 'mismatch');
+    const examples = list => list.slice(0, 3)
+      .map(link => `${link.text || link.url.substring(0, 60)}: ${link.issue}`)
+      .join('; ');
+
+    if (broken.length > 0) {
+      return this.result('links', label, 'fail',
+        `${broken.length} of ${links.length} link${links.length > 1 ? 's' : ''} will not work (${examples(broken)})`.substring(0, 300));
+    }
+
+    if (suspect.length > 0) {
+      return this.result('links', label, 'warn',
+        `Check ${suspect.length} link${suspect.length > 1 ? 's' : ''} (${examples(suspect)})`.substring(0, 300));
+    }
+
+    return this.result('links', label, 'pass',
+      `All ${links.length} link${links.length > 1 ? 's' : ''} point to real addresses`);
+  }
+
+  checkTables(layout) {
+    if (!layout) return null;
+    const label = 'No tables';
+
+    if (layout.tableCount > 0) {
+      return this.result('tables', label, 'warn',
+        `Found ${layout.tableCount} table${layout.tableCount > 1 ? 's' : ''}; many ATS read tables out of order or skip them`);
+    }
+
+    return this.result('tables', label, 'pass', 'No tables detected');
+  }
+
+  checkColumns(layout) {
+    if (!layout || layout.format !== 'pdf') return null;
+    const label = 'Single-column layout';
+
+    if (layout.multiColumnPages > 0) {
+      const allPages = layout.multiColumnPages === layout.pages.length;
+      return this.result('columns', label, allPages ? 'fail' : 'warn',
+        `Multi-column layout detected on ${layout.multiColumnPages} of ${layout.pages.length} page${layout.pages.length > 1 ? 's' : ''}; ATS often merge columns line by line`);
+    }
+
+    return this.result('columns', label, 'pass', 'Text flows in a single column');
+  }
+
+  checkImageOnlyPages(layout) {
+    if (!layout || layout.format !== 'pdf') return null;
+    const label = 'Selectable text on every page';
+
+    const imageOnly = layout.pages
+      .filter(page => fileProcessor.isScannedPage(page))
+      .map(page => page.pageNumber);
+
+    if (imageOnly.length > 0) {
+      const pageList = `Page${imageOnly.length > 1 ? 's' : ''} ${imageOnly.join(', ')}`;
+
+      if (layout.ocr) {
+        return this.result('image-only-pages', label, 'fail',
+          `${pageList} ${imageOnly.length > 1 ? 'are' : 'is a'} scanned image${imageOnly.length > 1 ? 's' : ''}; we read ${imageOnly.length > 1 ? 'them' : 'it'} with OCR (${layout.ocr.averageConfidence}% confidence), but ATS will not. Upload a PDF exported from your editor instead`);
+      }
+
+      return this.result('image-only-pages', label, 'fail',
+        `${pageList} contain${imageOnly.length > 1 ? '' : 's'} only images; ATS cannot read scanned text`);
+    }
+
+    const empty = layout.pages.filter(page => page.characters < fileProcessor.scannedPageCharacters).map(page => page.pageNumber);
+    if (empty.length > 0) {
+      return this.result('image-only-pages', label, 'warn',
+        `Page${empty.length > 1 ? 's' : ''} ${empty.join(', ')} ha${empty.length > 1 ? 've' : 's'} almost no readable text`);
+    }
+
+    return this.result('image-only-pages', label, 'pass', 'All pages contain selectable text');
+  }
+
+  checkDateFormats(text) {
+    const label = 'Consistent date format';
+    const source = String(text || '');
+    const count = pattern => (source.match(pattern) || []).length;
+
+    const monthName = count(this.datePatterns.monthName);
+    const numeric = count(this.datePatterns.numeric);
+    const shortYear = count(this.datePatterns.shortYear);
+    const yearOnly = count(this.datePatterns.yearOnly);
+
+    if (shortYear > 0) {
+      return this.result('date-formats', label, 'warn',
+        `Found ${shortYear} two-digit year${shortYear > 1 ? 's' : ''} (e.g. "Jan '20"); use four-digit years`);
+    }
+
+    if (monthName > 0 && numeric > 0) {
+      return this.result('date-formats', label, 'warn',
+        'Dates mix month names and numeric formats; pick one style (e.g. "Jan 2020")');
+    }
+
+    if (monthName > 0 || numeric > 0) {
+      return this.result('date-formats', label, 'pass', 'Dates use one consistent month and year format');
+    }
+
+    if (yearOnly > 0) {
+      return this.result('date-formats', label, 'warn',
+        'Dates show years only; adding months helps ATS calculate experience');
+    }
+
+    return this.result('date-formats', label, 'warn', 'No dates found for your experience or education');
+  }
+
+  checkFileName(fileName) {
+    const label = 'Descriptive file name';
+    const name = String(fileName || '');
+    const base = name.replace(/\.[^.]+$/, '');
+
+    if (!base) {
+      return this.result('file-name', label, 'warn', 'File name is missing');
+    }
+
+    if (/[^\w\s.-]/.test(base) || /\s{2,}/.test(base)) {
+      return this.result('file-name', label, 'warn',
+        'File name contains special characters; stick to letters, numbers, hyphens and underscores');
+    }
+
+    if (this.genericFileNames.test(base.replace(/[\s_-]+/g, '')) ||
+        /\(\d+\)|(^|[\s_-])(copy|final|draft|new)([\s_-]|$)|[\s_-]v\d+$/i.test(base)) {
+      return this.result('file-name', label, 'warn',
+        'Use a descriptive file name such as "Firstname_Lastname_Resume"');
+    }
+
+    if (base.length > 60) {
+      return this.result('file-name', label, 'warn', 'File name is longer than 60 characters');
+    }
+
+    return this.result('file-name', label, 'pass', 'File name is clear and professional');
+  }
+
+  checkLength(text, layout) {
+    const label = 'Resume length';
+    const words = String(text || '').split(/\s+/).filter(word => /\w/.test(word)).length;
+    const pages = layout && layout.pageCount ? layout.pageCount : null;
+    const pageNote = pages ? `, ${pages} page${pages > 1 ? 's' : ''}` : '';
+
+    if (words < 150 || words > 2000 || (pages && pages > 3)) {
+      return this.result('length', label, 'fail',
+        `${words} words${pageNote}; aim for 300-1000 words on one or two pages`);
+    }
+
+    if (words < 300 || words > 1000 || (pages && pages > 2)) {
+      return this.result('length', label, 'warn',
+        `${words} words${pageNote}; aim for 300-1000 words on one or two pages`);
+    }
+
+    return this.result('length', label, 'pass', `${words} words${pageNote}`);
+  }
+}
+
+module.exports = new ATSAnalyzer();
@@ -0,0 +1,136 @@
+const geminiService = require('./geminiService');
+
+const WEAK_OPENERS = [
+  'responsible', 'worked', 'working', 'helped', 'helping', 'assisted', 'involved',
+  'participated', 'handled', 'tasked', 'duties', 'did', 'was', 'were', 'in',
+  'supported', 'various', 'some'
+];
+
+const ACTION_VERBS = [
+  'achieved', 'analyzed', 'architected', 'automated', 'built', 'coached', 'created',
+  'cut', 'delivered', 'designed', 'developed', 'drove', 'enabled', 'engineered',
+  'established', 'executed', 'generated', 'grew', 'implemented', 'improved',
+  'increased', 'introduced', 'launched', 'led', 'managed', 'mentored', 'migrated',
+  'optimized', 'owned', 'ran', 'redesigned', 'reduced', 'refactored', 'resolved',
+  'saved', 'scaled', 'shipped', 'spearheaded', 'streamlined', 'trained', 'won', 'wrote'
+];
+
+const BULLET_MARKER = /^([-•*▪◦·●‣–]|\d+[.)])\s+/;
+
+/**
+ * Bullet point rewriter
+ * Finds the weak bullets (weak opener, no numbers, passive voice, too long)
+ * in a resume or a list of bullets and asks the AI provider for rewrites.
+ */
+class BulletRewriter {
+  constructor() {
+    this.maxBullets = 10;
+    this.maxBulletLength = 500;
+    this.maxWords = 28;
+  }
+
+  cleanBullet(bullet) {
+    return String(bullet || '')
+      .replace(BULLET_MARKER, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, this.maxBulletLength);
+  }
+
+  /**
+   * Pull bullet points out of extracted resume text. DOCX extraction drops
+   * list markers, so sentence-like lines are used when no markers are found.
+   */
+  extractBullets(text) {
+    const lines = String(text || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    const marked = lines
+      .filter(line => BULLET_MARKER.test(line))
+      .map(line => this.cleanBullet(line));
+
+    const candidates = marked.length > 0
+      ? marked
+      : lines
+        .filter(line => !line.includes('@') && !line.endsWith(':') && /[a-z]/.test(line))
+        .filter(line => {
+          const words = line.split(/\s+/).length;
+          return words >= 6 && words <= 60;
+        })
+        .map(line => this.cleanBullet(line));
+
+    return candidates.filter(bullet => bullet.length >= 15);
+  }
+
+  assessBullet(bullet) {
+    const issues = [];
+    const words = bullet.split(/\s+/);
+    const firstWord = words[0].toLowerCase().replace(/[^a-z]/g, '');
+
+    if (WEAK_OPENERS.includes(firstWord) ||
+        (!ACTION_VERBS.includes(firstWord) && !/ed$/.test(firstWord))) {
+      issues.push('weak opening verb');
+    }
+
+    if (!/\d/.test(bullet)) {
+      issues.push('no measurable result');
+    }
+
+    if (/\b(was|were|been|being)\s+\w+ed\b/i.test(bullet)) {
+      issues.push('passive voice');
+    }
+
+    if (words.length > this.maxWords) {
+      issues.push('too long');
+    }
+
+    return issues;
+  }
+
+  /**
+   * Rewrite the weakest bullets of a resume text or of a bullet list
+   */
+  async rewrite({ text, bullets, preferences }) {
+    const candidates = Array.isArray(bullets)
+      ? bullets.map(bullet => this.cleanBullet(bullet)).filter(bullet => bullet.length > 0)
+      : this.extractBullets(text);
+
+    // Weakest first, then back in resume order
+    const weak = candidates
+      .map((bullet, position) => ({ bullet, position, issues: this.assessBullet(bullet) }))
+      .filter(item => item.issues.length > 0)
+      .sort((a, b) => b.issues.length - a.issues.length || a.position - b.position)
+      .slice(0, this.maxBullets)
+      .sort((a, b) => a.position - b.position);
+
+    if (weak.length === 0) {
+      return { success: true, data: { rewrites: [], reviewedBullets: candidates.length } };
+    }
+
+    const result = await geminiService.rewriteBullets(
+      weak.map(item => item.bullet),
+      preferences,
+      { issues: weak.map(item => item.issues) }
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      data: {
+        rewrites: result.data.rewrites.map(({ index, ...rewrite }) => ({
+          ...rewrite,
+          issues: weak[index].issues
+        })),
+        reviewedBullets: candidates.length,
+        metadata: result.data.metadata
+      }
+    };
+  }
+}
+
+module.exports = new BulletRewriter();
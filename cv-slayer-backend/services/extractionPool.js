@@ -0,0 +1,187 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'extractionWorker.js');
+
+const busyError = (retryAfter) => Object.assign(
+  new Error('Extraction queue is full'),
+  { code: 'EXTRACTION_BUSY', retryAfter }
+);
+
+/**
+ * Worker-thread pool for fileProcessor.performExtraction
+ * pdf.js, mammoth and OCR run in a bounded number of worker threads, so a
+ * heavy upload never blocks the Express event loop. Jobs beyond the free
+ * workers wait in a bounded queue; when that is full, run() rejects with
+ * code EXTRACTION_BUSY and a retryAfter estimate in seconds. A job that
+ * times out has its worker terminated (and replaced on demand), so the
+ * parse really stops. Idle workers are stopped after five minutes.
+ * EXTRACTION_WORKERS, EXTRACTION_QUEUE_LIMIT and EXTRACTION_MEMORY_MB
+ * override the pool size, queue depth and per-worker heap limit.
+ */
+class ExtractionPool {
+  constructor() {
+    this.size = parseInt(process.env.EXTRACTION_WORKERS, 10) || Math.max(1, Math.min(4, os.cpus().length - 1));
+    this.maxQueue = parseInt(process.env.EXTRACTION_QUEUE_LIMIT, 10) || 20;
+    this.memoryMb = parseInt(process.env.EXTRACTION_MEMORY_MB, 10) || 512;
+    this.maxJobsPerWorker = 100; // recycle workers to bound slow leaks in the parsers
+    this.idleTimeout = 5 * 60 * 1000;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.averageJobMs = 5000;
+  }
+
+  /**
+   * Extract a file in a worker. Resolves with performExtraction's result;
+   * rejects with its error, 'Extraction timeout', or EXTRACTION_BUSY.
+   * The timeout counts from when a worker picks the job up.
+   */
+  run(file, format, { timeout, onProgress } = {}) {
+    if (this.isSaturated()) {
+      return Promise.reject(busyError(this.retryAfterSeconds()));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextJobId++,
+        file: { originalname: file.originalname, mimetype: file.mimetype, size: file.size, buffer: file.buffer },
+        format,
+        timeout,
+        onProgress,
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  // Every worker busy and the queue at its limit
+  isSaturated() {
+    const idle = this.workers.filter(worker => !worker.job).length + (this.size - this.workers.length);
+    return idle === 0 && this.queue.length >= this.maxQueue;
+  }
+
+  // Rough wait until a queued job would start, from recent job durations
+  retryAfterSeconds() {
+    const rounds = Math.ceil((this.queue.length + 1) / this.size);
+    return Math.min(120, Math.max(5, Math.ceil((rounds * this.averageJobMs) / 1000)));
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(worker => worker.job).length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      averageJobMs: Math.round(this.averageJobMs)
+    };
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.workers.find(candidate => !candidate.job);
+      if (!worker) {
+        if (this.workers.length >= this.size) return;
+        worker = this.spawn();
+      }
+      this.start(worker, this.queue.shift());
+    }
+  }
+
+  spawn() {
+    const worker = {
+      thread: new Worker(WORKER_SCRIPT, { resourceLimits: { maxOldGenerationSizeMb: this.memoryMb } }),
+      job: null,
+      jobsRun: 0,
+      idleTimer: null
+    };
+
+    worker.thread.on('message', message => this.handleMessage(worker, message));
+    // A failed worker leaves the pool before its job settles, so the next
+    // job is not handed to it
+    worker.thread.on('error', (error) => {
+      console.error('Extraction worker failed:', error.message);
+      this.retire(worker);
+      this.finish(worker, new Error(error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'File too complex to process' : 'Failed to process file'));
+    });
+    worker.thread.on('exit', () => {
+      this.retire(worker, { terminate: false });
+      this.finish(worker, new Error('Failed to process file'));
+    });
+
+    // Idle workers must not keep the process alive; a running job holds its own timer
+    worker.thread.unref();
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  start(worker, job) {
+    clearTimeout(worker.idleTimer);
+    worker.job = { ...job, startedAt: Date.now() };
+    worker.jobsRun++;
+    worker.job.timer = setTimeout(() => {
+      this.retire(worker);
+      this.finish(worker, new Error('Extraction timeout'));
+    }, job.timeout || 30000);
+
+    worker.thread.postMessage({ id: job.id, file: job.file, format: job.format });
+  }
+
+  handleMessage(worker, message) {
+    if (!worker.job || message.id !== worker.job.id) return;
+
+    if (message.type === 'progress') {
+      if (worker.job.onProgress) worker.job.onProgress(message.event);
+    } else if (message.type === 'done') {
+      this.finish(worker, null, message.result);
+    } else if (message.type === 'error') {
+      this.finish(worker, new Error(message.message));
+    }
+  }
+
+  // Settle the worker's current job, then hand it the next one
+  finish(worker, error, result) {
+    const job = worker.job;
+    if (!job) return;
+
+    clearTimeout(job.timer);
+    worker.job = null;
+    this.averageJobMs = this.averageJobMs * 0.8 + (Date.now() - job.startedAt) * 0.2;
+
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    if (this.workers.includes(worker)) {
+      if (worker.jobsRun >= this.maxJobsPerWorker) {
+        this.retire(worker);
+      } else {
+        worker.idleTimer = setTimeout(() => this.retire(worker), this.idleTimeout);
+        worker.idleTimer.unref();
+      }
+    }
+
+    this.dispatch();
+  }
+
+  retire(worker, { terminate = true } = {}) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) return;
+
+    this.workers.splice(index, 1);
+    clearTimeout(worker.idleTimer);
+    if (terminate) {
+      worker.thread.terminate().catch(() => {});
+    }
+    this.dispatch();
+  }
+}
+
+module.exports = new ExtractionPool();
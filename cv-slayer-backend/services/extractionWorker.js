@@ -0,0 +1,19 @@
+const { parentPort } = require('worker_threads');
+const fileProcessor = require('./fileProcessor');
+
+// Worker thread entry for extractionPool: parses one upload at a time and
+// reports progress, the result or the error message under the job's id.
+// The pool terminates the worker when a job runs out of time.
+parentPort.on('message', async ({ id, file, format }) => {
+  try {
+    // Buffers arrive as plain Uint8Arrays
+    const buffer = Buffer.from(file.buffer.buffer, file.buffer.byteOffset, file.buffer.byteLength);
+    const result = await fileProcessor.performExtraction({ ...file, buffer }, format, {
+      onProgress: event => parentPort.postMessage({ id, type: 'progress', event })
+    });
+
+    parentPort.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    parentPort.postMessage({ id, type: 'error', message: error.message || 'Failed to process file' });
+  }
+});
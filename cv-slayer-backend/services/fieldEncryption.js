@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+
+/**
+ * Field-level encryption for stored resume data
+ * Values are encrypted with AES-256-GCM under the first key of
+ * DATA_ENCRYPTION_KEYS ("id:base64key,id:base64key"). The ciphertext
+ * records the id of its key, so older keys listed after the first one
+ * still decrypt rows written before a rotation; rotate() re-encrypts such a
+ * value under the current key. Values that are not ciphertext (rows stored
+ * before encryption was configured) pass through decrypt() unchanged.
+ * Encrypted fields cannot be queried, so blindIndex() gives a keyed hash
+ * (DATA_BLIND_INDEX_KEY, which does not rotate) to look a value up by.
+ * In production (NODE_ENV unset or "production", as in server.js) both
+ * settings are required and the server does not start without them.
+ * Elsewhere, without keys, data is stored unencrypted and nothing is
+ * indexed.
+ */
+class FieldEncryption {
+  constructor() {
+    this.keys = this.parseKeys(process.env.DATA_ENCRYPTION_KEYS);
+    this.currentKeyId = this.keys.size > 0 ? this.keys.keys().next().value : null;
+    this.blindIndexKey = process.env.DATA_BLIND_INDEX_KEY || '';
+
+    if (!this.currentKeyId && (process.env.NODE_ENV || 'production') === 'production') {
+      throw new Error('DATA_ENCRYPTION_KEYS is required in production');
+    }
+
+    // An unkeyed hash of an email can be reversed from a list of addresses
+    if (this.currentKeyId && this.blindIndexKey.length < 32) {
+      throw new Error('DATA_BLIND_INDEX_KEY (at least 32 characters) is required with DATA_ENCRYPTION_KEYS');
+    }
+
+    if (this.currentKeyId) {
+      console.log('✅ Data encryption keys configured:', this.keys.size, `(current: ${this.currentKeyId})`);
+    } else {
+      console.log('⚠️ No DATA_ENCRYPTION_KEYS configured, personal info is stored unencrypted (development only)');
+    }
+  }
+
+  // Misconfigured keys stop the server instead of silently storing plaintext
+  parseKeys(value) {
+    const keys = new Map();
+
+    String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+        throw new Error('DATA_ENCRYPTION_KEYS entries must look like "keyId:base64Key"');
+      }
+      if (key.length !== 32) {
+        throw new Error(`Data encryption key "${id}" must be 32 bytes (base64 encoded)`);
+      }
+      if (keys.has(id)) {
+        throw new Error(`Data encryption key "${id}" is listed twice`);
+      }
+
+      keys.set(id, key);
+    });
+
+    return keys;
+  }
+
+  isEnabled() {
+    return Boolean(this.currentKeyId);
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  // Id of the key a stored value was encrypted with, or null for plaintext
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.split(':')[2] : null;
+  }
+
+  /**
+   * Encrypt a string under the current key. Empty values and values that
+   * are already encrypted are returned as they are.
+   */
+  encrypt(value) {
+    if (!this.isEnabled() || typeof value !== 'string' || value === '' || this.isEncrypted(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return [PREFIX, this.currentKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  /**
+   * Decrypt a value written by encrypt(). Throws when its key is no longer
+   * configured or the value was tampered with.
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [, , keyId, iv, tag, ciphertext] = value.split(':');
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new Error(`Data encryption key "${keyId}" is not configured`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Encrypted value could not be decrypted');
+    }
+  }
+
+  /**
+   * Encrypt a whole object (a cached analysis, a job result) as one JSON
+   * value. Returned unchanged when encryption is off.
+   */
+  encryptJSON(value) {
+    if (!this.isEnabled() || value === null || value === undefined) {
+      return value;
+    }
+    return this.encrypt(JSON.stringify(value));
+  }
+
+  // Counterpart of encryptJSON(); anything else passes through
+  decryptJSON(value) {
+    return this.isEncrypted(value) ? JSON.parse(this.decrypt(value)) : value;
+  }
+
+  // Keyed lookup hash of a value, case and surrounding space ignored; empty
+  // when encryption is off, since the value itself is then stored
+  blindIndex(value) {
+    const normalized = String(value || '').trim().toLowerCase();
+    if (!normalized || !this.isEnabled()) return '';
+
+    return crypto.createHmac('sha256', this.blindIndexKey).update(normalized).digest('hex');
+  }
+
+  // A value not yet under the current key, re-encrypted; null when it already is
+  rotate(value) {
+    if (!this.isEnabled() || typeof value !== 'string' || value === '' || this.keyIdOf(value) === this.currentKeyId) {
+      return null;
+    }
+
+    return this.encrypt(this.decrypt(value));
+  }
+
+  // rotate() for an encryptJSON() value; one stored in plaintext is encrypted
+  rotateJSON(value) {
+    if (!this.isEnabled() || value === null || value === undefined) {
+      return null;
+    }
+    return this.isEncrypted(value) ? this.rotate(value) : this.encryptJSON(value);
+  }
+}
+
+module.exports = new FieldEncryption();
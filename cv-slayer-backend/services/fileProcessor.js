@@ -1,23 +1,92 @@
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { Parser: HtmlParser } = require('htmlparser2');
+const { marked } = require('marked');
+const { OPS, PDFJS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const ocrService = require('./ocrService');
+const layoutAnalyzer = require('./layoutAnalyzer');
+const wordDocParser = require('./wordDocParser');
+const rtfParser = require('./rtfParser');
+const latexParser = require('./latexParser');
+const jsonResume = require('./jsonResume');
+const formatDetector = require('./formatDetector');
+const zipGuard = require('./zipGuard');
+const extractionPool = require('./extractionPool');
+
+// Without a DOM, pdf.js cannot install fonts as CSS font faces; skipping
+// that step also lets the font names reach the main thread (commonObjs)
+PDFJS.disableFontFace = true;
+
+const IMAGE_OPS = new Set([
+  OPS.paintJpegXObject,
+  OPS.paintImageXObject,
+  OPS.paintImageMaskXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintInlineImageXObjectGroup,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintImageMaskXObjectRepeat
+]);
+
+// HTML elements that break lines, and elements whose content is not text
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tr', 'blockquote',
+  'pre', 'hr', 'dl', 'dt', 'dd', 'address', 'figure', 'figcaption'
+]);
+const HTML_SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'noscript', 'template', 'svg']);
+
+const XML_ELEMENT = 1;
+const XML_TEXT = 3;
+
+// Section heading patterns (English and Hindi), matched against a whole line.
+// Text before the first heading is the "header" section (name, contact details).
+const SECTION_HEADINGS = {
+  experience: [
+    /^(work\s+|professional\s+)?(experience|employment(\s+history)?|work\s+history|career\s+history)$/i,
+    /^((कार्य|व्यावसायिक|पेशेवर)\s+)?अनुभव$/
+  ],
+  education: [
+    /^(education|academic\s+(background|qualifications)|qualifications)$/i,
+    /^(शिक्षा|(शैक्षिक|शैक्षणिक)\s+योग्यता)$/
+  ],
+  skills: [
+    /^((technical|core|key)\s+)?(skills|competencies|expertise)(\s*&\s*\w+)?$/i,
+    /^((तकनीकी|प्रमुख)\s+)?(कौशल|कौशल्य)$/
+  ],
+  summary: [
+    /^(professional\s+)?(summary|profile|objective|career\s+objective|about\s+me)$/i,
+    /^(सारांश|परिचय|उद्देश्य|(करियर|कैरियर)\s+उद्देश्य|प्रोफ़ाइल|प्रोफाइल)$/
+  ],
+  projects: [
+    /^(personal\s+|academic\s+|key\s+)?projects$/i,
+    /^(परियोजनाएं|परियोजनाएँ|परियोजना|प्रोजेक्ट्स?)$/
+  ],
+  certifications: [
+    /^(certifications?|licenses?(\s*&\s*certifications)?|courses)$/i,
+    /^(प्रमाणपत्र|प्रमाण\s+पत्र|प्रमाणन)$/
+  ]
+};
 
 class FileProcessor {
   constructor() {
-    this.supportedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
+    this.supportedTypes = Object.values(formatDetector.formats).map(format => format.mimeType);
     this.maxFileSize = 5 * 1024 * 1024; // 5MB
     this.extractionTimeout = 30000; // 30 seconds
+    this.maxPdfPages = 30;
+    this.maxPdfObjects = 50000;
+    this.scannedPageCharacters = 30; // pages with images and less text than this are scanned
   }
 
+  // Returns the format detected from the file content (see formatDetector)
   validateFile(file) {
     if (!file || !file.buffer || file.buffer.length === 0) {
       throw new Error('No file provided');
     }
 
-    if (!this.supportedTypes.includes(file.mimetype)) {
+    const format = formatDetector.detect(file);
+    if (!format) {
       throw new Error('Unsupported file type');
     }
 
@@ -29,64 +98,181 @@ class FileProcessor {
       throw new Error('File too small');
     }
 
-    return true;
+    return format;
+  }
+
+  // options.onProgress(event) receives pipeline progress events
+  async extractText(file, options = {}) {
+    const document = await this.extractDocument(file, options);
+    return document.text;
   }
 
-  async extractText(file) {
+  // Text plus the layout facts the ATS checks need (pages, images, columns, tables),
+  // the document's hyperlinks and metadata where the format has them.
+  // Structured uploads (JSON Resume) also return their extractedInfo.
+  async extractDocument(file, options = {}) {
+    const report = (event) => options.onProgress && options.onProgress({ stage: 'extracting', ...event });
+
     try {
-      this.validateFile(file);
+      const format = this.validateFile(file);
 
-      console.log('Extracting text from:', file.originalname);
+      console.log('Extracting text from:', file.originalname, `(${format})`);
+      report({ step: 'started', fileType: formatDetector.mimeTypeOf(format) });
 
-      let text;
-      const extractionPromise = this.performExtraction(file);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Extraction timeout')), this.extractionTimeout)
-      );
+      // Scanned PDFs may need OCR, which gets its own time budget
+      const timeout = format === 'pdf' && ocrService.isEnabled()
+        ? this.extractionTimeout + ocrService.timeout
+        : this.extractionTimeout;
 
-      text = await Promise.race([extractionPromise, timeoutPromise]);
+      // Parsed in a worker thread, off the event loop; see extractionPool
+      const { text, layout, extractedInfo, links, metadata } = await extractionPool.run(file, format, {
+        timeout,
+        onProgress: report
+      });
 
       if (!text || typeof text !== 'string' || text.trim().length < 10) {
         throw new Error('No readable content found');
       }
 
+      report({ step: 'extracted', characters: text.length });
+
       const cleanedText = this.cleanText(text);
+      const sections = this.segmentSections(cleanedText);
 
       console.log('Text extracted successfully, length:', cleanedText.length);
-      return cleanedText;
+      report({ step: 'cleaned', characters: cleanedText.length, sections: sections.map(section => section.type) });
+      return {
+        text: cleanedText,
+        layout,
+        sections,
+        links: links || [],
+        metadata: metadata || null,
+        extractedInfo: extractedInfo || null
+      };
 
     } catch (error) {
       console.error('Text extraction failed:', error.message);
+      // A full pool is not a problem with the file; callers turn it into a 503
+      if (error.code === 'EXTRACTION_BUSY') throw error;
       throw new Error(error.message || 'Failed to process file');
     }
   }
 
-  async performExtraction(file) {
-    switch (file.mimetype) {
-      case 'application/pdf':
-        return await this.extractFromPDF(file);
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+  async performExtraction(file, format, options = {}) {
+    // OOXML and ODF are zip archives: check entry count and unpacked size first
+    if (format === 'docx' || format === 'odt') {
+      zipGuard.check(file.buffer);
+    }
+
+    switch (format) {
+      case 'pdf':
+        return await this.extractFromPDF(file, options);
+      case 'docx':
         return await this.extractFromDocx(file);
-      case 'application/msword':
+      case 'doc':
         return await this.extractFromDoc(file);
+      case 'odt':
+        return await this.extractFromOdt(file);
+      case 'rtf':
+        return this.extractFromRtf(file);
+      case 'txt':
+        return this.extractFromText(file);
+      case 'markdown':
+        return this.extractFromMarkdown(file);
+      case 'html':
+        return this.extractFromHtml(file);
+      case 'latex':
+        return this.extractFromLatex(file);
+      case 'jsonresume':
+        return this.extractFromJsonResume(file);
       default:
         throw new Error('Unsupported file format');
     }
   }
 
-  async extractFromPDF(file) {
+  async extractFromPDF(file, options = {}) {
     try {
-      const data = await pdfParse(file.buffer, {
-        normalizeWhitespace: true,
-        disableCombineTextItems: false
+      this.checkPdfLimits(file.buffer);
+
+      const pages = [];
+      const links = [];
+      const ocrDeadline = Date.now() + ocrService.timeout;
+      let ocrPages = 0;
+
+      // pdf.js misreads Buffers that are views into a larger pool (small
+      // multer uploads), so hand it a copy with its own ArrayBuffer. Images
+      // are decoded by pdf.js itself so scanned pages can be passed to OCR.
+      const data = await pdfParse({ data: new Uint8Array(file.buffer), nativeImageDecoderSupport: 'none' }, {
+        max: this.maxPdfPages,
+        pagerender: async (pageData) => {
+          const [textContent, operatorList, annotations] = await Promise.all([
+            pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false }),
+            pageData.getOperatorList(),
+            pageData.getAnnotations()
+          ]);
+
+          let text = this.renderPageText(textContent.items);
+          const page = {
+            pageNumber: pageData.pageIndex + 1,
+            characters: text.replace(/\s/g, '').length,
+            imageCount: operatorList.fnArray.filter(fn => IMAGE_OPS.has(fn)).length,
+            ...this.analyzePageLayout(textContent.items, pageData.getViewport(1.0).width),
+            typography: layoutAnalyzer.measurePage(textContent.items, pageData.view, await this.getPageFonts(pageData, textContent.items))
+          };
+
+          if (this.isScannedPage(page) && ocrService.isEnabled() &&
+              ocrPages < ocrService.maxPages && Date.now() < ocrDeadline) {
+            ocrPages++;
+            const ocr = await this.ocrPage(pageData, operatorList, options);
+            if (ocr) {
+              page.ocr = { confidence: ocr.confidence, characters: ocr.text.replace(/\s/g, '').length };
+              text = ocr.text;
+            }
+          }
+
+          pages.push(page);
+          links.push(...this.getPageLinks(annotations, textContent.items, page.pageNumber));
+          return text;
+        }
       });
 
-      if (!data || !data.text) {
+      // Page trees hidden in compressed object streams escape checkPdfLimits
+      if (data && data.numpages > this.maxPdfPages) {
+        throw new Error('PDF has too many pages');
+      }
+
+      if (!data || !data.text || !data.text.trim()) {
         throw new Error('PDF contains no text');
       }
 
-      return data.text.trim();
+      pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+      return {
+        text: data.text.trim(),
+        layout: {
+          format: 'pdf',
+          pageCount: data.numpages || pages.length,
+          pages,
+          imageCount: pages.reduce((sum, page) => sum + page.imageCount, 0),
+          tableCount: pages.filter(page => page.tableRows > 0).length,
+          multiColumnPages: pages.filter(page => page.columnCount > 1).length,
+          ocr: this.summarizeOCR(pages)
+        },
+        links: links.sort((a, b) => a.page - b.page),
+        metadata: {
+          title: this.cleanMetadata(data.info && data.info.Title),
+          author: this.cleanMetadata(data.info && data.info.Author),
+          creator: this.cleanMetadata(data.info && data.info.Creator),
+          producer: this.cleanMetadata(data.info && data.info.Producer),
+          pageCount: data.numpages || pages.length,
+          createdAt: this.parsePdfDate(data.info && data.info.CreationDate),
+          modifiedAt: this.parsePdfDate(data.info && data.info.ModDate)
+        }
+      };
     } catch (error) {
+      if (error.message.startsWith('PDF has too many')) {
+        throw error;
+      }
       if (error.message.includes('Invalid PDF') || error.message.includes('PDF header')) {
         throw new Error('Corrupted PDF file');
       }
@@ -97,6 +283,151 @@ class FileProcessor {
     }
   }
 
+  // PostScript names of the fonts used by the text items, by pdf.js font id.
+  // Embedded fonts get ids like "g_d0_f1"; fonts that are not embedded are
+  // named by their id.
+  async getPageFonts(pageData, items) {
+    // Font objects arrive as messages queued behind the operator list
+    await new Promise(resolve => setImmediate(resolve));
+
+    const fonts = {};
+    new Set(items.map(item => item.fontName)).forEach(id => {
+      const font = pageData.commonObjs.isResolved(id) ? pageData.commonObjs.get(id) : null;
+      if (font && typeof font.name === 'string') {
+        fonts[id] = font.name;
+      } else if (id && !/^g_/.test(id)) {
+        fonts[id] = id;
+      }
+    });
+    return fonts;
+  }
+
+  /**
+   * Reject PDFs with more objects or pages than any resume needs before
+   * pdf.js parses them. Objects are counted from the xref size (/Size) and
+   * the "N 0 obj" headers in the file; pages from their /Type /Page
+   * dictionaries.
+   */
+  checkPdfLimits(buffer) {
+    const source = buffer.toString('latin1');
+    let objects = (source.match(/\b\d+\s+\d+\s+obj\b/g) || []).length;
+
+    for (const match of source.matchAll(/\/Size\s+(\d+)/g)) {
+      objects = Math.max(objects, parseInt(match[1], 10));
+    }
+
+    if (objects > this.maxPdfObjects) {
+      throw new Error('PDF has too many objects');
+    }
+
+    if ((source.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length > this.maxPdfPages) {
+      throw new Error('PDF has too many pages');
+    }
+  }
+
+  /**
+   * External links from a page's link annotations, with the text drawn
+   * inside each link's rectangle (the anchor text, e.g. "LinkedIn")
+   */
+  getPageLinks(annotations, items, pageNumber) {
+    return (annotations || [])
+      .filter(annotation => annotation.subtype === 'Link' && (annotation.unsafeUrl || annotation.url))
+      .map(annotation => ({
+        url: annotation.unsafeUrl || annotation.url,
+        text: this.anchorText(annotation.rect, items),
+        page: pageNumber
+      }));
+  }
+
+  // Text items (or the covered part of them) whose baseline lies in the rectangle
+  anchorText(rect, items) {
+    if (!Array.isArray(rect) || rect.length !== 4) return '';
+    const [left, bottom, right, top] = [Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]),
+      Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])];
+
+    return items
+      .filter(item => item.transform[5] >= bottom - 2 && item.transform[5] <= top)
+      .map(item => {
+        const start = item.transform[4];
+        const end = start + (item.width || 0);
+        if (end <= left || start >= right || !item.str) return '';
+        if (start >= left && end <= right) return item.str;
+
+        // Items are often whole lines; keep the characters inside the link
+        const perChar = (end - start) / item.str.length;
+        const from = Math.max(0, Math.round((left - start) / perChar));
+        const to = Math.min(item.str.length, Math.round((right - start) / perChar));
+        return item.str.slice(from, to);
+      })
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  cleanMetadata(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().substring(0, 200) : '';
+  }
+
+  // PDF dates look like D:20240131120000+05'30' (or Z for UTC)
+  parsePdfDate(value) {
+    const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([+-])(\d{2})'?(\d{2})?'?)?/
+      .exec(typeof value === 'string' ? value : '');
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours, offsetMinutes = '00'] = match;
+    const zone = sign ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  isScannedPage(page) {
+    return page.imageCount > 0 && page.characters < this.scannedPageCharacters;
+  }
+
+  // Decoded images drawn on a PDF page
+  getPageImages(pageData, operatorList) {
+    return operatorList.fnArray.flatMap((fn, index) => {
+      const [image] = operatorList.argsArray[index] || [];
+
+      if (fn === OPS.paintInlineImageXObject) return [image];
+      if (fn !== OPS.paintImageXObject) return [];
+
+      try {
+        return [pageData.objs.get(image)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  // OCR a scanned page; failures leave the page without text
+  async ocrPage(pageData, operatorList, options = {}) {
+    const pageNumber = pageData.pageIndex + 1;
+    if (options.onProgress) options.onProgress({ stage: 'extracting', step: 'ocr', page: pageNumber });
+
+    try {
+      const result = await ocrService.recognizePage(this.getPageImages(pageData, operatorList));
+      if (result) {
+        console.log(`OCR page ${pageNumber}: ${result.text.length} characters, confidence ${result.confidence}%`);
+      }
+      return result;
+    } catch (error) {
+      console.error(`OCR failed on page ${pageNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  // Per-page OCR confidence, or null when no page needed OCR
+  summarizeOCR(pages) {
+    const ocrPages = pages.filter(page => page.ocr);
+    if (ocrPages.length === 0) return null;
+
+    return {
+      pages: ocrPages.map(page => ({ pageNumber: page.pageNumber, ...page.ocr })),
+      averageConfidence: Math.round(ocrPages.reduce((sum, page) => sum + page.ocr.confidence, 0) / ocrPages.length)
+    };
+  }
+
   async extractFromDocx(file) {
     try {
       const result = await mammoth.extractRawText({
@@ -108,7 +439,28 @@ class FileProcessor {
         throw new Error('DOCX contains no text');
       }
 
-      return result.value.trim();
+      // Tables and images only show up in the HTML conversion
+      const html = await mammoth.convertToHtml({ buffer: file.buffer }, {
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+      });
+
+      const zip = await JSZip.loadAsync(file.buffer);
+      const metadata = await this.readDocxMetadata(zip);
+
+      return {
+        text: result.value.trim(),
+        layout: {
+          format: 'docx',
+          pageCount: metadata.pageCount,
+          pages: [],
+          imageCount: (html.value.match(/<img\b/g) || []).length,
+          tableCount: (html.value.match(/<table\b/g) || []).length,
+          multiColumnPages: 0,
+          ocr: null
+        },
+        links: await this.readDocxLinks(zip),
+        metadata
+      };
     } catch (error) {
       if (error.message.includes('not a valid') || error.message.includes('End of central directory')) {
         throw new Error('Corrupted DOCX file');
@@ -117,23 +469,478 @@ class FileProcessor {
     }
   }
 
+  /**
+   * Hyperlinks in the body, headers, footers and notes: <w:hyperlink>
+   * elements resolved through the part's relationships, and HYPERLINK
+   * fields (simple and complex), each with its display text
+   */
+  async readDocxLinks(zip) {
+    const parts = zip.file(/^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/);
+    const links = [];
+
+    for (const part of parts) {
+      const name = part.name.replace(/^word\//, '');
+      const relsFile = zip.file(`word/_rels/${name}.rels`);
+      const targets = new Map();
+
+      if (relsFile) {
+        const rels = new DOMParser().parseFromString(await relsFile.async('string'), 'text/xml');
+        Array.from(rels.getElementsByTagName('Relationship'))
+          .filter(rel => /\/hyperlink$/.test(rel.getAttribute('Type')))
+          .forEach(rel => targets.set(rel.getAttribute('Id'), rel.getAttribute('Target')));
+      }
+
+      const document = new DOMParser().parseFromString(await part.async('string'), 'text/xml');
+      const textOf = node => Array.from(node.getElementsByTagName('w:t')).map(t => t.textContent).join('');
+
+      Array.from(document.getElementsByTagName('w:hyperlink'))
+        .filter(link => targets.has(link.getAttribute('r:id')))
+        .forEach(link => links.push({ url: targets.get(link.getAttribute('r:id')), text: textOf(link), page: null }));
+
+      Array.from(document.getElementsByTagName('w:fldSimple')).forEach(field => {
+        const url = this.hyperlinkFieldTarget(field.getAttribute('w:instr'));
+        if (url) links.push({ url, text: textOf(field), page: null });
+      });
+
+      // Complex fields: begin, instruction runs, separate, result runs, end
+      let field = null;
+      for (const run of Array.from(document.getElementsByTagName('w:r'))) {
+        const charType = (run.getElementsByTagName('w:fldChar')[0] || { getAttribute: () => null }).getAttribute('w:fldCharType');
+
+        if (charType === 'begin') {
+          field = { instruction: '', text: '', separated: false };
+        } else if (charType === 'separate' && field) {
+          field.separated = true;
+        } else if (charType === 'end' && field) {
+          const url = this.hyperlinkFieldTarget(field.instruction);
+          if (url) links.push({ url, text: field.text, page: null });
+          field = null;
+        } else if (field) {
+          field.instruction += Array.from(run.getElementsByTagName('w:instrText')).map(t => t.textContent).join('');
+          if (field.separated) field.text += textOf(run);
+        }
+      }
+    }
+
+    return links;
+  }
+
+  // Target of a HYPERLINK field instruction; \l links are bookmarks in the document
+  hyperlinkFieldTarget(instruction) {
+    const match = /^\s*HYPERLINK\s+(\\l\s+)?"([^"]*)"/i.exec(instruction || '');
+    return match && !match[1] ? match[2] : null;
+  }
+
+  // Core and extended properties (docProps/core.xml, docProps/app.xml)
+  async readDocxMetadata(zip) {
+    const read = async (path) => {
+      const entry = zip.file(path);
+      return entry ? new DOMParser().parseFromString(await entry.async('string'), 'text/xml') : null;
+    };
+    const [core, app] = await Promise.all([read('docProps/core.xml'), read('docProps/app.xml')]);
+    const value = (document, tag) => {
+      const node = document && document.getElementsByTagName(tag)[0];
+      return node ? this.cleanMetadata(node.textContent) : '';
+    };
+    const date = (tag) => {
+      const parsed = new Date(value(core, tag));
+      return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+    };
+
+    const application = [value(app, 'Application'), value(app, 'AppVersion')].filter(Boolean).join(' ');
+    const pages = parseInt(value(app, 'Pages'), 10);
+
+    return {
+      title: value(core, 'dc:title'),
+      author: value(core, 'dc:creator'),
+      creator: application,
+      producer: '',
+      pageCount: pages > 0 ? pages : null,
+      createdAt: date('dcterms:created'),
+      modifiedAt: date('dcterms:modified')
+    };
+  }
+
   async extractFromDoc(file) {
     try {
-      const result = await mammoth.extractRawText({
-        buffer: file.buffer,
-        convertImage: mammoth.images.ignoreAll
-      });
+      const result = wordDocParser.parse(file.buffer);
 
-      if (!result || !result.value) {
+      if (!result.text.trim()) {
         throw new Error('DOC contains no text');
       }
 
-      return result.value.trim();
+      return {
+        text: result.text.trim(),
+        layout: {
+          format: 'doc',
+          pageCount: null,
+          pages: [],
+          imageCount: result.imageCount,
+          tableCount: result.tableCount,
+          multiColumnPages: 0,
+          ocr: null
+        }
+      };
     } catch (error) {
-      throw new Error('Legacy DOC files may not be fully supported. Please use DOCX or PDF.');
+      if (error.message.includes('Password-protected') || error.message.includes('Word 6.0/95')) {
+        throw error;
+      }
+      if (error.message.includes('Corrupted') || error.message.includes('Not a Word document')) {
+        throw new Error('Corrupted DOC file');
+      }
+      throw new Error('Failed to process DOC');
     }
   }
 
+  async extractFromOdt(file) {
+    try {
+      const zip = await JSZip.loadAsync(file.buffer);
+      const content = zip.file('content.xml');
+      if (!content) {
+        throw new Error('Corrupted ODT file');
+      }
+
+      const document = new DOMParser().parseFromString(await content.async('string'), 'text/xml');
+      const counts = { tables: 0, images: 0 };
+      const text = this.renderOdtText(document.documentElement, counts);
+
+      if (!text.trim()) {
+        throw new Error('ODT contains no text');
+      }
+
+      const meta = zip.file('meta.xml') ? await zip.file('meta.xml').async('string') : '';
+      const pageCount = (meta.match(/meta:page-count="(\d+)"/) || [])[1];
+
+      return {
+        text: text.trim(),
+        layout: this.textLayout('odt', counts, pageCount ? parseInt(pageCount, 10) : null)
+      };
+    } catch (error) {
+      if (error.message.includes('Corrupted') || error.message.includes('zip')) {
+        throw new Error('Corrupted ODT file');
+      }
+      throw new Error('Failed to process ODT');
+    }
+  }
+
+  /**
+   * Text of an OpenDocument element tree: one line per paragraph, heading
+   * and table row. Spaces inside paragraphs are collapsed as in ODF itself;
+   * <text:s>, <text:tab> and <text:line-break> carry the real whitespace.
+   */
+  renderOdtText(node, counts) {
+    let text = '';
+
+    for (const child of Array.from(node.childNodes || [])) {
+      if (child.nodeType === XML_TEXT) {
+        text += child.nodeValue.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.nodeType !== XML_ELEMENT) continue;
+
+      switch (child.localName) {
+        case 'p':
+        case 'h':
+          text += `${this.renderOdtText(child, counts)}\n`;
+          break;
+        case 's':
+          text += ' '.repeat(parseInt(child.getAttribute('text:c'), 10) || 1);
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'line-break':
+          text += '\n';
+          break;
+        case 'table':
+          counts.tables++;
+          text += this.renderOdtText(child, counts);
+          break;
+        case 'table-row':
+          text += `${Array.from(child.childNodes)
+            .filter(cell => cell.localName === 'table-cell')
+            .map(cell => this.renderOdtText(cell, counts).trim().replace(/\n/g, ' '))
+            .join('\t')}\n`;
+          break;
+        case 'image':
+          counts.images++;
+          break;
+        case 'note':
+        case 'annotation':
+        case 'tracked-changes':
+        case 'sequence-decls':
+        case 'font-face-decls':
+        case 'automatic-styles':
+        case 'scripts':
+          break;
+        default:
+          text += this.renderOdtText(child, counts);
+      }
+    }
+
+    return text;
+  }
+
+  extractFromRtf(file) {
+    let result;
+    try {
+      result = rtfParser.parse(file.buffer);
+    } catch (error) {
+      throw new Error('Corrupted RTF file');
+    }
+
+    if (!result.text.trim()) {
+      throw new Error('RTF contains no text');
+    }
+
+    return {
+      text: result.text.trim(),
+      layout: this.textLayout('rtf', { tables: result.tableCount, images: result.imageCount })
+    };
+  }
+
+  extractFromText(file) {
+    const text = formatDetector.decodeText(file.buffer);
+    if (!text || !text.trim()) {
+      throw new Error('Text file contains no text');
+    }
+
+    return {
+      text: text.trim(),
+      layout: this.textLayout('txt', { tables: 0, images: 0 })
+    };
+  }
+
+  // Markdown is rendered to HTML first, so both share one text conversion
+  extractFromMarkdown(file) {
+    const source = formatDetector.decodeText(file.buffer);
+    if (!source || !source.trim()) {
+      throw new Error('Markdown file contains no text');
+    }
+
+    const result = this.htmlToText(marked.parse(source, { gfm: true, async: false }));
+
+    return {
+      text: result.text.trim(),
+      layout: this.textLayout('markdown', result)
+    };
+  }
+
+  extractFromHtml(file) {
+    const source = formatDetector.decodeText(file.buffer);
+    if (!source || !source.trim()) {
+      throw new Error('HTML file contains no text');
+    }
+
+    const result = this.htmlToText(source);
+    if (!result.text.trim()) {
+      throw new Error('HTML file contains no text');
+    }
+
+    return {
+      text: result.text.trim(),
+      layout: this.textLayout('html', result)
+    };
+  }
+
+  // Analyzed from the source, so no compiled PDF is needed
+  extractFromLatex(file) {
+    const source = formatDetector.decodeText(file.buffer);
+    if (!source || !source.trim()) {
+      throw new Error('LaTeX file contains no text');
+    }
+
+    const result = latexParser.parse(source);
+    if (!result.text.trim()) {
+      throw new Error('LaTeX file contains no text');
+    }
+
+    return {
+      text: result.text,
+      layout: this.textLayout('latex', { tables: result.tableCount, images: result.imageCount })
+    };
+  }
+
+  // The structured fields are taken as they are; the text is only for the AI and ATS checks
+  extractFromJsonResume(file) {
+    const resume = jsonResume.parse(file.buffer);
+
+    return {
+      text: jsonResume.toText(resume),
+      layout: this.textLayout('jsonresume', { tables: 0, images: 0 }),
+      extractedInfo: jsonResume.toExtractedInfo(resume)
+    };
+  }
+
+  /**
+   * Visible text of an HTML document. Block elements start new lines, table
+   * cells are tab separated, and a link's address is kept after its text
+   * ("LinkedIn (https://linkedin.com/in/...)") so contact links survive.
+   */
+  htmlToText(html) {
+    const counts = { tables: 0, images: 0 };
+    const links = [];
+    let text = '';
+    let skipDepth = 0;
+    let preDepth = 0;
+    let cellIndex = 0;
+
+    const parser = new HtmlParser({
+      onopentag(name, attributes) {
+        if (HTML_SKIPPED_TAGS.has(name)) skipDepth++;
+        if (skipDepth > 0) return;
+
+        if (name === 'pre') preDepth++;
+        if (HTML_BLOCK_TAGS.has(name)) text += '\n';
+
+        switch (name) {
+          case 'br':
+            text += '\n';
+            break;
+          case 'li':
+            text += '- ';
+            break;
+          case 'table':
+            counts.tables++;
+            break;
+          case 'tr':
+            cellIndex = 0;
+            break;
+          case 'td':
+          case 'th':
+            if (cellIndex++ > 0) text += '\t';
+            break;
+          case 'img':
+            counts.images++;
+            break;
+          case 'a':
+            links.push({ href: attributes.href || '', start: text.length });
+            break;
+          default:
+            break;
+        }
+      },
+      ontext(value) {
+        if (skipDepth > 0) return;
+        text += preDepth > 0 ? value : value.replace(/\s+/g, ' ');
+      },
+      onclosetag(name) {
+        if (HTML_SKIPPED_TAGS.has(name)) {
+          skipDepth = Math.max(0, skipDepth - 1);
+          return;
+        }
+        if (skipDepth > 0) return;
+
+        if (name === 'pre') preDepth = Math.max(0, preDepth - 1);
+        if (HTML_BLOCK_TAGS.has(name)) text += '\n';
+
+        if (name === 'a') {
+          const link = links.pop();
+          const href = link ? link.href.replace(/^mailto:/i, '').trim() : '';
+          const label = link ? text.slice(link.start).trim() : '';
+
+          if (/^(https?:\/\/|[^\s@]+@[^\s@]+$)/i.test(href) &&
+              !label.toLowerCase().includes(href.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '').toLowerCase())) {
+            text += ` (${href})`;
+          }
+        }
+      }
+    }, { decodeEntities: true, lowerCaseTags: true });
+
+    parser.write(html);
+    parser.end();
+
+    // Nested blocks leave runs of blank lines
+    text = text.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n');
+
+    return { text, tables: counts.tables, images: counts.images };
+  }
+
+  // Layout facts for formats without pages or positions
+  textLayout(format, counts, pageCount = null) {
+    return {
+      format,
+      pageCount,
+      pages: [],
+      imageCount: counts.images,
+      tableCount: counts.tables,
+      multiColumnPages: 0,
+      ocr: null
+    };
+  }
+
+  // Same line-joining as pdf-parse's default page renderer
+  renderPageText(items) {
+    let lastY;
+    let text = '';
+
+    for (const item of items) {
+      if (lastY === item.transform[5] || lastY === undefined) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
+  /**
+   * Estimate columns and table rows on a PDF page from text positions.
+   * Items on the same baseline are split into segments wherever there is a
+   * wide horizontal gap; a segment start shared by many lines is a column,
+   * and three or more lines with the same 3+ segment starts are a table.
+   */
+  analyzePageLayout(items, pageWidth) {
+    const width = pageWidth || 612;
+    const gapThreshold = width * 0.04;
+    const bucketSize = width * 0.05;
+    const lines = new Map();
+
+    for (const item of items) {
+      if (!item.str || !item.str.trim()) continue;
+      const y = Math.round(item.transform[5]);
+      const x = item.transform[4];
+      if (!lines.has(y)) lines.set(y, []);
+      lines.get(y).push({ x, end: x + (item.width || 0) });
+    }
+
+    const columnStarts = new Map();
+    const rowSignatures = new Map();
+
+    for (const lineItems of lines.values()) {
+      lineItems.sort((a, b) => a.x - b.x);
+
+      const starts = [lineItems[0].x];
+      let end = lineItems[0].end;
+      for (const item of lineItems.slice(1)) {
+        if (item.x - end > gapThreshold) {
+          starts.push(item.x);
+        }
+        end = Math.max(end, item.end);
+      }
+
+      const buckets = starts.map(x => Math.round(x / bucketSize));
+      buckets.slice(1).forEach(bucket => columnStarts.set(bucket, (columnStarts.get(bucket) || 0) + 1));
+
+      if (buckets.length >= 3) {
+        const signature = buckets.join(',');
+        rowSignatures.set(signature, (rowSignatures.get(signature) || 0) + 1);
+      }
+    }
+
+    const minColumnLines = Math.max(4, Math.ceil(lines.size * 0.4));
+    const columnCount = 1 + [...columnStarts.values()].filter(count => count >= minColumnLines).length;
+    const tableRows = Math.max(0, ...rowSignatures.values());
+
+    return {
+      lineCount: lines.size,
+      columnCount,
+      tableRows: tableRows >= 3 ? tableRows : 0
+    };
+  }
+
   cleanText(text) {
     if (!text || typeof text !== 'string') {
       return '';
@@ -151,12 +958,73 @@ class FileProcessor {
       .trim();
   }
 
+  // Section type for a heading line, or null when the line is not a heading
+  matchHeading(line) {
+    if (!line || line.length > 40) return null;
+    const heading = line.replace(/[:\-–—|•*#।]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+    const match = Object.entries(SECTION_HEADINGS)
+      .find(([, patterns]) => patterns.some(pattern => pattern.test(heading)));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Split text into typed sections at heading lines. Offsets index into the
+   * given text: start is the heading line, contentStart the line after it,
+   * end is exclusive. Returned in document order.
+   */
+  segmentSections(text) {
+    const source = String(text || '');
+    const sections = [];
+    let current = { type: 'header', heading: '', start: 0, contentStart: 0 };
+    let offset = 0;
+
+    const close = (section, end) => {
+      // Drop trailing blank lines
+      while (end > section.start && /\s/.test(source[end - 1])) end--;
+      if (section.heading || end > section.start) {
+        sections.push({ ...section, contentStart: Math.min(section.contentStart, end), end });
+      }
+    };
+
+    for (const line of source.split('\n')) {
+      const type = this.matchHeading(line.trim());
+
+      if (type) {
+        close(current, offset);
+        current = {
+          type,
+          heading: line.trim(),
+          start: offset,
+          contentStart: Math.min(offset + line.length + 1, source.length)
+        };
+      }
+
+      offset += line.length + 1;
+    }
+
+    close(current, source.length);
+    return sections;
+  }
+
+  // Section map: type -> sections of that type (a type can appear twice)
+  sectionsByType(sections) {
+    return sections.reduce((map, section) => {
+      (map[section.type] = map[section.type] || []).push(section);
+      return map;
+    }, {});
+  }
+
+  sectionText(text, section, { withHeading = false } = {}) {
+    return String(text || '').slice(withHeading ? section.start : section.contentStart, section.end);
+  }
+
   getFileInfo(file) {
     return {
       name: file?.originalname || 'unknown',
       size: file?.size || 0,
       type: file?.mimetype || 'unknown',
-      isSupported: file ? this.supportedTypes.includes(file.mimetype) : false,
+      isSupported: file ? formatDetector.detect(file) !== null : false,
       sizeInMB: file ? parseFloat((file.size / (1024 * 1024)).toFixed(2)) : 0,
       withinSizeLimit: file ? (file.size <= this.maxFileSize && file.size >= 100) : false
     };
@@ -0,0 +1,238 @@
+const path = require('path');
+const { decodeWindows1252 } = require('../utils/windows1252');
+
+// Supported resume formats. mimeType is the canonical type recorded for the
+// upload; aliases are other types browsers send for the same files.
+const FORMATS = {
+  pdf: {
+    label: 'PDF',
+    mimeType: 'application/pdf',
+    extensions: ['.pdf']
+  },
+  docx: {
+    label: 'DOCX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx']
+  },
+  doc: {
+    label: 'DOC',
+    mimeType: 'application/msword',
+    extensions: ['.doc']
+  },
+  odt: {
+    label: 'ODT',
+    mimeType: 'application/vnd.oasis.opendocument.text',
+    extensions: ['.odt']
+  },
+  rtf: {
+    label: 'RTF',
+    mimeType: 'application/rtf',
+    extensions: ['.rtf'],
+    aliases: ['text/rtf']
+  },
+  txt: {
+    label: 'TXT',
+    mimeType: 'text/plain',
+    extensions: ['.txt']
+  },
+  markdown: {
+    label: 'Markdown',
+    mimeType: 'text/markdown',
+    extensions: ['.md', '.markdown'],
+    aliases: ['text/x-markdown']
+  },
+  html: {
+    label: 'HTML',
+    mimeType: 'text/html',
+    extensions: ['.html', '.htm'],
+    aliases: ['application/xhtml+xml']
+  },
+  latex: {
+    label: 'LaTeX',
+    mimeType: 'application/x-tex',
+    extensions: ['.tex'],
+    aliases: ['text/x-tex', 'application/x-latex', 'text/x-latex']
+  },
+  jsonresume: {
+    label: 'JSON Resume',
+    mimeType: 'application/json',
+    extensions: ['.json']
+  }
+};
+
+const SIGNATURES = {
+  pdf: Buffer.from('%PDF-'),
+  cfb: Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+  zip: Buffer.from([0x50, 0x4B, 0x03, 0x04]),
+  rtf: Buffer.from('{\\rtf')
+};
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Upload format detection
+ * The format of an upload is decided by its content (magic bytes, the ZIP
+ * layout of DOCX and ODT, or a look at the text itself), never by the
+ * mimetype the client sent. The file extension is only used to tell
+ * Markdown, LaTeX fragments and JSON Resume from plain text, which look the
+ * same to a sniffer.
+ */
+class FormatDetector {
+  constructor() {
+    this.formats = FORMATS;
+    this.sampleSize = 8192;
+
+    // What the multer filter lets through for sniffing
+    this.acceptedExtensions = Object.values(FORMATS).flatMap(format => format.extensions);
+    this.acceptedMimeTypes = Object.values(FORMATS).flatMap(format => [format.mimeType, ...(format.aliases || [])]);
+  }
+
+  // Format labels for /api/resume/info and error messages
+  labels() {
+    return Object.values(FORMATS).map(format => format.label);
+  }
+
+  /**
+   * Cheap pre-check for the multer filter. Browsers send many different
+   * mimetypes for text formats (or none at all), so a known extension is
+   * enough; the content is checked by detect() afterwards.
+   */
+  isAcceptedUpload({ originalname, mimetype }) {
+    const extension = path.extname(originalname || '').toLowerCase();
+    return this.acceptedExtensions.includes(extension) || this.acceptedMimeTypes.includes(mimetype);
+  }
+
+  /**
+   * Detected format id (a FORMATS key) for an upload, or null
+   */
+  detect(file) {
+    const buffer = file && file.buffer;
+    if (!buffer || buffer.length === 0) return null;
+
+    // PDF readers accept the header anywhere in the first kilobyte
+    if (buffer.subarray(0, 1024).includes(SIGNATURES.pdf)) return 'pdf';
+    if (this.startsWith(buffer, SIGNATURES.cfb)) return 'doc';
+    if (this.startsWith(buffer, SIGNATURES.zip)) return this.detectZip(buffer);
+    if (this.startsWith(this.stripBOM(buffer), SIGNATURES.rtf)) return 'rtf';
+
+    const text = this.decodeText(buffer.subarray(0, this.sampleSize), { sample: true });
+    if (text === null) return null;
+
+    return this.detectText(text, file);
+  }
+
+  startsWith(buffer, signature) {
+    return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+  }
+
+  stripBOM(buffer) {
+    return this.startsWith(buffer, Buffer.from([0xEF, 0xBB, 0xBF])) ? buffer.subarray(3) : buffer;
+  }
+
+  /**
+   * ODT stores an uncompressed "mimetype" file as its first entry; DOCX
+   * always has word/document.xml, whose name is stored in plain text
+   */
+  detectZip(buffer) {
+    const nameLength = buffer.length >= 30 ? buffer.readUInt16LE(26) : 0;
+    const extraLength = buffer.length >= 30 ? buffer.readUInt16LE(28) : 0;
+    const firstName = buffer.subarray(30, 30 + nameLength).toString('latin1');
+
+    if (firstName === 'mimetype') {
+      const start = 30 + nameLength + extraLength;
+      const content = buffer.subarray(start, start + ODT_MIMETYPE.length).toString('latin1');
+      return content === ODT_MIMETYPE ? 'odt' : null;
+    }
+
+    return buffer.includes('word/document.xml') ? 'docx' : null;
+  }
+
+  /**
+   * Decode text content (UTF-8 or UTF-16 with a BOM, otherwise UTF-8 with a
+   * Windows-1252 fallback). Returns null when the bytes look binary. With
+   * sample, a multi-byte character cut off at the end is not an error.
+   */
+  decodeText(buffer, { sample = false } = {}) {
+    let text;
+
+    if (this.startsWith(buffer, Buffer.from([0xFF, 0xFE]))) {
+      text = buffer.subarray(2, buffer.length - (buffer.length % 2)).toString('utf16le');
+    } else if (this.startsWith(buffer, Buffer.from([0xFE, 0xFF]))) {
+      const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2))).swap16();
+      text = swapped.toString('utf16le');
+    } else {
+      const bytes = this.stripBOM(buffer);
+      if (bytes.includes(0)) return null;
+
+      try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(sample ? bytes.subarray(0, this.utf8Boundary(bytes)) : bytes);
+      } catch (error) {
+        text = decodeWindows1252(bytes);
+      }
+    }
+
+    // Text files have almost no control characters besides whitespace
+    const controls = (text.match(/[\x00-\x08\x0E-\x1F\x7F]/g) || []).length;
+    return controls > text.length * 0.01 ? null : text;
+  }
+
+  // Length of the sample without a trailing incomplete UTF-8 sequence
+  utf8Boundary(bytes) {
+    const end = bytes.length;
+    let back = 0;
+
+    while (back < 3 && end - back - 1 >= 0 && (bytes[end - back - 1] & 0xC0) === 0x80) back++;
+    const lead = bytes[end - back - 1];
+    const expected = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+
+    return expected > back + 1 ? end - back - 1 : end;
+  }
+
+  detectText(text, file) {
+    const start = text.trimStart().slice(0, 1000);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    // A JSON object that is named .json or has JSON Resume's top-level keys;
+    // the schema itself is checked when the file is read
+    if (start.startsWith('{') &&
+        (extension === '.json' || file.mimetype === FORMATS.jsonresume.mimeType ||
+         /"(\$schema|basics|work|education|skills)"\s*:/.test(text))) {
+      return 'jsonresume';
+    }
+
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html|head|body)\b/i.test(start)) {
+      return 'html';
+    }
+
+    // LaTeX source: a document preamble, or a .tex file using commands
+    if (/^[ \t]*\\(documentclass|begin\{document\})/m.test(text) ||
+        (FORMATS.latex.extensions.includes(extension) && /\\[a-zA-Z]+/.test(text))) {
+      return 'latex';
+    }
+
+    const claimedMarkdown = FORMATS.markdown.extensions.includes(extension) ||
+      [FORMATS.markdown.mimeType, ...FORMATS.markdown.aliases].includes(file.mimetype);
+
+    if (claimedMarkdown || this.looksLikeMarkdown(text)) return 'markdown';
+
+    // A fragment saved as .html without <html> or <body>
+    if (FORMATS.html.extensions.includes(extension) && /<(p|div|h[1-6]|ul|li|table|span|a)\b[^>]*>/i.test(start)) {
+      return 'html';
+    }
+
+    return 'txt';
+  }
+
+  // ATX headings plus emphasis, links or a table: plain text rarely has both
+  looksLikeMarkdown(text) {
+    const headings = (text.match(/^#{1,6}[ \t]+\S/gm) || []).length;
+    const markup = /\*\*[^*\n]+\*\*|__[^_\n]+__|\[[^\]\n]+\]\([^)\s]+\)|^\|.*\|\s*$/m.test(text);
+    return headings >= 2 || (headings >= 1 && markup);
+  }
+
+  mimeTypeOf(formatId) {
+    return FORMATS[formatId] ? FORMATS[formatId].mimeType : null;
+  }
+}
+
+module.exports = new FormatDetector();
@@ -1,81 +1,103 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const crypto = require('crypto');
+const { getAIConfig } = require('../config/ai');
+const { SECTION_WEIGHTS, SECTION_KEYS, computeOverallScore } = require('../config/scoring');
+const { getToneConfig } = require('../config/tone');
+const { createProvider } = require('./providers');
+const resumeChunker = require('./resumeChunker');
+const resumeInfoNormalizer = require('./resumeInfoNormalizer');
+const piiRedactor = require('./piiRedactor');
 
 class GeminiService {
   constructor() {
-    this.validateEnvironment();
-    
-    const apiKey = process.env.GEMINI_API_KEY;
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    
-    this.model = this.genAI.getGenerativeModel({ 
-      model: "gemini-1.5-flash",
-      generationConfig: {
-        temperature: 0.6,
-        topP: 0.8,
-        topK: 40,
-        maxOutputTokens: 4000,
-      }
-    });
+    const aiConfig = getAIConfig();
+
+    // The actual model call is delegated to a pluggable provider
+    // (gemini, openai-compatible or offline) chosen through AI_PROVIDER.
+    this.provider = createProvider(aiConfig);
 
     this.maxRetries = 2;
     this.retryDelay = 1000;
-    this.requestTimeout = 30000;
+    this.requestTimeout = aiConfig.requestTimeout;
+    this.redactPii = aiConfig.redactPii;
     
-    console.log('✅ GeminiService initialized');
+    console.log('✅ GeminiService initialized with provider:', this.provider.name);
   }
 
-  validateEnvironment() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
-    
-    if (process.env.GEMINI_API_KEY.length < 30) {
-      throw new Error('Invalid GEMINI_API_KEY format');
-    }
-  }
-
-  generatePrompt(resumeText, preferences) {
+  generatePrompt(resumeText, preferences, options = {}) {
     const sanitizedPreferences = this.sanitizePreferences(preferences);
-    const truncatedText = this.truncateResumeText(resumeText);
-
-    const roastConfigs = {
-      pyar: {
-        english: { tone: 'gentle and encouraging', greeting: 'Let me take a loving look at your resume...' },
-        hindi: { tone: 'प्यार से और प्रेरणादायक', greeting: 'आपका resume देखते हैं प्यार से...' },
-        hinglish: { tone: 'pyaar se aur motivating', greeting: 'Chaliye dekhtein hain aapka resume pyaar se...' }
-      },
-      ache: {
-        english: { tone: 'balanced and constructive', greeting: 'Let me give you an honest assessment...' },
-        hindi: { tone: 'संतुलित और रचनात्मक', greeting: 'आइए आपके resume का संतुलित विश्लेषण करते हैं...' },
-        hinglish: { tone: 'balanced aur constructive', greeting: 'Chaliye aapke resume ka seedha analysis karte hain...' }
-      },
-      dhang: {
-        english: { tone: 'brutally honest and direct', greeting: 'Alright, let me roast your resume...' },
-        hindi: { tone: 'बेरहमी से ईमानदार', greeting: 'ठीक है, अब सच्चाई बताते हैं...' },
-        hinglish: { tone: 'bilkul seedha aur savage', greeting: 'Arre bhai/behen, ab batata hun ki kya ghotala hai...' }
-      }
-    };
-
-    const config = roastConfigs[sanitizedPreferences.roastLevel][sanitizedPreferences.language];
+    const part = options.part || null;
+    const jobDescription = options.jobDescription ? String(options.jobDescription).substring(0, 4000) : '';
+    const config = getToneConfig(sanitizedPreferences);
+
+    const jobSection = jobDescription ? `
+TARGET JOB DESCRIPTION:
+${jobDescription}
+
+JOB MATCHING:
+- Judge the resume against this specific posting, not in a vacuum
+- List the required and preferred keywords (skills, tools, qualifications) the posting asks for
+- Give concrete tailoring suggestions for this posting
+` : '';
+
+    const jobMatchFormat = jobDescription ? `
+  "jobMatch": {
+    "matchScore": 70,
+    "requiredKeywords": ["Keyword 1", "Keyword 2"],
+    "preferredKeywords": ["Keyword 3"],
+    "tailoringSuggestions": ["Suggestion 1", "Suggestion 2"]
+  },` : '';
+
+    const partSection = part ? `
+RESUME PART ${part.index} OF ${part.total}:
+This resume is long, so it is analyzed in parts. This part contains: ${part.sections.join(', ')}.
+- Base strengths, weaknesses and improvements only on this part
+- Score "formatting" and the sections this part contains (${part.scoredSections.join(', ') || 'none'}); use null as the score of every other section
+` : '';
+
+    // Headings found by fileProcessor.segmentSections (whole-resume prompts only)
+    const detectedSections = !part && Array.isArray(options.sections)
+      ? [...new Set(options.sections.map(section => section.name))]
+      : [];
+    const sectionsSection = detectedSections.length > 0 ? `
+DETECTED SECTIONS: ${detectedSections.join(', ')}
+- "header" is the text above the first heading (name and contact details)
+- A section that is not listed has no heading of its own; score it on what the rest of the resume shows
+` : '';
+
+    // Measurements from layoutAnalyzer; the text above has lost its formatting
+    const layoutHints = Array.isArray(options.layoutHints) ? options.layoutHints.slice(0, 12) : [];
+    const layoutSection = layoutHints.length > 0 ? `
+LAYOUT (measured from the PDF):
+${layoutHints.map(hint => `- ${hint}`).join('\n')}
+- Base the "formatting" score and any layout feedback on these measurements; do not guess fonts or spacing from the text
+` : '';
+
+    const greeting = !part || part.index === 1 ? `\n- Start with: "${config.greeting}"` : '\n- Do not start with a greeting; this continues an earlier part';
 
     const prompt = `You are an expert resume reviewer. Analyze this resume and provide feedback.
 
-RESUME CONTENT:
-${truncatedText}
-
+RESUME CONTENT${part ? ` (PART ${part.index} OF ${part.total})` : ''}:
+${resumeText}
+${sectionsSection}${layoutSection}${partSection}${jobSection}
 ANALYSIS REQUIREMENTS:
 - Tone: ${config.tone}
 - Language: ${sanitizedPreferences.language}
-- Roast Type: ${sanitizedPreferences.roastType}
-- Start with: "${config.greeting}"
+- Roast Type: ${sanitizedPreferences.roastType}${greeting}
 
 Provide detailed feedback, extract basic information, and score the resume.
 
+SCORING:
+- Score each section from 0 to 100: ${SECTION_KEYS.join(', ')}
+- "formatting" covers layout, length, consistency and readability
+- Give each score a one-sentence rationale that names what raised or lowered it
+- Do not give an overall score; it is computed from the section scores
+
 RESPONSE FORMAT (VALID JSON ONLY):
 {
   "roastFeedback": "Your detailed feedback (3-4 paragraphs)",
-  "score": 75,
+  "sectionScores": {
+${SECTION_KEYS.map(key => `    "${key}": { "score": 70, "rationale": "One sentence" }`).join(',\n')}
+  },
   "strengths": ["Strength 1", "Strength 2", "Strength 3"],
   "weaknesses": ["Weakness 1", "Weakness 2", "Weakness 3"],
   "improvements": [
@@ -85,7 +107,7 @@ RESPONSE FORMAT (VALID JSON ONLY):
       "description": "Description",
       "example": "Example"
     }
-  ],
+  ],${jobMatchFormat}
   "extractedInfo": {
     "personalInfo": {
       "name": "Name or null",
@@ -96,31 +118,86 @@ RESPONSE FORMAT (VALID JSON ONLY):
       "github": "GitHub or null",
       "website": "Website or null"
     },
+    "professionalSummary": "Summary as written in the resume, or null",
     "skills": {
       "technical": ["Skill 1", "Skill 2"],
-      "soft": ["Soft skill 1", "Soft skill 2"]
+      "soft": ["Soft skill 1", "Soft skill 2"],
+      "languages": ["Spoken language 1"],
+      "tools": ["Tool 1"],
+      "frameworks": ["Framework 1"]
     },
     "experience": [
       {
         "title": "Job Title",
         "company": "Company",
-        "duration": "Duration",
-        "description": "Description"
+        "location": "Location or null",
+        "startDate": "Start date as written",
+        "endDate": "End date as written, or Present",
+        "description": "One-line description",
+        "achievements": ["Achievement 1"]
       }
     ],
     "education": [
       {
         "degree": "Degree",
+        "field": "Field of study",
         "institution": "Institution",
-        "year": "Year"
+        "graduationYear": "Year",
+        "gpa": "GPA or null"
       }
-    ]
+    ],
+    "certifications": ["Certification 1"],
+    "projects": ["Project name: one-line description"],
+    "awards": ["Award 1"],
+    "volunteerWork": ["Volunteer role 1"],
+    "interests": ["Interest 1"]
   }
-}`;
+}
+
+Only extract information that is actually in the resume; use null or [] for anything missing.`;
 
     return prompt;
   }
 
+  generateRewritePrompt(bullets, sanitizedPreferences, issues = []) {
+    const config = getToneConfig(sanitizedPreferences);
+
+    const bulletList = bullets
+      .map((bullet, index) => {
+        const bulletIssues = issues[index] && issues[index].length > 0
+          ? `\n   Issues: ${issues[index].join(', ')}`
+          : '';
+        return `${index + 1}. ${bullet}${bulletIssues}`;
+      })
+      .join('\n');
+
+    return `You are an expert resume writer. Rewrite each weak resume bullet point below.
+
+BULLETS:
+${bulletList}
+
+REWRITE RULES:
+- Start with a strong action verb
+- Show quantified impact; if the bullet has no numbers, add a placeholder such as [X%] or [N users] instead of inventing figures
+- Keep it concise: one line, at most 25 words
+- Keep the facts; do not invent employers, tools or results
+- Keep the language of the original bullet
+- Explain each rewrite in one sentence
+- Tone for the explanations: ${config.tone}
+- Language for the explanations: ${sanitizedPreferences.language}
+
+RESPONSE FORMAT (VALID JSON ONLY):
+{
+  "rewrites": [
+    {
+      "index": 1,
+      "rewritten": "Rewritten bullet",
+      "reason": "Why this version is stronger"
+    }
+  ]
+}`;
+  }
+
   sanitizePreferences(preferences) {
     const validGenders = ['male', 'female', 'other'];
     const validRoastLevels = ['pyar', 'ache', 'dhang'];
@@ -135,25 +212,12 @@ RESPONSE FORMAT (VALID JSON ONLY):
     };
   }
 
-  truncateResumeText(text) {
-    const maxLength = 6000;
-    if (!text || text.length <= maxLength) {
-      return text;
-    }
-    
-    const truncated = text.substring(0, maxLength);
-    const lastSpace = truncated.lastIndexOf(' ');
-    
-    if (lastSpace > maxLength * 0.8) {
-      return truncated.substring(0, lastSpace) + '\n\n[Content truncated for analysis]';
-    }
-    
-    return truncated + '\n\n[Content truncated for analysis]';
-  }
-
-  async analyzeResume(resumeText, preferences) {
+  // options.onProgress(event) receives pipeline progress events,
+  // including every request attempt and retry
+  async analyzeResume(resumeText, preferences, options = {}) {
     const requestId = crypto.randomUUID();
     const startTime = Date.now();
+    const report = (event) => options.onProgress && options.onProgress(event);
     
     try {
       // Basic validation
@@ -174,9 +238,51 @@ RESPONSE FORMAT (VALID JSON ONLY):
       }
 
       console.log('🚀 Starting resume analysis:', requestId);
+      report({ stage: 'analyzing', step: 'prompt-ready', provider: this.provider.name });
+
+      const jobDescription = options.jobDescription || '';
+      const context = {
+        jobDescription,
+        layoutHints: options.layoutHints || [],
+        preferences: this.sanitizePreferences(preferences)
+      };
+
+      // Contact details are swapped for placeholders in the prompts and put
+      // back into the response. options.personalInfo: extractBasicInfo output
+      const replacements = this.redactPii ? piiRedactor.detect(resumeText, options.personalInfo) : [];
+      if (replacements.length > 0) {
+        console.log('🔒 Redacted PII from prompt:', { requestId, values: replacements.length });
+      }
 
-      const prompt = this.generatePrompt(resumeText, preferences);
-      const response = await this.makeRequestWithRetry(prompt, requestId);
+      // Long resumes are analyzed section by section instead of truncated.
+      // options.sections: fileProcessor.segmentSections output for resumeText
+      const { sections, chunks } = resumeChunker.plan(resumeText, options.sections);
+      let response;
+      let coverage;
+
+      if (chunks.length <= 1) {
+        // The provider only ever sees the redacted text, in the prompt and the context
+        const redactedText = piiRedactor.apply(resumeText, replacements);
+        const prompt = this.generatePrompt(redactedText, preferences, {
+          jobDescription,
+          sections,
+          layoutHints: context.layoutHints
+        });
+        const text = await this.makeRequestWithRetry(prompt, requestId, { ...context, resumeText: redactedText }, { report });
+
+        report({ stage: 'parsing', step: 'started' });
+
+        response = this.parseAndValidateResponse(text, requestId, {
+          expectJobMatch: Boolean(jobDescription)
+        });
+        coverage = this.buildCoverage(chunks, [true]);
+      } else {
+        ({ response, coverage } = await this.analyzeInChunks(chunks, preferences, requestId, { context, report, replacements }));
+      }
+
+      response = piiRedactor.restore(response, replacements);
+
+      report({ stage: 'parsing', step: 'validated', score: response.score });
       const processingTime = Date.now() - startTime;
 
       console.log('✅ Analysis completed:', {
@@ -189,10 +295,12 @@ RESPONSE FORMAT (VALID JSON ONLY):
         success: true,
         data: {
           ...response,
+          coverage,
           metadata: {
             requestId,
             processingTime,
-            modelUsed: 'gemini-1.5-flash',
+            provider: this.provider.name,
+            modelUsed: this.provider.model,
             timestamp: new Date().toISOString()
           }
         }
@@ -222,25 +330,253 @@ RESPONSE FORMAT (VALID JSON ONLY):
     }
   }
 
-  async makeRequestWithRetry(prompt, requestId, retryCount = 0) {
+  /**
+   * Map step: analyze each chunk on its own (sequentially, to stay within
+   * provider rate limits). Reduce step: merge the findings deterministically.
+   * A chunk that still fails after retries is reported as not analyzed in
+   * the coverage instead of failing the whole analysis.
+   */
+  async analyzeInChunks(chunks, preferences, requestId, { context, report, replacements = [] }) {
+    const results = [];
+
+    for (const chunk of chunks) {
+      const part = {
+        index: chunk.index + 1,
+        total: chunks.length,
+        sections: [...new Set(chunk.sections.map(section => section.name))],
+        scoredSections: resumeChunker.scoredSectionsOf(chunk)
+      };
+      const chunkReport = (event) => report({ ...event, chunk: part.index, totalChunks: part.total });
+
+      try {
+        const redactedText = piiRedactor.apply(chunk.text, replacements);
+        const prompt = this.generatePrompt(redactedText, preferences, {
+          jobDescription: context.jobDescription,
+          layoutHints: context.layoutHints,
+          part
+        });
+        const text = await this.makeRequestWithRetry(prompt, requestId, {
+          ...context,
+          resumeText: redactedText,
+          part
+        }, { report: chunkReport });
+
+        results.push({
+          chunk,
+          response: this.parseAndValidateResponse(text, requestId, {
+            expectJobMatch: Boolean(context.jobDescription),
+            partial: true
+          })
+        });
+      } catch (error) {
+        console.error('❌ Chunk analysis failed:', { requestId, chunk: part.index, error: error.message });
+        results.push({ chunk, response: null });
+      }
+    }
+
+    if (results.every(result => !result.response)) {
+      throw new Error('ALL_CHUNKS_FAILED');
+    }
+
+    report({ stage: 'parsing', step: 'started', totalChunks: chunks.length });
+
+    return {
+      response: this.sanitizeResponse(this.mergeChunkResponses(results)),
+      coverage: this.buildCoverage(chunks, results.map(result => Boolean(result.response)))
+    };
+  }
+
+  // Round-robin across chunks so later sections are not crowded out
+  interleave(lists, keyOf, limit) {
+    const seen = new Set();
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+
+    for (let i = 0; i < longest; i++) {
+      for (const list of lists) {
+        if (i >= list.length) continue;
+        const key = keyOf(list[i]);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(list[i]);
+      }
+    }
+
+    return merged.slice(0, limit);
+  }
+
+  mergeChunkResponses(results) {
+    const analyzed = results.filter(result => result.response);
+    const responses = analyzed.map(result => result.response);
+    const textKey = item => String(item).trim().toLowerCase();
+
+    // A section score comes from the chunks that contain that section,
+    // weighted by chunk length; formatting is judged on every chunk
+    const sectionScores = {};
+    for (const key of SECTION_KEYS) {
+      const scored = analyzed.filter(result => result.response.sectionScores[key].score !== null);
+      const relevant = scored.filter(result =>
+        key === 'formatting' || resumeChunker.scoredSectionsOf(result.chunk).includes(key));
+      const sources = relevant.length > 0 ? relevant : scored;
+
+      if (sources.length === 0) {
+        sectionScores[key] = { score: 0, rationale: 'Section not found in the resume' };
+        continue;
+      }
+
+      const totalWeight = sources.reduce((sum, result) => sum + result.chunk.text.length, 0);
+      const main = sources.reduce((best, result) => (result.chunk.text.length > best.chunk.text.length ? result : best));
+
+      sectionScores[key] = {
+        score: sources.reduce((sum, result) =>
+          sum + result.response.sectionScores[key].score * result.chunk.text.length, 0) / totalWeight,
+        rationale: main.response.sectionScores[key].rationale
+      };
+    }
+
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    const feedbackLength = Math.floor(3000 / responses.length);
+    const header = analyzed.find(result => result.chunk.sections.some(section => section.name === 'header')) || analyzed[0];
+    const jobMatches = responses.map(response => response.jobMatch).filter(Boolean);
+    const union = (lists) => this.interleave(lists, item => textKey(item.keyword), 20);
+
+    return {
+      roastFeedback: responses
+        .map(response => {
+          const feedback = response.roastFeedback;
+          if (feedback.length <= feedbackLength) return feedback;
+          const cut = feedback.substring(0, feedbackLength);
+          return cut.substring(0, Math.max(cut.lastIndexOf('. ') + 1, feedbackLength * 0.6));
+        })
+        .join('\n\n'),
+      sectionScores,
+      strengths: this.interleave(responses.map(response => response.strengths), textKey, 5),
+      weaknesses: this.interleave(responses.map(response => response.weaknesses), textKey, 5),
+      improvements: this.interleave(responses.map(response => response.improvements), imp => textKey(imp.title), 5)
+        .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]),
+      ...(jobMatches.length > 0 ? {
+        jobMatch: {
+          matchScore: jobMatches.reduce((sum, jobMatch) => sum + jobMatch.matchScore, 0) / jobMatches.length,
+          requiredKeywords: union(jobMatches.map(jobMatch => jobMatch.requiredKeywords)),
+          preferredKeywords: union(jobMatches.map(jobMatch => jobMatch.preferredKeywords)),
+          tailoringSuggestions: this.interleave(jobMatches.map(jobMatch => jobMatch.tailoringSuggestions), textKey, 8)
+        }
+      } : {}),
+      // Lists are re-validated (and de-duplicated) by sanitizeResponse
+      extractedInfo: {
+        personalInfo: header.response.extractedInfo.personalInfo,
+        professionalSummary: responses.map(response => response.extractedInfo.professionalSummary).find(Boolean) || '',
+        skills: Object.fromEntries(Object.keys(header.response.extractedInfo.skills).map(category =>
+          [category, responses.flatMap(response => response.extractedInfo.skills[category])])),
+        ...Object.fromEntries(['experience', 'education', 'certifications', 'projects', 'awards', 'volunteerWork', 'interests']
+          .map(field => [field, responses.flatMap(response => response.extractedInfo[field])]))
+      }
+    };
+  }
+
+  // Which sections were analyzed, so nothing is dropped silently
+  buildCoverage(chunks, analyzed) {
+    return {
+      chunks: chunks.length,
+      complete: analyzed.every(Boolean),
+      sections: chunks.flatMap((chunk, index) => chunk.sections.map(section => ({
+        name: section.name,
+        heading: section.heading,
+        part: section.part,
+        characters: section.characters,
+        chunk: index + 1,
+        analyzed: Boolean(analyzed[index])
+      })))
+    };
+  }
+
+  // Rewrite weak resume bullets in the user's roastLevel/language tone.
+  // options.issues[i] lists the problems found in bullets[i].
+  async rewriteBullets(bullets, preferences, options = {}) {
+    const requestId = crypto.randomUUID();
+    const startTime = Date.now();
+
     try {
-      console.log('📡 Making Gemini API request:', { requestId, retryCount });
+      if (!Array.isArray(bullets) || bullets.length === 0) {
+        throw new Error('NO_BULLETS');
+      }
+
+      const sanitizedPreferences = this.sanitizePreferences(preferences || {});
+      const issues = Array.isArray(options.issues) ? options.issues : [];
+
+      console.log('✍️ Starting bullet rewrite:', { requestId, bullets: bullets.length });
+
+      const prompt = this.generateRewritePrompt(bullets, sanitizedPreferences, issues);
+      const text = await this.makeRequestWithRetry(prompt, requestId, {
+        task: 'rewrite',
+        bullets,
+        issues,
+        preferences: sanitizedPreferences
+      });
+
+      const rewrites = this.parseRewriteResponse(text, bullets, requestId);
+      const processingTime = Date.now() - startTime;
+
+      console.log('✅ Bullet rewrite completed:', {
+        requestId,
+        rewrites: rewrites.length,
+        time: processingTime + 'ms'
+      });
+
+      return {
+        success: true,
+        data: {
+          rewrites,
+          metadata: {
+            requestId,
+            processingTime,
+            provider: this.provider.name,
+            modelUsed: this.provider.model,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Bullet rewrite failed:', {
+        requestId,
+        error: error.message,
+        time: (Date.now() - startTime) + 'ms'
+      });
+
+      return {
+        success: false,
+        error: this.getErrorMessage(error.message),
+        code: this.getErrorCode(error.message)
+      };
+    }
+  }
+
+  async makeRequestWithRetry(prompt, requestId, context = {}, hooks = {}, retryCount = 0) {
+    const report = hooks.report || (() => {});
+
+    try {
+      console.log('📡 Making AI request:', { requestId, provider: this.provider.name, retryCount });
+      report({
+        stage: 'analyzing',
+        step: 'request',
+        attempt: retryCount + 1,
+        maxAttempts: this.maxRetries + 1
+      });
 
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('REQUEST_TIMEOUT')), this.requestTimeout)
       );
 
-      const requestPromise = this.model.generateContent(prompt);
+      const requestPromise = this.provider.generate(prompt, context);
       
-      const result = await Promise.race([requestPromise, timeoutPromise]);
-      const response = await result.response;
-      const text = response.text();
+      const text = await Promise.race([requestPromise, timeoutPromise]);
 
       if (!text || text.trim().length === 0) {
         throw new Error('EMPTY_RESPONSE');
       }
 
-      return this.parseAndValidateResponse(text, requestId);
+      return text;
 
     } catch (error) {
       console.error('❌ API request failed:', {
@@ -252,51 +588,64 @@ RESPONSE FORMAT (VALID JSON ONLY):
       if (retryCount < this.maxRetries && this.isRetryableError(error)) {
         const delay = this.retryDelay * Math.pow(2, retryCount);
         console.log('🔄 Retrying in', delay + 'ms');
+        report({
+          stage: 'analyzing',
+          step: 'retry',
+          attempt: retryCount + 1,
+          nextAttempt: retryCount + 2,
+          maxAttempts: this.maxRetries + 1,
+          delay,
+          reason: error.message
+        });
         
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeRequestWithRetry(prompt, requestId, retryCount + 1);
+        return this.makeRequestWithRetry(prompt, requestId, context, hooks, retryCount + 1);
       }
       
       throw error;
     }
   }
 
-  parseAndValidateResponse(text, requestId) {
-    try {
-      let cleanedText = text.trim();
-      
-      // Remove markdown formatting
-      cleanedText = cleanedText.replace(/```json\s*|\s*```/g, '');
-      cleanedText = cleanedText.replace(/```\s*|\s*```/g, '');
-      cleanedText = cleanedText.replace(/^```.*?\n/gm, '');
+  // Pull the first complete JSON object out of a model response
+  extractJson(text) {
+    let cleanedText = text.trim();
       
-      // Find JSON boundaries
-      const jsonStart = cleanedText.indexOf('{');
-      let jsonEnd = -1;
-      
-      if (jsonStart !== -1) {
-        let braceCount = 0;
-        for (let i = jsonStart; i < cleanedText.length; i++) {
-          if (cleanedText[i] === '{') braceCount++;
-          if (cleanedText[i] === '}') braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
+    // Remove markdown formatting
+    cleanedText = cleanedText.replace(/```json\s*|\s*```/g, '');
+    cleanedText = cleanedText.replace(/```\s*|\s*```/g, '');
+    cleanedText = cleanedText.replace(/^```.*?\n/gm, '');
+    
+    // Find JSON boundaries
+    const jsonStart = cleanedText.indexOf('{');
+    let jsonEnd = -1;
+    
+    if (jsonStart !== -1) {
+      let braceCount = 0;
+      for (let i = jsonStart; i < cleanedText.length; i++) {
+        if (cleanedText[i] === '{') braceCount++;
+        if (cleanedText[i] === '}') braceCount--;
+        if (braceCount === 0) {
+          jsonEnd = i + 1;
+          break;
         }
       }
-      
-      if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error('NO_JSON_FOUND');
-      }
-      
-      const jsonString = cleanedText.slice(jsonStart, jsonEnd);
-      const jsonResponse = JSON.parse(jsonString);
+    }
+    
+    if (jsonStart === -1 || jsonEnd === -1) {
+      throw new Error('NO_JSON_FOUND');
+    }
+    
+    return JSON.parse(cleanedText.slice(jsonStart, jsonEnd));
+  }
+
+  parseAndValidateResponse(text, requestId, options = {}) {
+    try {
+      const jsonResponse = this.extractJson(text);
       
       // Basic validation
-      this.validateResponse(jsonResponse);
+      this.validateResponse(jsonResponse, options);
       
-      return this.sanitizeResponse(jsonResponse);
+      return this.sanitizeResponse(jsonResponse, options);
       
     } catch (parseError) {
       console.error('❌ Response parsing failed:', {
@@ -308,8 +657,52 @@ RESPONSE FORMAT (VALID JSON ONLY):
     }
   }
 
-  validateResponse(response) {
-    const requiredFields = ['roastFeedback', 'score', 'strengths', 'weaknesses', 'improvements'];
+  parseRewriteResponse(text, bullets, requestId) {
+    try {
+      const jsonResponse = this.extractJson(text);
+
+      if (!Array.isArray(jsonResponse.rewrites) || jsonResponse.rewrites.length === 0) {
+        throw new Error('INVALID_REWRITES');
+      }
+
+      const rewrites = [];
+      jsonResponse.rewrites.forEach((item, position) => {
+        if (!item || typeof item !== 'object') return;
+
+        // Prefer the 1-based index the model echoes back, fall back to order
+        const index = Number.isInteger(item.index) && item.index >= 1 && item.index <= bullets.length
+          ? item.index - 1
+          : position;
+        const rewritten = String(item.rewritten || '').trim().substring(0, 300);
+
+        if (index >= bullets.length || !rewritten || rewrites.some(r => r.index === index)) return;
+
+        rewrites.push({
+          index,
+          original: bullets[index],
+          rewritten,
+          reason: String(item.reason || '').trim().substring(0, 300)
+        });
+      });
+
+      if (rewrites.length === 0) {
+        throw new Error('INVALID_REWRITES');
+      }
+
+      return rewrites.sort((a, b) => a.index - b.index);
+
+    } catch (parseError) {
+      console.error('❌ Rewrite parsing failed:', {
+        requestId,
+        error: parseError.message
+      });
+
+      throw new Error('INVALID_RESPONSE_FORMAT');
+    }
+  }
+
+  validateResponse(response, options = {}) {
+    const requiredFields = ['roastFeedback', 'sectionScores', 'strengths', 'weaknesses', 'improvements'];
     
     for (const field of requiredFields) {
       if (!(field in response)) {
@@ -317,8 +710,22 @@ RESPONSE FORMAT (VALID JSON ONLY):
       }
     }
 
-    if (typeof response.score !== 'number' || response.score < 0 || response.score > 100) {
-      throw new Error('INVALID_SCORE');
+    // The model's own overall score is ignored; every section must be scored
+    // (a chunk of a long resume may leave sections it does not contain null)
+    const sectionScores = response.sectionScores;
+    if (!sectionScores || typeof sectionScores !== 'object') {
+      throw new Error('INVALID_SECTION_SCORES');
+    }
+
+    for (const key of SECTION_KEYS) {
+      if (options.partial && (sectionScores[key] === null || sectionScores[key]?.score === null)) {
+        continue;
+      }
+
+      const score = Number(sectionScores[key]?.score);
+      if (!Number.isFinite(score) || score < 0 || score > 100) {
+        throw new Error('INVALID_SECTION_SCORES');
+      }
     }
 
     if (!Array.isArray(response.strengths) || response.strengths.length === 0) {
@@ -332,12 +739,41 @@ RESPONSE FORMAT (VALID JSON ONLY):
     if (!Array.isArray(response.improvements) || response.improvements.length === 0) {
       throw new Error('INVALID_IMPROVEMENTS');
     }
+
+    if (options.expectJobMatch) {
+      const jobMatch = response.jobMatch;
+      if (!jobMatch || typeof jobMatch !== 'object' ||
+          (!Array.isArray(jobMatch.requiredKeywords) && !Array.isArray(jobMatch.preferredKeywords))) {
+        throw new Error('INVALID_JOB_MATCH');
+      }
+    }
+  }
+
+  sanitizeSectionScores(sectionScores, options = {}) {
+    const sanitized = {};
+
+    for (const key of SECTION_KEYS) {
+      const section = sectionScores?.[key] || {};
+      const missing = section.score === null || section.score === undefined;
+      sanitized[key] = {
+        score: options.partial && missing
+          ? null
+          : Math.max(0, Math.min(100, Math.round(Number(section.score) || 0))),
+        weight: SECTION_WEIGHTS[key],
+        rationale: String(section.rationale || '').substring(0, 300)
+      };
+    }
+
+    return sanitized;
   }
 
-  sanitizeResponse(response) {
+  sanitizeResponse(response, options = {}) {
+    const sectionScores = this.sanitizeSectionScores(response.sectionScores, options);
+
     return {
       roastFeedback: String(response.roastFeedback || '').substring(0, 3000),
-      score: Math.max(0, Math.min(100, Math.round(response.score || 0))),
+      score: computeOverallScore(sectionScores),
+      sectionScores,
       strengths: (response.strengths || [])
         .slice(0, 5)
         .map(s => String(s).substring(0, 200))
@@ -355,7 +791,15 @@ RESPONSE FORMAT (VALID JSON ONLY):
           example: String(imp.example || '').substring(0, 250)
         }))
         .filter(imp => imp.title.length > 0 && imp.description.length > 0),
-      extractedInfo: response.extractedInfo || {}
+      ...(response.jobMatch && typeof response.jobMatch === 'object' ? {
+        jobMatch: {
+          matchScore: Math.max(0, Math.min(100, Math.round(Number(response.jobMatch.matchScore) || 0))),
+          requiredKeywords: Array.isArray(response.jobMatch.requiredKeywords) ? response.jobMatch.requiredKeywords.slice(0, 20) : [],
+          preferredKeywords: Array.isArray(response.jobMatch.preferredKeywords) ? response.jobMatch.preferredKeywords.slice(0, 20) : [],
+          tailoringSuggestions: Array.isArray(response.jobMatch.tailoringSuggestions) ? response.jobMatch.tailoringSuggestions.slice(0, 8) : []
+        }
+      } : {}),
+      extractedInfo: resumeInfoNormalizer.normalize(response.extractedInfo)
     };
   }
 
@@ -385,7 +829,8 @@ RESPONSE FORMAT (VALID JSON ONLY):
       'REQUEST_TIMEOUT': 'TIMEOUT',
       'EMPTY_RESPONSE': 'SERVICE_ERROR',
       'NO_JSON_FOUND': 'PARSING_ERROR',
-      'INVALID_RESPONSE_FORMAT': 'PARSING_ERROR'
+      'INVALID_RESPONSE_FORMAT': 'PARSING_ERROR',
+      'NO_BULLETS': 'INVALID_INPUT'
     };
     
     return errorCodes[errorMessage] || 'AI_ERROR';
@@ -400,7 +845,8 @@ RESPONSE FORMAT (VALID JSON ONLY):
       'REQUEST_TIMEOUT': 'Analysis request timed out',
       'EMPTY_RESPONSE': 'Received empty response from AI service',
       'NO_JSON_FOUND': 'Could not parse AI response',
-      'INVALID_RESPONSE_FORMAT': 'AI response format is invalid'
+      'INVALID_RESPONSE_FORMAT': 'AI response format is invalid',
+      'NO_BULLETS': 'No bullet points to rewrite'
     };
     
     return errorMessages[errorMessage] || 'AI analysis service temporarily unavailable';
@@ -410,6 +856,7 @@ RESPONSE FORMAT (VALID JSON ONLY):
     return {
       roastFeedback: 'We encountered an issue while analyzing your resume. Please try again.',
       score: 0,
+      sectionScores: this.sanitizeSectionScores({}),
       strengths: ['Unable to analyze at this time'],
       weaknesses: ['Analysis failed'],
       improvements: [{
@@ -418,23 +865,7 @@ RESPONSE FORMAT (VALID JSON ONLY):
         description: 'Please try uploading your resume again.',
         example: 'Ensure your resume is in PDF or DOCX format'
       }],
-      extractedInfo: {
-        personalInfo: {
-          name: null,
-          email: null,
-          phone: null,
-          address: null,
-          linkedin: null,
-          github: null,
-          website: null
-        },
-        skills: {
-          technical: [],
-          soft: []
-        },
-        experience: [],
-        education: []
-      }
+      extractedInfo: resumeInfoNormalizer.normalize({})
     };
   }
 }
@@ -0,0 +1,53 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pipeline event hub
+ * The analysis pipeline publishes progress events per job; the SSE endpoint
+ * subscribes to them. A short history is kept per job so a client that
+ * connects after the job started still receives every event.
+ */
+class JobEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.history = new Map();
+    this.historyLimit = 100;
+    this.retention = 5 * 60 * 1000; // keep history 5 minutes after the job ends
+  }
+
+  publish(jobId, event) {
+    const entry = {
+      ...event,
+      timestamp: new Date().toISOString()
+    };
+
+    const history = this.history.get(jobId) || [];
+    history.push(entry);
+    if (history.length > this.historyLimit) {
+      history.shift();
+    }
+    this.history.set(jobId, history);
+
+    this.emitter.emit(jobId, entry);
+
+    if (entry.type === 'done' || entry.type === 'failed') {
+      const timer = setTimeout(() => this.history.delete(jobId), this.retention);
+      timer.unref();
+    }
+  }
+
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  getHistory(jobId) {
+    return this.history.get(jobId) || [];
+  }
+
+  hasJob(jobId) {
+    return this.history.has(jobId);
+  }
+}
+
+module.exports = new JobEvents();
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+/**
+ * Job description matching helpers
+ * The AI proposes the keywords and tailoring suggestions; whether a keyword
+ * is present in the resume and the resulting match score are decided here,
+ * deterministically, against the resume text.
+ */
+class JobMatcher {
+  constructor() {
+    this.maxJobDescriptionLength = 10000;
+    this.maxKeywords = 20;
+    this.requiredWeight = 0.75;
+    this.preferredWeight = 0.25;
+  }
+
+  normalizeJobDescription(text) {
+    return String(text || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, this.maxJobDescriptionLength);
+  }
+
+  hashJobDescription(text) {
+    return crypto
+      .createHash('sha256')
+      .update(this.normalizeJobDescription(text).toLowerCase())
+      .digest('hex');
+  }
+
+  containsKeyword(text, keyword) {
+    const escaped = String(keyword)
+      .toLowerCase()
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s+');
+
+    if (!escaped) return false;
+    return new RegExp(`(^|[^a-z0-9+#])${escaped}(?![a-z0-9+#])`, 'i').test(text);
+  }
+
+  sanitizeKeywords(keywords) {
+    const seen = new Set();
+
+    return (Array.isArray(keywords) ? keywords : [])
+      .map(item => (typeof item === 'string' ? item : item?.keyword))
+      .map(keyword => String(keyword || '').trim().substring(0, 60))
+      .filter(keyword => {
+        const key = keyword.toLowerCase();
+        if (!keyword || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxKeywords);
+  }
+
+  /**
+   * Validate the model's jobMatch block, re-check every keyword against the
+   * resume and compute the match score from keyword coverage
+   */
+  finalizeJobMatch(jobMatch, resumeText) {
+    const source = jobMatch && typeof jobMatch === 'object' ? jobMatch : {};
+    const text = String(resumeText || '');
+
+    const mark = keywords => this.sanitizeKeywords(keywords).map(keyword => ({
+      keyword,
+      present: this.containsKeyword(text, keyword)
+    }));
+
+    const requiredKeywords = mark(source.requiredKeywords);
+    const preferredKeywords = mark(source.preferredKeywords);
+
+    const coverage = list => (list.length > 0 ? list.filter(k => k.present).length / list.length : null);
+    const requiredCoverage = coverage(requiredKeywords);
+    const preferredCoverage = coverage(preferredKeywords);
+
+    let matchScore;
+    if (requiredCoverage !== null && preferredCoverage !== null) {
+      matchScore = requiredCoverage * this.requiredWeight + preferredCoverage * this.preferredWeight;
+    } else if (requiredCoverage !== null || preferredCoverage !== null) {
+      matchScore = requiredCoverage !== null ? requiredCoverage : preferredCoverage;
+    } else {
+      matchScore = (Number(source.matchScore) || 0) / 100;
+    }
+
+    return {
+      matchScore: Math.max(0, Math.min(100, Math.round(matchScore * 100))),
+      requiredKeywords,
+      preferredKeywords,
+      tailoringSuggestions: (Array.isArray(source.tailoringSuggestions) ? source.tailoringSuggestions : [])
+        .map(s => String(s || '').trim().substring(0, 300))
+        .filter(s => s.length > 0)
+        .slice(0, 8)
+    };
+  }
+}
+
+module.exports = new JobMatcher();
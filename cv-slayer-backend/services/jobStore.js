@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AnalysisJob = require('../models/AnalysisJob');
+const fieldEncryption = require('./fieldEncryption');
+
+/**
+ * Analysis job store
+ * Jobs are persisted in MongoDB when it is connected so they survive restarts
+ * and can be polled through any instance. An in-memory copy is always kept
+ * for jobs created by this process, which doubles as the fallback when the
+ * database is unavailable. Results hold personal info, so the stored copy is
+ * encrypted with fieldEncryption.
+ */
+class JobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.jobTTL = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000; // 1 hour
+    this.indexesEnsured = false;
+
+    // Sweep expired in-memory jobs
+    this.sweepTimer = setInterval(() => this.sweepExpired(), 5 * 60 * 1000);
+    this.sweepTimer.unref();
+
+    console.log('✅ Job store initialized');
+  }
+
+  isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async ensureIndexes() {
+    if (this.indexesEnsured) return;
+    this.indexesEnsured = true;
+
+    try {
+      await AnalysisJob.createIndexes();
+    } catch (error) {
+      console.error('⚠️ Job index creation failed:', error.message);
+    }
+  }
+
+  /**
+   * Create a new job in the "queued" stage. metadata.persist: false keeps
+   * the job (and so its result) in this process's memory only.
+   */
+  async createJob(metadata = {}) {
+    const now = new Date();
+    const job = {
+      jobId: crypto.randomUUID(),
+      stage: 'queued',
+      result: null,
+      error: { message: '', code: '' },
+      metadata: {
+        requestId: metadata.requestId || '',
+        originalFileName: metadata.originalFileName || ''
+      },
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + this.jobTTL)
+    };
+    const persist = metadata.persist !== false;
+
+    this.jobs.set(job.jobId, { ...job, persist });
+
+    if (persist && this.isDatabaseReady()) {
+      try {
+        await this.ensureIndexes();
+        await AnalysisJob.create(job);
+      } catch (error) {
+        console.error('⚠️ Job persisted in memory only:', error.message);
+      }
+    }
+
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Apply a partial update (stage, result, error) to a job
+   */
+  async updateJob(jobId, updates = {}) {
+    const now = new Date();
+    const patch = {
+      ...updates,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + this.jobTTL)
+    };
+
+    const existing = this.jobs.get(jobId);
+    if (existing) {
+      this.jobs.set(jobId, { ...existing, ...patch });
+    }
+
+    if ((!existing || existing.persist) && this.isDatabaseReady()) {
+      try {
+        await AnalysisJob.updateOne({ jobId }, {
+          $set: 'result' in patch ? { ...patch, result: fieldEncryption.encryptJSON(patch.result) } : patch
+        });
+      } catch (error) {
+        console.error('⚠️ Job update not persisted:', { jobId, error: error.message });
+      }
+    }
+  }
+
+  async setStage(jobId, stage) {
+    await this.updateJob(jobId, { stage });
+  }
+
+  async completeJob(jobId, result) {
+    await this.updateJob(jobId, { stage: 'done', result });
+  }
+
+  async failJob(jobId, error) {
+    await this.updateJob(jobId, {
+      stage: 'failed',
+      error: {
+        message: error.message || 'Analysis failed',
+        code: error.code || 'ANALYSIS_FAILED'
+      }
+    });
+  }
+
+  /**
+   * Look a job up, preferring the local copy
+   */
+  async getJob(jobId) {
+    const local = this.jobs.get(jobId);
+    if (local && local.expiresAt > new Date()) {
+      return this.toPublicJob(local);
+    }
+
+    if (this.isDatabaseReady()) {
+      try {
+        const stored = await AnalysisJob.findOne({
+          jobId,
+          expiresAt: { $gt: new Date() }
+        }).lean();
+
+        return stored ? this.toPublicJob({ ...stored, result: fieldEncryption.decryptJSON(stored.result) }) : null;
+      } catch (error) {
+        console.error('Job lookup error:', error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Re-encrypt the stored job results under the current key
+   */
+  async rotateEncryption() {
+    const cursor = AnalysisJob.collection.find({ result: { $ne: null } }, { projection: { result: 1 } });
+    let scanned = 0;
+    let updated = 0;
+
+    for await (const job of cursor) {
+      scanned++;
+      const result = fieldEncryption.rotateJSON(job.result);
+      if (result === null) continue;
+
+      await AnalysisJob.collection.updateOne({ _id: job._id }, { $set: { result } });
+      updated++;
+    }
+
+    return { scanned, updated };
+  }
+
+  /**
+   * Jobs started by the given requests (Resume.metadata.requestId), with
+   * their results, for a data export
+   */
+  async findByRequestIds(requestIds) {
+    const ids = requestIds.filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const jobs = new Map();
+    for (const job of this.jobs.values()) {
+      if (ids.includes(job.metadata.requestId)) jobs.set(job.jobId, this.toPublicJob(job));
+    }
+
+    if (this.isDatabaseReady()) {
+      const stored = await AnalysisJob.find({ 'metadata.requestId': { $in: ids } }).lean();
+      stored.filter(job => !jobs.has(job.jobId)).forEach(job => {
+        jobs.set(job.jobId, this.toPublicJob({ ...job, result: fieldEncryption.decryptJSON(job.result) }));
+      });
+    }
+
+    return [...jobs.values()];
+  }
+
+  /**
+   * Delete the jobs started by the given requests, here and in MongoDB.
+   * Returns the number of jobs removed.
+   */
+  async removeByRequestIds(requestIds) {
+    const ids = requestIds.filter(Boolean);
+    if (ids.length === 0) return 0;
+
+    let removed = 0;
+    for (const [jobId, job] of this.jobs) {
+      if (ids.includes(job.metadata.requestId)) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+
+    if (this.isDatabaseReady()) {
+      const result = await AnalysisJob.deleteMany({ 'metadata.requestId': { $in: ids } });
+      removed = Math.max(removed, result.deletedCount || 0);
+    }
+
+    return removed;
+  }
+
+  toPublicJob(job) {
+    const publicJob = {
+      jobId: job.jobId,
+      stage: job.stage,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+
+    if (job.stage === 'done') {
+      publicJob.result = job.result;
+    }
+
+    if (job.stage === 'failed') {
+      publicJob.error = job.error;
+    }
+
+    return publicJob;
+  }
+
+  sweepExpired() {
+    const now = new Date();
+    for (const [jobId, job] of this.jobs) {
+      if (job.expiresAt <= now) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = new JobStore();
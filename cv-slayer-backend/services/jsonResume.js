@@ -0,0 +1,404 @@
+const Joi = require('joi');
+const formatDetector = require('./formatDetector');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// JSON Resume skill groups are free-form names; these decide which
+// extractedInfo category a group's keywords go to (default: technical)
+const SKILL_GROUPS = [
+  { category: 'soft', pattern: /soft|interpersonal|people|communication|leadership/i },
+  { category: 'tools', pattern: /tool|devops|platform|software|cloud/i },
+  { category: 'frameworks', pattern: /framework|librar/i }
+];
+
+const SKILL_GROUP_NAMES = {
+  technical: 'Technical',
+  soft: 'Soft Skills',
+  tools: 'Tools',
+  frameworks: 'Frameworks'
+};
+
+// Schema v1.0.0, field by field. Every field is optional and extra fields
+// are allowed, as in the published schema; dates may also be empty since
+// many generators write "" for unknown dates.
+const text = Joi.string().allow('');
+const url = Joi.string().uri().allow('');
+const date = Joi.string().allow('')
+  .pattern(/^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)' });
+const strings = Joi.array().items(text);
+const entry = fields => Joi.object(fields).unknown(true);
+
+const SCHEMA = entry({
+  $schema: url,
+  basics: entry({
+    name: text,
+    label: text,
+    image: text,
+    email: Joi.string().email({ tlds: { allow: false } }).allow(''),
+    phone: text,
+    url,
+    summary: text,
+    location: entry({
+      address: text,
+      postalCode: text,
+      city: text,
+      countryCode: text,
+      region: text
+    }),
+    profiles: Joi.array().items(entry({ network: text, username: text, url }))
+  }),
+  work: Joi.array().items(entry({
+    name: text,
+    location: text,
+    description: text,
+    position: text,
+    url,
+    startDate: date,
+    endDate: date,
+    summary: text,
+    highlights: strings
+  })),
+  volunteer: Joi.array().items(entry({
+    organization: text,
+    position: text,
+    url,
+    startDate: date,
+    endDate: date,
+    summary: text,
+    highlights: strings
+  })),
+  education: Joi.array().items(entry({
+    institution: text,
+    url,
+    area: text,
+    studyType: text,
+    startDate: date,
+    endDate: date,
+    score: text,
+    courses: strings
+  })),
+  awards: Joi.array().items(entry({ title: text, date, awarder: text, summary: text })),
+  certificates: Joi.array().items(entry({ name: text, date, url, issuer: text })),
+  publications: Joi.array().items(entry({ name: text, publisher: text, releaseDate: date, url, summary: text })),
+  skills: Joi.array().items(entry({ name: text, level: text, keywords: strings })),
+  languages: Joi.array().items(entry({ language: text, fluency: text })),
+  interests: Joi.array().items(entry({ name: text, keywords: strings })),
+  references: Joi.array().items(entry({ name: text, reference: text })),
+  projects: Joi.array().items(entry({
+    name: text,
+    description: text,
+    highlights: strings,
+    keywords: strings,
+    startDate: date,
+    endDate: date,
+    url,
+    roles: strings,
+    entity: text,
+    type: text
+  })),
+  meta: entry({ canonical: url, version: text, lastModified: text })
+});
+
+/**
+ * JSON Resume (jsonresume.org, schema v1.0.0) import and export
+ * An uploaded resume.json is validated against the schema and mapped
+ * straight into the extractedInfo structure; a plain-text rendering with
+ * standard headings is produced for the AI and the ATS checks. Stored
+ * extractedInfo can be exported back out as a JSON Resume document.
+ */
+class JsonResume {
+  constructor() {
+    this.schemaUrl = SCHEMA_URL;
+    this.maxErrors = 5;
+  }
+
+  /**
+   * Parse and validate an upload. Returns { value } or { error } with a
+   * message listing the first few schema violations.
+   */
+  validate(buffer) {
+    const source = formatDetector.decodeText(buffer);
+    let data;
+
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      return { error: 'File is not valid JSON' };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { error: 'A JSON Resume must be an object' };
+    }
+
+    const { value, error } = SCHEMA.validate(data, { abortEarly: false, convert: false });
+    if (error) {
+      const messages = error.details.slice(0, this.maxErrors).map(detail => detail.message.replace(/"/g, ''));
+      return { error: messages.join('; ') };
+    }
+
+    return { value };
+  }
+
+  parse(buffer) {
+    const { value, error } = this.validate(buffer);
+    if (error) {
+      throw new Error(`Invalid JSON Resume: ${error}`);
+    }
+    return value;
+  }
+
+  // "2020-03" -> "Mar 2020"; years and anything else are kept as written
+  formatDate(value) {
+    const match = /^(\d{4})-(\d{2})/.exec(value || '');
+    const month = match ? MONTHS[parseInt(match[2], 10) - 1] : null;
+    return month ? `${month} ${match[1]}` : (value || '');
+  }
+
+  // "Mar 2020", "03/2020", "2020" -> ISO 8601; "" for ongoing or unreadable dates
+  toIsoDate(value) {
+    const source = String(value || '').trim();
+    if (/^\d{4}(-\d{2}){0,2}$/.test(source)) return source;
+
+    const year = (source.match(/\b(19|20)\d{2}\b/) || [''])[0];
+    if (!year) return '';
+
+    const monthName = MONTHS.findIndex(month => new RegExp(`\\b${month}`, 'i').test(source));
+    const numericMonth = (source.match(/\b(0?[1-9]|1[0-2])\s*[/.-]\s*(19|20)\d{2}\b/) || [])[1];
+    const month = monthName >= 0 ? monthName + 1 : parseInt(numericMonth, 10);
+
+    return month ? `${year}-${String(month).padStart(2, '0')}` : year;
+  }
+
+  dateRange(startDate, endDate) {
+    if (!startDate && !endDate) return '';
+    return `${this.formatDate(startDate)} - ${endDate ? this.formatDate(endDate) : 'Present'}`;
+  }
+
+  // JSON Resume leaves out the end date of a current role
+  endDateOf(item) {
+    if (item.endDate) return this.formatDate(item.endDate);
+    return item.startDate ? 'Present' : '';
+  }
+
+  profileUrl(profiles, network, host) {
+    const profile = profiles.find(item =>
+      (item.network || '').toLowerCase() === network || (item.url || '').toLowerCase().includes(host));
+    if (!profile) return '';
+    if (profile.url) return profile.url;
+    return profile.username ? `https://${host}/${network === 'linkedin' ? 'in/' : ''}${profile.username}` : '';
+  }
+
+  skillCategory(groupName) {
+    const group = SKILL_GROUPS.find(item => item.pattern.test(groupName || ''));
+    return group ? group.category : 'technical';
+  }
+
+  /**
+   * Map a validated JSON Resume into the extractedInfo structure. The result
+   * still goes through resumeInfoNormalizer.normalize for length limits.
+   */
+  toExtractedInfo(resume) {
+    const basics = resume.basics || {};
+    const location = basics.location || {};
+    const profiles = basics.profiles || [];
+    const join = (parts, separator = ', ') => parts.filter(Boolean).join(separator);
+
+    const skills = { technical: [], soft: [], languages: [], tools: [], frameworks: [] };
+    (resume.skills || []).forEach(skill => {
+      const keywords = skill.keywords && skill.keywords.length > 0 ? skill.keywords : [skill.name];
+      skills[this.skillCategory(skill.name)].push(...keywords);
+    });
+    skills.languages = (resume.languages || []).map(item => item.language);
+
+    return {
+      personalInfo: {
+        name: basics.name || '',
+        email: basics.email || '',
+        phone: basics.phone || '',
+        address: join([location.address, location.city, location.region, location.postalCode, location.countryCode]),
+        linkedin: this.profileUrl(profiles, 'linkedin', 'linkedin.com'),
+        github: this.profileUrl(profiles, 'github', 'github.com'),
+        website: basics.url || ''
+      },
+      professionalSummary: basics.summary || '',
+      skills,
+      experience: (resume.work || []).map(item => ({
+        title: item.position || '',
+        company: item.name || '',
+        location: item.location || '',
+        startDate: this.formatDate(item.startDate),
+        endDate: this.endDateOf(item),
+        description: item.summary || item.description || '',
+        achievements: item.highlights || []
+      })),
+      education: (resume.education || []).map(item => ({
+        degree: item.studyType || '',
+        field: item.area || '',
+        institution: item.institution || '',
+        graduationYear: (item.endDate || '').slice(0, 4),
+        gpa: item.score || ''
+      })),
+      certifications: (resume.certificates || []).map(item => join([item.name, item.issuer, this.formatDate(item.date)])),
+      projects: (resume.projects || []).map(item => join([item.name, item.description], ': ')),
+      awards: (resume.awards || []).map(item => join([item.title, item.awarder, this.formatDate(item.date)])),
+      volunteerWork: (resume.volunteer || []).map(item => join([item.position, item.organization], ' at ')),
+      interests: (resume.interests || []).map(item => item.name)
+    };
+  }
+
+  /**
+   * Plain-text rendering with standard section headings, in the order a
+   * resume would usually have them
+   */
+  toText(resume) {
+    const basics = resume.basics || {};
+    const location = basics.location || {};
+    const lines = [];
+    const section = (heading, items) => {
+      if (items.length === 0) return;
+      lines.push('', heading, ...items);
+    };
+    const join = (parts, separator = ', ') => parts.filter(Boolean).join(separator);
+    const bullets = list => (list || []).map(item => `• ${item}`);
+
+    lines.push(
+      ...[basics.name, basics.label].filter(Boolean),
+      ...[
+        join([basics.email, basics.phone, join([location.city, location.region, location.countryCode])], ' | '),
+        join([basics.url, ...(basics.profiles || []).map(profile => profile.url || join([profile.network, profile.username], ': '))], ' | ')
+      ].filter(Boolean)
+    );
+
+    section('Summary', basics.summary ? [basics.summary] : []);
+
+    section('Experience', (resume.work || []).flatMap(item => [
+      join([join([item.position, item.name]), item.location, this.dateRange(item.startDate, item.endDate) && `(${this.dateRange(item.startDate, item.endDate)})`], ' '),
+      ...[item.summary || item.description].filter(Boolean),
+      ...bullets(item.highlights)
+    ]));
+
+    section('Volunteer Experience', (resume.volunteer || []).flatMap(item => [
+      join([join([item.position, item.organization]), this.dateRange(item.startDate, item.endDate) && `(${this.dateRange(item.startDate, item.endDate)})`], ' '),
+      ...[item.summary].filter(Boolean),
+      ...bullets(item.highlights)
+    ]));
+
+    section('Projects', (resume.projects || []).flatMap(item => [
+      join([item.name, this.dateRange(item.startDate, item.endDate) && `(${this.dateRange(item.startDate, item.endDate)})`], ' '),
+      ...[item.description, item.url].filter(Boolean),
+      ...bullets(item.highlights)
+    ]));
+
+    section('Education', (resume.education || []).flatMap(item => [
+      join([join([item.studyType, item.area], ' in '), item.institution]),
+      join([this.dateRange(item.startDate, item.endDate), item.score && `Score: ${item.score}`], ' | ')
+    ].filter(Boolean)));
+
+    section('Certifications', (resume.certificates || []).map(item =>
+      join([item.name, item.issuer, this.formatDate(item.date)])));
+
+    section('Awards', (resume.awards || []).map(item =>
+      join([item.title, item.awarder, this.formatDate(item.date)])));
+
+    section('Publications', (resume.publications || []).map(item =>
+      join([item.name, item.publisher, this.formatDate(item.releaseDate)])));
+
+    section('Skills', (resume.skills || []).map(item =>
+      (item.keywords && item.keywords.length > 0 ? `${item.name || 'Skills'}: ${item.keywords.join(', ')}` : item.name)));
+
+    section('Languages', (resume.languages || []).map(item => join([item.language, item.fluency], ' - ')));
+
+    section('Interests', (resume.interests || []).map(item => item.name));
+
+    return lines.filter(line => line !== undefined && line !== null).join('\n').trim();
+  }
+
+  // Drops empty strings, arrays and objects so the export only has real values
+  compact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.compact(item)).filter(item => item !== undefined);
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value)
+        .map(([key, item]) => [key, this.compact(item)])
+        .filter(([, item]) => item !== undefined && !(Array.isArray(item) && item.length === 0) &&
+          !(typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length === 0));
+      return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    return value === '' || value === null ? undefined : value;
+  }
+
+  withProtocol(link) {
+    return link && !/^https?:\/\//i.test(link) ? `https://${link}` : (link || '');
+  }
+
+  profile(network, link) {
+    if (!link) return null;
+    const username = (link.match(/(?:linkedin\.com\/in|github\.com)\/([A-Za-z0-9_-]+)/i) || [])[1] || '';
+    return { network, username, url: this.withProtocol(link) };
+  }
+
+  /**
+   * JSON Resume document for a stored extractedInfo
+   */
+  fromExtractedInfo(info, { lastModified } = {}) {
+    const source = info || {};
+    const personalInfo = source.personalInfo || {};
+    const skills = source.skills || {};
+    const splitName = item => {
+      const [name, ...rest] = String(item).split(': ');
+      return { name, description: rest.join(': ') };
+    };
+
+    const resume = {
+      $schema: this.schemaUrl,
+      basics: {
+        name: personalInfo.name,
+        email: personalInfo.email,
+        phone: personalInfo.phone,
+        url: this.withProtocol(personalInfo.website),
+        summary: source.professionalSummary,
+        location: { address: personalInfo.address },
+        profiles: [
+          this.profile('LinkedIn', personalInfo.linkedin),
+          this.profile('GitHub', personalInfo.github)
+        ].filter(Boolean)
+      },
+      work: (source.experience || []).map(item => ({
+        name: item.company,
+        position: item.title,
+        location: item.location,
+        startDate: this.toIsoDate(item.startDate),
+        endDate: this.toIsoDate(item.endDate),
+        summary: item.description,
+        highlights: item.achievements
+      })),
+      volunteer: (source.volunteerWork || []).map(summary => ({ summary })),
+      education: (source.education || []).map(item => ({
+        institution: item.institution,
+        area: item.field,
+        studyType: item.degree,
+        endDate: this.toIsoDate(item.graduationYear),
+        score: item.gpa
+      })),
+      awards: (source.awards || []).map(title => ({ title })),
+      certificates: (source.certifications || []).map(name => ({ name })),
+      skills: Object.entries(SKILL_GROUP_NAMES).map(([category, name]) => ({ name, keywords: skills[category] || [] }))
+        .filter(group => group.keywords.length > 0),
+      languages: (skills.languages || []).map(language => ({ language })),
+      interests: (source.interests || []).map(name => ({ name })),
+      projects: (source.projects || []).map(splitName),
+      meta: {
+        version: 'v1.0.0',
+        lastModified: lastModified ? new Date(lastModified).toISOString() : undefined
+      }
+    };
+
+    return this.compact(resume);
+  }
+}
+
+module.exports = new JsonResume();
@@ -0,0 +1,538 @@
+// Commands dropped together with their mandatory arguments (the number given)
+const IGNORED_COMMANDS = {
+  vspace: 1, hspace: 1, setlength: 2, addtolength: 2, usepackage: 1, documentclass: 1,
+  pagestyle: 1, thispagestyle: 1, label: 1, color: 1, definecolor: 3, fontsize: 2,
+  geometry: 1, hypersetup: 1, urlstyle: 1, input: 1, include: 1, pdfbookmark: 2,
+  moderncvstyle: 1, moderncvcolor: 1, moderncvtheme: 1, setcounter: 2, addtocounter: 2,
+  titleformat: 5, titlespacing: 4, renewenvironment: 3, newenvironment: 3, photo: 1,
+  makecvtitle: 0, maketitle: 0, newpage: 0, clearpage: 0, pagebreak: 0, centering: 0,
+  resumeSubHeadingListStart: 0, resumeSubHeadingListEnd: 0,
+  resumeItemListStart: 0, resumeItemListEnd: 0
+};
+
+const SYMBOLS = {
+  LaTeX: 'LaTeX', TeX: 'TeX', textbar: '|', textbullet: '•', bullet: '•', cdot: '·',
+  textperiodcentered: '·', ldots: '…', dots: '…', textendash: '–', textemdash: '—',
+  textasciitilde: '~', textbackslash: '\\', quad: ' ', qquad: ' ', hfill: ' ', enspace: ' ',
+  ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', l: 'ł', L: 'Ł', i: 'ı', aa: 'å', AA: 'Å',
+  textregistered: '®', copyright: '©', texttrademark: '™', pounds: '£', euro: '€', rupee: '₹',
+  newline: '\n', linebreak: '\n', par: '\n', cr: '\n'
+};
+
+// Accent control symbols (\'e, \"{o}, \c{c}) as combining marks
+const ACCENTS = {
+  '\'': '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304',
+  '.': '\u0307', c: '\u0327', u: '\u0306', v: '\u030C', H: '\u030B', k: '\u0328', d: '\u0323'
+};
+
+// Font and box commands whose single argument is plain text
+const TEXT_COMMANDS = new Set([
+  'textbf', 'textit', 'emph', 'underline', 'uline', 'textsc', 'textsf', 'texttt', 'textrm',
+  'textup', 'textmd', 'textsl', 'textnormal', 'mbox', 'hbox', 'fbox', 'mathrm', 'mathbf', 'text'
+]);
+
+const HEADING_COMMANDS = new Set(['part', 'chapter', 'section', 'subsection', 'subsubsection', 'cvsection']);
+
+// Environment arguments that are layout, not text (optional arguments are always skipped)
+const ENVIRONMENT_ARGS = {
+  tabular: 1, 'tabular*': 2, tabularx: 2, longtable: 1, array: 1, minipage: 1, multicols: 1, wrapfigure: 2
+};
+const TABLE_ENVIRONMENTS = new Set(['tabular', 'tabular*', 'tabularx', 'longtable']);
+const SKIPPED_ENVIRONMENTS = new Set(['comment', 'tikzpicture', 'verbatim', 'lstlisting']);
+
+// Groups and command arguments nest this deep at most; real resumes stay
+// far below it, and deeper input would exhaust the stack
+const MAX_DEPTH = 100;
+
+// Sticky patterns, matched at the cursor with matchAt()
+const PATTERNS = {
+  blankLine: /[ \t]*\n/y,
+  commandName: /[a-zA-Z@]+\*?/y,
+  controlWord: /\\[a-zA-Z@]+/y,
+  groupAhead: /\s*\{/y,
+  token: /\\[a-zA-Z@]+|\\.|./ys
+};
+
+// moderncv keeps the personal details in the preamble; \makecvtitle prints them
+const MODERNCV_SOCIAL = {
+  linkedin: value => `linkedin.com/in/${value}`,
+  github: value => `github.com/${value}`,
+  gitlab: value => `gitlab.com/${value}`,
+  twitter: value => `twitter.com/${value}`
+};
+
+/**
+ * LaTeX resume extractor
+ * Renders the document body of a .tex source to plain text without
+ * compiling it: formatting macros are stripped, \section headings become
+ * heading lines and the entry commands of the common templates (moderncv's
+ * \cventry and \cvitem, Jake's resume \resumeSubheading and \resumeItem)
+ * become one line per entry and bullet. User-defined macros are not
+ * expanded; unknown commands keep the text of their arguments.
+ */
+class LatexParser {
+  /**
+   * Parse LaTeX source into { text, tableCount, imageCount }
+   */
+  parse(source) {
+    const clean = this.stripComments(String(source || ''));
+    const begin = clean.indexOf('\\begin{document}');
+    const end = clean.lastIndexOf('\\end{document}');
+
+    const preamble = begin >= 0 ? clean.slice(0, begin) : '';
+    const body = begin >= 0
+      ? clean.slice(begin + '\\begin{document}'.length, end > begin ? end : clean.length)
+      : clean;
+
+    const state = { tables: 0, images: 0, tableDepth: 0, depth: 0 };
+    const header = this.renderModerncvHeader(preamble, state);
+    const text = this.tidy(`${header}\n${this.render(body, state)}`);
+
+    return { text, tableCount: state.tables, imageCount: state.images };
+  }
+
+  // % starts a comment unless escaped as \%
+  stripComments(source) {
+    return source.replace(/(^|[^\\])((?:\\\\)*)%.*$/gm, '$1$2');
+  }
+
+  /**
+   * Personal details from moderncv's preamble commands (\name, \email,
+   * \social[linkedin]{...}), laid out as a resume header
+   */
+  renderModerncvHeader(preamble, state) {
+    const pattern = /\\(name|title|address|phone|mobile|email|homepage|social|extrainfo|photo)\b/g;
+    const details = { name: '', title: '', address: '', contact: [], extra: '' };
+    let match;
+
+    while ((match = pattern.exec(preamble)) !== null) {
+      const cursor = { source: preamble, pos: pattern.lastIndex };
+      const options = this.readOptionalArgs(cursor);
+      const args = this.readAdjacentGroups(cursor).map(arg => this.renderInline(arg, state));
+      pattern.lastIndex = cursor.pos;
+
+      switch (match[1]) {
+        case 'name':
+          details.name = args.filter(Boolean).join(' ');
+          break;
+        case 'title':
+          details.title = args[0] || '';
+          break;
+        case 'address':
+          details.address = args.filter(Boolean).join(', ');
+          break;
+        case 'social': {
+          const network = (options[0] || '').toLowerCase();
+          const link = MODERNCV_SOCIAL[network];
+          if (args[0]) details.contact.push(link ? link(args[0]) : args[0]);
+          break;
+        }
+        case 'extrainfo':
+          details.extra = args[0] || '';
+          break;
+        case 'photo':
+          if (args[0]) state.images++;
+          break;
+        default:
+          if (args[0]) details.contact.push(args[0]);
+      }
+    }
+
+    return [details.name, details.title, details.address, details.contact.join(' | '), details.extra]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Rendered on one line, for arguments that become part of a longer line
+  renderInline(source, state) {
+    return this.tidy(this.render(source, state)).replace(/\n+/g, ' ').trim();
+  }
+
+  /**
+   * Render LaTeX to text. Single line breaks in the source are spaces and a
+   * blank line is a paragraph break, as in TeX.
+   */
+  render(source, state) {
+    if (++state.depth > MAX_DEPTH) {
+      throw new Error('LaTeX file is nested too deeply');
+    }
+
+    const cursor = { source, pos: 0 };
+    let text = '';
+    let run = '';
+
+    const flush = () => {
+      text += this.typography(run);
+      run = '';
+    };
+
+    while (cursor.pos < source.length) {
+      const char = source[cursor.pos];
+
+      if (char === '\\') {
+        flush();
+        text += this.renderCommand(cursor, state);
+        continue;
+      }
+
+      if (char === '{') {
+        flush();
+        text += this.render(this.readGroup(cursor), state);
+        continue;
+      }
+
+      cursor.pos++;
+
+      if (char === '}' || char === '$' || char === '^' || char === '_') {
+        // Stray closing braces, math shifts and sub/superscripts carry no text
+      } else if (char === '&') {
+        run += state.tableDepth > 0 ? '\t' : '&';
+      } else if (char === '~') {
+        run += ' ';
+      } else if (char === '\n') {
+        const blank = this.matchAt(cursor, PATTERNS.blankLine);
+        run += blank ? '\n' : ' ';
+        while (blank && /\s/.test(source[cursor.pos] || '')) cursor.pos++;
+      } else {
+        run += char;
+      }
+    }
+
+    flush();
+    state.depth--;
+    return text;
+  }
+
+  // TeX ligatures and quotes in plain text
+  typography(run) {
+    return run
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/``/g, '“')
+      .replace(/''/g, '”')
+      .replace(/`/g, '‘');
+  }
+
+  /**
+   * Render the command at the cursor (which points at the backslash)
+   */
+  renderCommand(cursor, state) {
+    const { source } = cursor;
+    const next = source[cursor.pos + 1] || '';
+
+    // Control symbols: \\ line break, escaped specials and accents
+    if (!/[a-zA-Z@]/.test(next)) {
+      cursor.pos += 2;
+
+      if (next === '\\') {
+        if (source[cursor.pos] === '*') cursor.pos++;
+        this.readOptionalArgs(cursor);
+        return '\n';
+      }
+      if (ACCENTS[next]) return this.renderAccent(cursor, ACCENTS[next], state);
+      if (next === ',' || next === ';' || next === ' ' || next === '\n') return ' ';
+      if ('&%$#_{}'.includes(next)) return next;
+      return '';
+    }
+
+    const name = this.matchAt(cursor, PATTERNS.commandName, 1)[0];
+    cursor.pos += 1 + name.length;
+    const command = name.replace(/\*$/, '');
+
+    // Letter accents (\c{c}, \v{s}) take an argument like the symbol ones
+    if (ACCENTS[command] && command.length === 1 && this.matchAt(cursor, PATTERNS.groupAhead)) {
+      return this.renderAccent(cursor, ACCENTS[command], state);
+    }
+
+    if (SYMBOLS[command] !== undefined) {
+      // A control word swallows the spaces after it
+      if (/^[a-zA-Z]/.test(command)) this.skipSpaces(cursor);
+      if (source[cursor.pos] === '{' && source[cursor.pos + 1] === '}') cursor.pos += 2;
+      return SYMBOLS[command];
+    }
+
+    if (IGNORED_COMMANDS[command] !== undefined) {
+      this.readArgs(cursor, IGNORED_COMMANDS[command]);
+      return '';
+    }
+
+    if (TEXT_COMMANDS.has(command)) {
+      return this.render(this.readArgs(cursor, 1)[0], state);
+    }
+
+    if (HEADING_COMMANDS.has(command)) {
+      const [title] = this.readArgs(cursor, 1);
+      return `\n\n${this.renderInline(title, state)}\n`;
+    }
+
+    switch (command) {
+      case 'begin':
+        return this.renderEnvironment(cursor, state);
+      case 'end': {
+        const [environment] = this.readArgs(cursor, 1);
+        if (TABLE_ENVIRONMENTS.has(environment)) state.tableDepth = Math.max(0, state.tableDepth - 1);
+        return '\n';
+      }
+      case 'newcommand':
+      case 'renewcommand':
+      case 'providecommand':
+      case 'def':
+        this.skipDefinition(cursor);
+        return '';
+      case 'item': {
+        const [label] = this.readOptionalArgs(cursor);
+        return `\n${label !== undefined ? this.renderInline(label, state) : '•'} `;
+      }
+      case 'href': {
+        const [url, label] = this.readArgs(cursor, 2);
+        return this.renderLink(url, this.renderInline(label, state));
+      }
+      case 'url':
+        return this.readArgs(cursor, 1)[0].trim();
+      case 'textcolor':
+      case 'colorbox': {
+        const [, content] = this.readArgs(cursor, 2);
+        return this.render(content, state);
+      }
+      case 'includegraphics':
+        this.readArgs(cursor, 1);
+        state.images++;
+        return '';
+      case 'cventry':
+        return this.renderCventry(this.readAdjacentGroups(cursor), state);
+      case 'cvitem': {
+        const [title, content] = this.readArgs(cursor, 2);
+        return this.entryLines([this.labelled(title, content, state)]);
+      }
+      case 'cvitemwithcomment': {
+        const [title, content, comment] = this.readArgs(cursor, 3).map(arg => this.renderInline(arg, state));
+        return this.entryLines([[title && `${title}:`, content, comment && `(${comment})`].filter(Boolean).join(' ')]);
+      }
+      case 'cvlistitem':
+        return this.entryLines([`• ${this.renderInline(this.readArgs(cursor, 1)[0], state)}`]);
+      case 'cvdoubleitem': {
+        const [title1, content1, title2, content2] = this.readArgs(cursor, 4);
+        return this.entryLines([this.labelled(title1, content1, state), this.labelled(title2, content2, state)]);
+      }
+      case 'cvlistdoubleitem':
+        return this.entryLines(this.readArgs(cursor, 2).map(item => `• ${this.renderInline(item, state)}`));
+      case 'resumeSubheading': {
+        // Left and right columns of two rows: {org}{dates or place}{role}{place or dates}
+        const [a, b, c, d] = this.readArgs(cursor, 4).map(arg => this.renderInline(arg, state));
+        return this.entryLines([[a, b].filter(Boolean).join(' | '), [c, d].filter(Boolean).join(' | ')]);
+      }
+      case 'resumeSubSubheading':
+      case 'resumeProjectHeading': {
+        const [left, right] = this.readArgs(cursor, 2).map(arg => this.renderInline(arg, state));
+        return this.entryLines([[left, right].filter(Boolean).join(' | ')]);
+      }
+      case 'resumeItem':
+        return this.entryLines([`• ${this.renderInline(this.readArgs(cursor, 1)[0], state)}`]);
+      case 'resumeSubItem': {
+        const [title, content] = this.readArgs(cursor, 2);
+        return this.entryLines([`• ${this.labelled(title, content, state)}`]);
+      }
+      default: {
+        // Unknown macro: keep the text of arguments written right after it
+        this.readOptionalArgs(cursor);
+        const args = this.readAdjacentGroups(cursor, { sameLine: true });
+        if (args.length === 0) this.skipSpaces(cursor);
+        return args.map(arg => this.render(arg, state)).join(' ');
+      }
+    }
+  }
+
+  renderAccent(cursor, mark, state) {
+    this.skipSpaces(cursor);
+    const base = cursor.source[cursor.pos] === '{'
+      ? this.render(this.readGroup(cursor), state)
+      : cursor.source[cursor.pos++] || '';
+    return `${base}${mark}`.normalize('NFC');
+  }
+
+  renderEnvironment(cursor, state) {
+    const [environment] = this.readArgs(cursor, 1);
+
+    if (SKIPPED_ENVIRONMENTS.has(environment)) {
+      const end = cursor.source.indexOf(`\\end{${environment}}`, cursor.pos);
+      cursor.pos = end >= 0 ? end + `\\end{${environment}}`.length : cursor.source.length;
+      if (environment === 'tikzpicture') state.images++;
+      return '\n';
+    }
+
+    this.readOptionalArgs(cursor);
+    this.readArgs(cursor, ENVIRONMENT_ARGS[environment] || 0);
+    this.readOptionalArgs(cursor);
+
+    if (TABLE_ENVIRONMENTS.has(environment)) {
+      if (state.tableDepth === 0) state.tables++;
+      state.tableDepth++;
+    }
+
+    return '\n';
+  }
+
+  // Link text, plus the target when the text does not already show it
+  renderLink(url, label) {
+    const target = url.trim();
+    const shown = target.replace(/^(mailto:|tel:|https?:\/\/)(www\.)?/i, '').replace(/\/$/, '');
+    if (!label) return target;
+    return label.includes(shown) ? label : `${label} (${target})`;
+  }
+
+  renderCventry(args, state) {
+    const rendered = args.map(arg => this.renderInline(arg, state));
+
+    // awesome-cv's \cventry has five arguments: {position}{org}{place}{dates}{description}
+    if (args.length === 5) {
+      const [position, org, place, dates] = rendered;
+      const head = [position, org, place].filter(Boolean).join(', ');
+      return this.entryLines([dates ? `${head} (${dates})` : head, this.render(args[4], state)]);
+    }
+
+    // moderncv: {dates}{title}{employer}{place}{grade}{description}
+    const [dates, title, employer, place, grade] = rendered;
+    const head = [title, employer, place].filter(Boolean).join(', ');
+    return this.entryLines([dates ? `${head} (${dates})` : head, grade, args[5] ? this.render(args[5], state) : '']);
+  }
+
+  labelled(title, content, state) {
+    const label = this.renderInline(title, state);
+    const value = this.renderInline(content, state);
+    return label ? `${label}: ${value}` : value;
+  }
+
+  // Entry commands start and end their own lines
+  entryLines(lines) {
+    return `\n${lines.filter(line => line && line.trim()).join('\n')}\n`;
+  }
+
+  // Skips \newcommand{\name}[n][default]{body} and \def\name#1{body}
+  skipDefinition(cursor) {
+    this.skipSpaces(cursor);
+    if (cursor.source[cursor.pos] === '{') {
+      this.readGroup(cursor);
+    } else {
+      const name = this.matchAt(cursor, PATTERNS.controlWord);
+      cursor.pos += name ? name[0].length : 0;
+    }
+
+    this.readOptionalArgs(cursor);
+    while (cursor.pos < cursor.source.length && cursor.source[cursor.pos] !== '{') cursor.pos++;
+    if (cursor.pos < cursor.source.length) this.readGroup(cursor);
+  }
+
+  // Match a sticky pattern at the cursor without copying the rest of the source
+  matchAt(cursor, pattern, offset = 0) {
+    pattern.lastIndex = cursor.pos + offset;
+    return pattern.exec(cursor.source);
+  }
+
+  skipSpaces(cursor, { sameLine = false } = {}) {
+    const pattern = sameLine ? /[ \t]/ : /\s/;
+    while (cursor.pos < cursor.source.length && pattern.test(cursor.source[cursor.pos])) cursor.pos++;
+  }
+
+  /**
+   * Raw content of the brace group at the cursor; the cursor moves past the
+   * closing brace. Escaped braces do not count.
+   */
+  readGroup(cursor) {
+    const { source } = cursor;
+    const start = cursor.pos + 1;
+    let depth = 0;
+
+    for (let i = cursor.pos; i < source.length; i++) {
+      if (source[i] === '\\') {
+        i++;
+      } else if (source[i] === '{') {
+        depth++;
+      } else if (source[i] === '}') {
+        depth--;
+        if (depth === 0) {
+          cursor.pos = i + 1;
+          return source.slice(start, i);
+        }
+      }
+    }
+
+    cursor.pos = source.length;
+    return source.slice(start);
+  }
+
+  // Bracketed optional arguments at the cursor, e.g. [mobile] or [leftmargin=0.15in, label={}]
+  readOptionalArgs(cursor) {
+    const args = [];
+    const { source } = cursor;
+
+    for (;;) {
+      const start = cursor.pos;
+      this.skipSpaces(cursor, { sameLine: true });
+      if (source[cursor.pos] !== '[') {
+        cursor.pos = start;
+        return args;
+      }
+
+      let depth = 0;
+      let i = cursor.pos + 1;
+      for (; i < source.length; i++) {
+        if (source[i] === '{') depth++;
+        else if (source[i] === '}') depth--;
+        else if (source[i] === ']' && depth === 0) break;
+      }
+
+      args.push(source.slice(cursor.pos + 1, i));
+      cursor.pos = Math.min(i + 1, source.length);
+    }
+  }
+
+  /**
+   * count mandatory arguments. An argument is a brace group or, as in TeX,
+   * a single token; optional arguments in between are skipped.
+   */
+  readArgs(cursor, count) {
+    const args = [];
+
+    for (let n = 0; n < count; n++) {
+      this.readOptionalArgs(cursor);
+      this.skipSpaces(cursor);
+
+      if (cursor.source[cursor.pos] === '{') {
+        args.push(this.readGroup(cursor));
+      } else {
+        const token = this.matchAt(cursor, PATTERNS.token);
+        args.push(token ? token[0] : '');
+        cursor.pos += token ? token[0].length : 0;
+      }
+    }
+
+    return args;
+  }
+
+  // Every brace group that follows the cursor, for commands whose argument count varies
+  readAdjacentGroups(cursor, { sameLine = false } = {}) {
+    const groups = [];
+
+    for (;;) {
+      const start = cursor.pos;
+      this.skipSpaces(cursor, { sameLine });
+      if (cursor.source[cursor.pos] !== '{') {
+        cursor.pos = start;
+        return groups;
+      }
+      groups.push(this.readGroup(cursor));
+    }
+  }
+
+  // One entry or paragraph per line, no runs of blank lines
+  tidy(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[ \t]*\t[ \t]*/g, '\t').replace(/ {2,}/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new LatexParser();
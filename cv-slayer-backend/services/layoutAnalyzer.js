@@ -0,0 +1,343 @@
+const POINTS_PER_INCH = 72;
+
+// Subset tags ("ABCDEF+") and Monotype/PostScript marks are not part of the family name
+const SUBSET_PREFIX = /^[A-Z]{6}\+/;
+const FOUNDRY_SUFFIX = /(PSMT|PS|MT)$/;
+
+// Page numbers: "3", "Page 2", "2 of 3", "- 2 -"
+const PAGE_NUMBER = /^[-–\s]*(page\s*)?\d{1,3}(\s*(of|\/)\s*\d{1,3})?[-–\s]*$/i;
+
+/**
+ * Layout and typography analysis for PDF resumes
+ * fileProcessor measures every page from pdf.js text items (positions, font
+ * sizes, font names); this service turns those measurements into ATS checks
+ * (fonts, font sizes, margins, page overflow, header and footer text) and
+ * into hints for the AI prompt, which only sees the plain text.
+ */
+class LayoutAnalyzer {
+  constructor() {
+    this.edgeBand = 0.5 * POINTS_PER_INCH;
+    this.minMargin = 0.5 * POINTS_PER_INCH;
+    this.maxFontFamilies = 3;
+    this.maxFontSizes = 5;
+    this.minBodySize = 9;
+    // Fonts and sizes used for less than this share of the characters
+    // (bullets, icons, a single symbol) are ignored
+    this.minShare = 0.02;
+    this.overflowFill = 0.25;
+  }
+
+  /**
+   * Measure one page: its size and the text lines with their extents, size
+   * and font. fontNames maps pdf.js font ids to PostScript font names.
+   */
+  measurePage(items, view, fontNames = {}) {
+    const [x0, y0, x1, y1] = Array.isArray(view) && view.length === 4 ? view : [0, 0, 612, 792];
+    const lines = new Map();
+
+    for (const item of items) {
+      if (!item.str || !item.str.trim()) continue;
+
+      const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 2) / 2;
+      const baseline = Math.round(item.transform[5] - y0);
+      const left = item.transform[4] - x0;
+      const characters = item.str.replace(/\s/g, '').length;
+      const font = this.fontFamily(fontNames[item.fontName] || '');
+
+      if (!lines.has(baseline)) {
+        lines.set(baseline, { baseline, top: baseline, left, right: left, size: 0, text: [], sizes: {}, fonts: {} });
+      }
+
+      const line = lines.get(baseline);
+      line.top = Math.max(line.top, baseline + size * 0.75);
+      line.left = Math.min(line.left, left);
+      line.right = Math.max(line.right, left + (item.width || 0));
+      line.size = Math.max(line.size, size);
+      line.text.push({ left, str: item.str });
+      line.sizes[size] = (line.sizes[size] || 0) + characters;
+      if (font) line.fonts[font] = (line.fonts[font] || 0) + characters;
+    }
+
+    return {
+      width: x1 - x0,
+      height: y1 - y0,
+      lines: [...lines.values()]
+        .sort((a, b) => b.baseline - a.baseline)
+        .map(line => ({
+          ...line,
+          text: line.text.sort((a, b) => a.left - b.left).map(part => part.str).join(' ').replace(/\s+/g, ' ').trim()
+        }))
+    };
+  }
+
+  // "ABCDEF+Calibri-Bold" -> "Calibri", "TimesNewRomanPS-BoldMT" -> "TimesNewRoman"
+  fontFamily(name) {
+    const base = String(name).replace(SUBSET_PREFIX, '');
+
+    // TeX's Computer Modern and Latin Modern come as one font per style and size
+    if (/^CM[A-Z]{1,4}\d+$/.test(base)) return 'Computer Modern';
+    if (/^LM[A-Za-z]*\d+/.test(base)) return 'Latin Modern';
+
+    // PostScript names are "Family-Style" (or "Family,Style")
+    return base.split(/[-,]/)[0].replace(FOUNDRY_SUFFIX, '');
+  }
+
+  /**
+   * Summary of the measured pages: { pageWidth, pageHeight, pageLength,
+   * bodyFontSize, fontSizes, fonts, margins, headerFooter }, or null when no
+   * page has text to measure (scanned PDFs, other formats)
+   */
+  summarize(layout) {
+    const pages = (layout && layout.pages || []).filter(page => page.typography && page.typography.lines.length > 0);
+    if (pages.length === 0) return null;
+
+    const edgeLines = this.findHeaderFooterLines(pages);
+    const bodyLines = page => page.typography.lines.filter(line => !edgeLines.has(line) && !PAGE_NUMBER.test(line.text));
+
+    const sizes = {};
+    const fonts = {};
+    pages.forEach(page => bodyLines(page).forEach(line => {
+      Object.entries(line.sizes).forEach(([size, count]) => { sizes[size] = (sizes[size] || 0) + count; });
+      Object.entries(line.fonts).forEach(([font, count]) => { fonts[font] = (fonts[font] || 0) + count; });
+    }));
+
+    const shares = (counts) => {
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0) || 1;
+      return Object.entries(counts)
+        .map(([key, count]) => ({ key, share: count / total }))
+        .filter(entry => entry.share >= this.minShare)
+        .sort((a, b) => b.share - a.share);
+    };
+
+    const fontSizes = shares(sizes).map(({ key, share }) => ({ size: Number(key), share: Math.round(share * 100) / 100 }));
+    const fontFamilies = shares(fonts).map(({ key, share }) => ({ name: key, share: Math.round(share * 100) / 100 }));
+
+    // Margins of the fullest page on each side; text beyond the page is negative
+    const margins = { left: Infinity, right: Infinity, top: Infinity, bottom: Infinity };
+    const extents = pages.map(page => {
+      const lines = bodyLines(page);
+      if (lines.length === 0) return null;
+
+      const extent = {
+        top: Math.max(...lines.map(line => line.top)),
+        bottom: Math.min(...lines.map(line => line.baseline))
+      };
+      margins.left = Math.min(margins.left, ...lines.map(line => line.left));
+      margins.right = Math.min(margins.right, ...lines.map(line => page.typography.width - line.right));
+      margins.top = Math.min(margins.top, page.typography.height - extent.top);
+      margins.bottom = Math.min(margins.bottom, extent.bottom);
+      return extent;
+    });
+    Object.keys(margins).forEach(side => { margins[side] = Number.isFinite(margins[side]) ? Math.round(margins[side]) : null; });
+
+    return {
+      pageWidth: Math.round(pages[0].typography.width),
+      pageHeight: Math.round(pages[0].typography.height),
+      pageLength: this.pageLength(layout, pages, extents),
+      bodyFontSize: fontSizes.length > 0 ? fontSizes[0].size : null,
+      fontSizes,
+      fonts: fontFamilies,
+      margins,
+      headerFooter: [...edgeLines.values()].map(line => ({ ...line, text: line.text.substring(0, 100) }))
+    };
+  }
+
+  /**
+   * Lines in the outer half inch of a page that an ATS would treat as a
+   * running header or footer: repeated on another page, or set apart from
+   * the body by a wide gap. Page numbers are left out.
+   */
+  findHeaderFooterLines(pages) {
+    const found = new Map();
+    const normalize = text => text.toLowerCase().replace(/\d+/g, '#');
+    const candidates = [];
+
+    pages.forEach(page => {
+      const { height, lines } = page.typography;
+      lines.forEach((line, index) => {
+        const position = line.top > height - this.edgeBand ? 'header' : line.baseline < this.edgeBand ? 'footer' : null;
+        if (!position || PAGE_NUMBER.test(line.text)) return;
+
+        const neighbour = position === 'header' ? lines[index + 1] : lines[index - 1];
+        const gap = neighbour ? Math.abs(line.baseline - neighbour.baseline) : Infinity;
+        candidates.push({ line, page: page.pageNumber, position, gap, key: normalize(line.text) });
+      });
+    });
+
+    candidates.forEach(candidate => {
+      const repeated = candidates.some(other => other.page !== candidate.page && other.key === candidate.key);
+      if (repeated || candidate.gap > candidate.line.size * 3) {
+        found.set(candidate.line, { page: candidate.page, position: candidate.position, text: candidate.line.text });
+      }
+    });
+
+    return found;
+  }
+
+  // Pages of content, e.g. 2.1 when the last page holds a tenth of a full one
+  pageLength(layout, pages, extents) {
+    const pageCount = layout.pageCount || pages.length;
+    const last = extents[extents.length - 1];
+    const full = extents.slice(0, -1).filter(Boolean);
+
+    if (pageCount < 2 || !last || full.length === 0 || pages[pages.length - 1].pageNumber !== pageCount) {
+      return pageCount;
+    }
+
+    const fullHeight = Math.max(...full.map(extent => extent.top - extent.bottom));
+    const fill = fullHeight > 0 ? Math.min(1, Math.max(0.05, (last.top - last.bottom) / fullHeight)) : 1;
+    return Math.round((pageCount - 1 + fill) * 10) / 10;
+  }
+
+  result(id, label, status, message) {
+    return { id, label, status, message };
+  }
+
+  inches(points) {
+    return `${(points / POINTS_PER_INCH).toFixed(2).replace(/0$/, '')}in`;
+  }
+
+  /**
+   * ATS checks for fonts, font sizes, margins, page overflow and header or
+   * footer text; empty for layouts without measured PDF pages
+   */
+  analyze(layout) {
+    const summary = this.summarize(layout);
+    if (!summary) return [];
+
+    return [
+      this.checkFonts(summary),
+      this.checkFontSizes(summary),
+      this.checkMargins(summary),
+      this.checkPageOverflow(summary, layout),
+      this.checkHeaderFooter(summary)
+    ].filter(Boolean);
+  }
+
+  checkFonts(summary) {
+    if (summary.fonts.length === 0) return null;
+    const label = 'Consistent fonts';
+    const names = summary.fonts.map(font => font.name);
+
+    if (names.length > this.maxFontFamilies) {
+      return this.result('fonts', label, 'warn',
+        `Uses ${names.length} font families (${names.slice(0, 5).join(', ')}); stick to one or two`);
+    }
+
+    return this.result('fonts', label, 'pass', `Uses ${names.length} font famil${names.length > 1 ? 'ies' : 'y'}: ${names.join(', ')}`);
+  }
+
+  checkFontSizes(summary) {
+    if (!summary.bodyFontSize) return null;
+    const label = 'Consistent font sizes';
+    const body = summary.bodyFontSize;
+
+    // Body text in two nearly equal sizes usually means pasted or restyled text
+    const nearBody = summary.fontSizes.find(entry => entry.size !== body && Math.abs(entry.size - body) < 1 && entry.share >= 0.1);
+
+    if (nearBody) {
+      return this.result('font-sizes', label, 'warn',
+        `Body text mixes ${body}pt and ${nearBody.size}pt; use one size for all body text`);
+    }
+
+    if (summary.fontSizes.length > this.maxFontSizes) {
+      return this.result('font-sizes', label, 'warn',
+        `Uses ${summary.fontSizes.length} different font sizes (${summary.fontSizes.map(entry => `${entry.size}pt`).join(', ')}); use one for headings and one for body text`);
+    }
+
+    if (body < this.minBodySize) {
+      return this.result('font-sizes', label, 'warn', `Body text is ${body}pt; use at least 10pt so it stays readable`);
+    }
+
+    return this.result('font-sizes', label, 'pass', `Body text is ${body}pt with ${summary.fontSizes.length} size${summary.fontSizes.length > 1 ? 's' : ''} in total`);
+  }
+
+  checkMargins(summary) {
+    const label = 'Page margins';
+    const sides = Object.entries(summary.margins).filter(([, value]) => value !== null);
+    if (sides.length === 0) return null;
+
+    const offPage = sides.filter(([, value]) => value < 0).map(([side]) => side);
+    if (offPage.length > 0) {
+      return this.result('margins', label, 'fail', `Text runs off the ${offPage.join(' and ')} edge of the page`);
+    }
+
+    const tight = sides.filter(([, value]) => value < this.minMargin);
+    if (tight.length > 0) {
+      return this.result('margins', label, 'warn',
+        `${tight.map(([side, value]) => `${side[0].toUpperCase()}${side.slice(1)} margin is ${this.inches(value)}`).join(', ')}; keep at least 0.5in so nothing is cut off when printed`);
+    }
+
+    return this.result('margins', label, 'pass', 'Margins are at least 0.5in on every side');
+  }
+
+  checkPageOverflow(summary, layout) {
+    const pageCount = layout.pageCount || 1;
+    if (pageCount < 2 || summary.pageLength === pageCount) return null;
+    const label = 'No page overflow';
+    const fill = summary.pageLength - (pageCount - 1);
+
+    if (fill <= this.overflowFill) {
+      return this.result('page-overflow', label, 'warn',
+        `Content runs to ${summary.pageLength} pages: page ${pageCount} holds only a few lines; trim to ${pageCount - 1} page${pageCount > 2 ? 's' : ''} or fill the last one`);
+    }
+
+    return this.result('page-overflow', label, 'pass', `Content fills ${summary.pageLength} pages`);
+  }
+
+  checkHeaderFooter(summary) {
+    const label = 'No text in headers or footers';
+
+    if (summary.headerFooter.length > 0) {
+      // A running header is one example, listed with all its pages
+      const byText = new Map();
+      summary.headerFooter.forEach(line => {
+        const entry = byText.get(line.text) || { ...line, pages: [] };
+        entry.pages.push(line.page);
+        byText.set(line.text, entry);
+      });
+      const examples = [...byText.values()].slice(0, 2)
+        .map(line => `"${line.text.substring(0, 50)}" (${line.position}, page${line.pages.length > 1 ? 's' : ''} ${line.pages.join(', ')})`)
+        .join(', ');
+      return this.result('header-footer', label, 'warn',
+        `Text in the page header or footer: ${examples}; many ATS skip these areas, so keep contact details in the body`);
+    }
+
+    return this.result('header-footer', label, 'pass', 'No text sits in the page header or footer areas');
+  }
+
+  /**
+   * Layout facts for the AI prompt: what was measured, then every check
+   * that did not pass
+   */
+  promptHints(layout) {
+    const summary = this.summarize(layout);
+    if (!summary) return [];
+
+    const { margins } = summary;
+    const hints = [
+      `Page size ${this.inches(summary.pageWidth)} x ${this.inches(summary.pageHeight)}, ${summary.pageLength} page${summary.pageLength === 1 ? '' : 's'} of content`,
+      `Body text ${summary.bodyFontSize}pt; sizes used: ${summary.fontSizes.map(entry => `${entry.size}pt`).join(', ')}`
+    ];
+
+    if (summary.fonts.length > 0) {
+      hints.push(`Fonts: ${summary.fonts.map(font => font.name).join(', ')}`);
+    }
+
+    if (margins.left !== null) {
+      hints.push(`Margins (smallest on any page): left ${this.inches(margins.left)}, right ${this.inches(margins.right)}, top ${this.inches(margins.top)}, bottom ${this.inches(margins.bottom)}`);
+    }
+
+    if (layout.multiColumnPages > 0) {
+      hints.push(`Multi-column layout on ${layout.multiColumnPages} of ${layout.pages.length} page${layout.pages.length > 1 ? 's' : ''}`);
+    }
+
+    this.analyze(layout)
+      .filter(check => check.status !== 'pass')
+      .forEach(check => hints.push(`${check.label}: ${check.message}`));
+
+    return hints;
+  }
+}
+
+module.exports = new LayoutAnalyzer();
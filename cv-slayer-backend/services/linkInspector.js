@@ -0,0 +1,154 @@
+const net = require('net');
+
+const PLACEHOLDER_HOSTS = /(^|\.)(example\.(com|org|net)|your-?(domain|website|site|name|portfolio)\.[a-z]+|domain\.com|website\.com|test\.com)$/i;
+const PLACEHOLDER_PATHS = /your[-_]?(name|profile|username|handle|id)|user[-_]?name|john[-_.]?doe|jane[-_.]?doe|\bxxx+\b|[<>[\]]/i;
+const PLACEHOLDER_PHONES = /^\+?(0+|1?234567890|(\d)\2+)$/;
+const EMAIL = /^[A-Za-z0-9._+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+// Profile sites whose bare domain (no profile path) is not a useful link
+const PROFILE_HOSTS = {
+  'linkedin.com': /^\/(in|pub|company)\/[^/]+/i,
+  'github.com': /^\/[^/]+/,
+  'gitlab.com': /^\/[^/]+/,
+  'twitter.com': /^\/[^/]+/,
+  'x.com': /^\/[^/]+/
+};
+
+/**
+ * Hyperlink checks
+ * Classifies the links fileProcessor found in a document (PDF link
+ * annotations, DOCX hyperlinks) without fetching them: a link is "broken"
+ * when its target cannot work (malformed, unsupported scheme, local address,
+ * a profile site without a profile), a "placeholder" when it still points
+ * at template values, and a "mismatch" when its text shows a different
+ * address than the one it opens.
+ */
+class LinkInspector {
+  constructor() {
+    this.maxLinks = 50;
+  }
+
+  /**
+   * Links with { url, text, page, status, issue }, status being
+   * 'ok', 'broken', 'placeholder' or 'mismatch'
+   */
+  inspect(links) {
+    const seen = new Set();
+
+    return (Array.isArray(links) ? links : [])
+      .filter(link => {
+        const key = `${link.url}|${link.text}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxLinks)
+      .map(link => ({
+        url: String(link.url || '').trim().substring(0, 500),
+        text: String(link.text || '').replace(/\s+/g, ' ').trim().substring(0, 200),
+        page: link.page || null,
+        ...this.classify(link)
+      }));
+  }
+
+  classify(link) {
+    const raw = String(link.url || '').trim();
+
+    if (!raw || raw === '#') return this.issue('broken', 'Link has no target');
+
+    const scheme = (/^([a-z][a-z0-9+.-]*):/i.exec(raw) || [])[1];
+    if (!scheme) {
+      // Word and some PDF tools store "www.site.com" without a scheme
+      return /^www\.[^\s/]+\.[a-z]{2,}/i.test(raw)
+        ? this.classifyWeb(`http://${raw}`, link)
+        : this.issue('broken', 'Link points to a local file or relative path');
+    }
+
+    switch (scheme.toLowerCase()) {
+      case 'http':
+      case 'https':
+        return this.classifyWeb(raw, link);
+      case 'mailto':
+        return this.classifyEmail(this.decode(raw.slice(7).split('?')[0]), link);
+      case 'tel': {
+        const digits = raw.slice(4).replace(/[^\d+]/g, '');
+        if (digits.replace(/\D/g, '').length < 7) return this.issue('broken', 'Phone link has too few digits');
+        return PLACEHOLDER_PHONES.test(digits) ? this.issue('placeholder', 'Phone link uses a placeholder number') : this.ok();
+      }
+      default:
+        return this.issue('broken', `"${scheme}:" links do not open in a browser`);
+    }
+  }
+
+  classifyWeb(raw, link) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      return this.issue('broken', 'Link address is malformed');
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+
+    if (host === 'localhost' || net.isIP(host.replace(/^\[|\]$/g, '')) || !host.includes('.')) {
+      return this.issue('broken', 'Link points to a local or incomplete address');
+    }
+
+    if (PLACEHOLDER_HOSTS.test(host) || PLACEHOLDER_PATHS.test(this.decode(url.pathname))) {
+      return this.issue('placeholder', 'Link still points to a template placeholder');
+    }
+
+    const profilePath = PROFILE_HOSTS[host];
+    if (profilePath && !profilePath.test(url.pathname)) {
+      return this.issue('broken', `Link goes to ${host} but not to a profile`);
+    }
+
+    return this.checkText(link, `${host}${url.pathname.replace(/\/$/, '')}`);
+  }
+
+  classifyEmail(address, link) {
+    if (!EMAIL.test(address)) return this.issue('broken', 'Email link has an invalid address');
+
+    const domain = address.split('@')[1].toLowerCase();
+    if (PLACEHOLDER_HOSTS.test(domain) || PLACEHOLDER_PATHS.test(address.split('@')[0])) {
+      return this.issue('placeholder', 'Email link uses a placeholder address');
+    }
+
+    return this.checkText(link, address.toLowerCase());
+  }
+
+  // Link text that is itself an address must match where the link goes
+  checkText(link, target) {
+    const shown = String(link.text || '').trim().toLowerCase()
+      .replace(/^(mailto:|https?:\/\/)/, '')
+      .replace(/^www\./, '')
+      .replace(/\/$/, '');
+
+    const looksLikeAddress = /^[^\s]+@[^\s]+\.[a-z]{2,}$|^[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/.test(shown);
+    const normalizedTarget = target.toLowerCase().replace(/^www\./, '');
+
+    if (looksLikeAddress && shown !== normalizedTarget && !normalizedTarget.startsWith(`${shown}/`)) {
+      return this.issue('mismatch', `Text shows ${link.text.trim()} but the link opens ${target}`);
+    }
+
+    return this.ok();
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  ok() {
+    return { status: 'ok', issue: '' };
+  }
+
+  issue(status, message) {
+    return { status, issue: message };
+  }
+}
+
+module.exports = new LinkInspector();
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+
+// pdf.js ImageKind values for decoded image data
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3
+};
+
+const LANGUAGES = ['eng', 'hin'];
+
+/**
+ * Offline OCR for scanned PDF pages
+ * Uses tesseract.js with the English and Hindi models bundled as npm
+ * packages, so no network access is needed. One worker is started on first
+ * use and stopped again after a minute without work.
+ * OCR_ENABLED=false turns OCR off; OCR_LANG_PATH points at a directory of
+ * <lang>.traineddata.gz files to use instead of the bundled models.
+ */
+class OCRService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.langPath = process.env.OCR_LANG_PATH || null;
+    this.timeout = 90000; // OCR budget per document
+    this.idleTimeout = 60000;
+    this.minImageSize = 32;
+    this.maxPages = 10;
+
+    this.workerPromise = null;
+    this.activeJobs = 0;
+    this.idleTimer = null;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // tesseract.js reads every language from one directory, and the bundled
+  // models live in one package each, so gather them in a temp directory.
+  // The directory is shared by every extraction worker thread and process.
+  async prepareLangPath() {
+    if (this.langPath) return this.langPath;
+
+    const dir = path.join(os.tmpdir(), 'cv-slayer-ocr');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await Promise.all(LANGUAGES.map(async (lang) => {
+      const target = path.join(dir, `${lang}.traineddata.gz`);
+      if (fs.existsSync(target)) return;
+
+      // Copy under a unique name and rename, so a concurrent reader never sees half a file
+      const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+      const partial = `${target}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.copyFile(path.join(packageDir, '4.0.0_best_int', `${lang}.traineddata.gz`), partial);
+      await fs.promises.rename(partial, target);
+    }));
+
+    this.langPath = dir;
+    return dir;
+  }
+
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = this.prepareLangPath()
+        .then(langPath => createWorker(LANGUAGES.join('+'), OEM.LSTM_ONLY, {
+          langPath,
+          gzip: true,
+          cacheMethod: 'none'
+        }))
+        .then(worker => {
+          console.log('✅ OCR worker ready:', LANGUAGES.join('+'));
+          return worker;
+        })
+        .catch(error => {
+          this.workerPromise = null;
+          throw error;
+        });
+    }
+
+    return this.workerPromise;
+  }
+
+  scheduleShutdown() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      if (this.activeJobs > 0 || !this.workerPromise) return;
+
+      const workerPromise = this.workerPromise;
+      this.workerPromise = null;
+      workerPromise
+        .then(worker => worker.terminate())
+        .catch(error => console.error('⚠️ OCR worker shutdown failed:', error.message));
+    }, this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Encode pdf.js decoded image data ({ width, height, kind, data }) as a
+   * PNM image, which tesseract reads without any extra image library.
+   * Returns null for image kinds it cannot handle.
+   */
+  toPNM(image) {
+    const { width, height, kind, data } = image;
+    const header = type => Buffer.from(`${type}\n${width} ${height}\n${type === 'P4' ? '' : '255\n'}`);
+
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      // Rows are padded to whole bytes in both; pdf.js uses 1 for white, PBM for black
+      const bytes = Math.ceil(width / 8) * height;
+      const pixels = Buffer.alloc(bytes);
+      for (let i = 0; i < bytes; i++) pixels[i] = ~data[i] & 0xff;
+      return Buffer.concat([header('P4'), pixels]);
+    }
+
+    if (kind === IMAGE_KIND.RGB_24BPP) {
+      return Buffer.concat([header('P6'), Buffer.from(data.buffer, data.byteOffset, width * height * 3)]);
+    }
+
+    if (kind === IMAGE_KIND.RGBA_32BPP) {
+      const pixels = Buffer.alloc(width * height * 3);
+      for (let i = 0, j = 0; j < pixels.length; i += 4, j += 3) {
+        pixels[j] = data[i];
+        pixels[j + 1] = data[i + 1];
+        pixels[j + 2] = data[i + 2];
+      }
+      return Buffer.concat([header('P6'), pixels]);
+    }
+
+    return null;
+  }
+
+  /**
+   * OCR the images of one page. Returns { text, confidence } where
+   * confidence (0-100) is averaged over the images weighted by text length,
+   * or null when no image could be read.
+   */
+  async recognizePage(images) {
+    const readable = images.filter(image =>
+      image && image.width >= this.minImageSize && image.height >= this.minImageSize);
+
+    if (readable.length === 0) return null;
+
+    this.activeJobs++;
+    clearTimeout(this.idleTimer);
+
+    try {
+      const worker = await this.getWorker();
+      const results = [];
+
+      for (const image of readable) {
+        const pnm = this.toPNM(image);
+        if (!pnm) continue;
+
+        const { data } = await worker.recognize(pnm);
+        const text = (data.text || '').trim();
+        if (text) results.push({ text, confidence: data.confidence });
+      }
+
+      if (results.length === 0) {
+        return { text: '', confidence: 0 };
+      }
+
+      const weight = results.reduce((sum, result) => sum + result.text.length, 0);
+      return {
+        text: results.map(result => result.text).join('\n\n'),
+        confidence: Math.round(results.reduce((sum, result) => sum + result.confidence * result.text.length, 0) / weight)
+      };
+    } finally {
+      this.activeJobs--;
+      this.scheduleShutdown();
+    }
+  }
+}
+
+module.exports = new OCRService();
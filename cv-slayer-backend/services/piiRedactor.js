@@ -0,0 +1,135 @@
+const resumeInfoNormalizer = require('./resumeInfoNormalizer');
+
+// Street lines such as "221B Baker Street" or "12 MG Road"
+const STREET_ADDRESS = /\b\d{1,5}[A-Za-z]?,?\s+(?:[A-Z][A-Za-z.]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Boulevard|Blvd|Drive|Dr|Court|Ct|Way|Marg|Nagar)\b\.?/g;
+
+const PLACEHOLDER = /\[(NAME|EMAIL|PHONE|LINKEDIN|GITHUB|WEBSITE|ADDRESS)_(\d+)\]/g;
+
+// Words that make a header line a title or heading rather than a person
+const NOT_NAME_WORDS = new Set([
+  'resume', 'curriculum', 'vitae', 'cv', 'profile', 'summary', 'contact', 'experience', 'education', 'skills',
+  'software', 'senior', 'junior', 'lead', 'principal', 'staff', 'chief', 'head', 'engineer', 'engineering',
+  'developer', 'development', 'designer', 'design', 'manager', 'management', 'analyst', 'consultant',
+  'architect', 'scientist', 'intern', 'director', 'officer', 'specialist', 'administrator', 'student',
+  'graduate', 'full', 'stack', 'frontend', 'backend', 'data', 'product', 'project', 'marketing', 'sales',
+  'technical', 'technology', 'solutions', 'services', 'industries', 'limited', 'ltd', 'inc', 'llc', 'corp',
+  'company', 'university', 'college', 'institute', 'school'
+]);
+
+/**
+ * PII redaction for AI prompts
+ * Swaps the contact details in a resume for stable placeholders
+ * ([EMAIL_1], [PHONE_1], ...) before the text goes to the AI provider, and
+ * puts the values back into the feedback afterwards. Values are found with
+ * the contact regexes extractBasicInfo uses, plus the personal info already
+ * known for the resume (the name, the address). The same value always gets
+ * the same placeholder, so chunked prompts and the restore agree.
+ */
+class PiiRedactor {
+  constructor() {
+    this.patterns = {
+      email: resumeInfoNormalizer.contactPatterns.email,
+      phone: resumeInfoNormalizer.contactPatterns.phone,
+      linkedin: resumeInfoNormalizer.contactPatterns.linkedin,
+      github: resumeInfoNormalizer.contactPatterns.github,
+      address: STREET_ADDRESS
+    };
+  }
+
+  /**
+   * Replacements ({ placeholder, value }) for the PII in text, longest value
+   * first. personalInfo: extractBasicInfo-shaped values known for the resume.
+   * Its name is only a guess from the first header line, so it is used when
+   * it looks like a person's name; otherwise the first such line of a resume
+   * is (options.findName: false for text that is not a resume).
+   */
+  detect(text, personalInfo = {}, options = {}) {
+    const source = String(text || '');
+    const replacements = [];
+    const counters = {};
+
+    const add = (type, value) => {
+      const cleaned = String(value || '').trim();
+      if (cleaned.length < 3 || !source.toLowerCase().includes(cleaned.toLowerCase())) return;
+      if (replacements.some(replacement => replacement.value.toLowerCase() === cleaned.toLowerCase())) return;
+
+      counters[type] = (counters[type] || 0) + 1;
+      replacements.push({ placeholder: `[${type.toUpperCase()}_${counters[type]}]`, value: cleaned });
+    };
+
+    const fallbackName = options.findName === false ? '' : this.findName(source);
+    add('name', this.looksLikeName(personalInfo.name) ? personalInfo.name : fallbackName);
+    ['email', 'phone', 'address', 'linkedin', 'github', 'website']
+      .forEach(type => add(type, personalInfo[type]));
+
+    Object.entries(this.patterns).forEach(([type, pattern]) => {
+      const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+      for (const match of source.matchAll(global)) {
+        add(type, match[0]);
+      }
+    });
+
+    // "linkedin.com/in/jane" must not be split by a shorter value inside it
+    return replacements.sort((a, b) => b.value.length - a.value.length);
+  }
+
+  // 2 to 4 capitalized words, none of them a job title or heading word
+  looksLikeName(value) {
+    const words = String(value || '').trim().split(/\s+/);
+    return words.length >= 2 && words.length <= 4 &&
+      words.every(word => /^\p{Lu}[\p{L}\p{M}'’.-]*$/u.test(word) && !NOT_NAME_WORDS.has(word.toLowerCase().replace(/[.,]/g, '')));
+  }
+
+  // The first of the opening lines that looks like a person's name
+  findName(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).slice(0, 5)
+      .find(line => this.looksLikeName(line)) || '';
+  }
+
+  /**
+   * text with every replacement's value swapped for its placeholder. Values
+   * match whole words only, and a name followed by another capitalized word
+   * is part of a longer name ("Ram Kumar Industries") and is left alone.
+   */
+  apply(text, replacements) {
+    return replacements.reduce((redacted, { placeholder, value }) => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${this.escape(value)}(?![\\p{L}\\p{N}])`, 'giu');
+      if (!placeholder.startsWith('[NAME_')) {
+        return redacted.replace(pattern, placeholder);
+      }
+      return redacted.replace(pattern, (match, offset, whole) =>
+        /^[ \t]+\p{Lu}/u.test(whole.slice(offset + match.length)) ? match : placeholder);
+    }, String(text || ''));
+  }
+
+  redact(text, personalInfo = {}) {
+    const replacements = this.detect(text, personalInfo);
+    return { text: this.apply(text, replacements), replacements };
+  }
+
+  /**
+   * Put the values back into every string of an AI response (objects and
+   * arrays are copied). Unknown placeholders are left as they are.
+   */
+  restore(value, replacements) {
+    if (!replacements || replacements.length === 0) return value;
+
+    if (typeof value === 'string') {
+      const values = new Map(replacements.map(replacement => [replacement.placeholder, replacement.value]));
+      return value.replace(PLACEHOLDER, placeholder => values.get(placeholder) || placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item, replacements));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item, replacements)]));
+    }
+    return value;
+  }
+
+  escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new PiiRedactor();
@@ -0,0 +1,41 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor(config = {}) {
+    this.validateEnvironment(config);
+
+    this.name = 'gemini';
+    this.model = config.model || 'gemini-1.5-flash';
+
+    this.genAI = new GoogleGenerativeAI(config.apiKey);
+    this.client = this.genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        temperature: 0.6,
+        topP: 0.8,
+        topK: 40,
+        maxOutputTokens: 4000,
+      }
+    });
+
+    console.log('✅ Gemini provider initialized:', this.model);
+  }
+
+  validateEnvironment(config) {
+    if (!config.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+
+    if (config.apiKey.length < 30) {
+      throw new Error('Invalid GEMINI_API_KEY format');
+    }
+  }
+
+  async generate(prompt) {
+    const result = await this.client.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
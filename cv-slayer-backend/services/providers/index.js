@@ -0,0 +1,27 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+
+// Every provider exposes the same shape:
+//   name     - provider identifier ('gemini', 'openai-compatible', 'offline')
+//   model    - model name reported in analysis metadata
+//   generate(prompt, context) -> Promise<string> raw model output (JSON text)
+// context carries the un-prompted inputs ({ resumeText, preferences }) for
+// providers that do not need a prompt, such as the offline one. resumeText
+// is the same redacted text the prompt holds.
+const createProvider = (config) => {
+  switch (config.provider) {
+    case 'gemini':
+      return new GeminiProvider(config.gemini);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(config.openaiCompatible, config.requestTimeout);
+    case 'offline':
+      return new OfflineProvider();
+    default:
+      throw new Error(`Unsupported AI provider: ${config.provider}`);
+  }
+};
+
+module.exports = {
+  createProvider
+};
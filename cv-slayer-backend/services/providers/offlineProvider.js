@@ -0,0 +1,542 @@
+// Built-in provider for local development, CI and tests.
+// It never touches the network: the analysis is derived from simple,
+// deterministic heuristics over the resume text, so the same input
+// always produces the same (schema-valid) JSON response.
+
+const { computeOverallScore } = require('../../config/scoring');
+const { getToneConfig } = require('../../config/tone');
+
+const KNOWN_SKILLS = [
+  'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'go', 'rust', 'sql',
+  'react', 'node.js', 'express', 'angular', 'vue', 'django', 'flask', 'spring',
+  'mongodb', 'postgresql', 'mysql', 'redis', 'docker', 'kubernetes', 'aws', 'azure',
+  'gcp', 'git', 'linux', 'html', 'css', 'excel', 'tableau', 'figma'
+];
+
+const SOFT_SKILLS = ['leadership', 'communication', 'teamwork', 'problem solving', 'mentoring', 'collaboration'];
+
+const ACTION_VERBS = [
+  'built', 'led', 'designed', 'developed', 'implemented', 'launched', 'improved',
+  'reduced', 'increased', 'managed', 'created', 'optimized', 'delivered', 'automated'
+];
+
+// Weak openings and the stronger verb the offline rewrite uses instead
+const OPENER_REWRITES = [
+  [/^(was\s+)?responsible\s+for\s+/i, 'Owned '],
+  [/^(helped|assisted)(\s+(in|with|to))?\s+/i, 'Supported '],
+  [/^(worked|working)\s+(on|with)\s+/i, 'Delivered '],
+  [/^(was\s+)?(involved|participated)\s+in\s+/i, 'Contributed to '],
+  [/^(handled|tasked\s+with|in\s+charge\s+of)\s+/i, 'Managed '],
+  [/^duties\s+included\s+/i, 'Performed ']
+];
+
+const IRREGULAR_PAST = {
+  building: 'built', leading: 'led', running: 'ran', writing: 'wrote',
+  making: 'made', driving: 'drove', setting: 'set', teaching: 'taught'
+};
+
+// Fixed wording of the offline analysis in each supported language. The
+// greeting comes from config/tone.js, like the AI prompt's. Resume examples
+// stay in English, like the resumes they are written for.
+const MESSAGES = {
+  english: {
+    reasonOpeners: {
+      pyar: 'Small tweak, big difference:',
+      ache: 'Why it is stronger:',
+      dhang: 'No more fluff:'
+    },
+    sentence: text => `${text}.`,
+    overview: (words, score) => `This offline review looked at ${words} words and scored your resume ${score}/100.`,
+    whatWorks: list => `What works: ${list}`,
+    needsWork: list => `What needs work: ${list}`,
+    noGaps: 'No major gaps were found.',
+    part: (index, total, sections) => `Part ${index} of ${total} (${sections}):`,
+    strengths: {
+      contact: 'Contact details are easy to find',
+      experience: 'Includes a work experience section',
+      education: 'Education is listed',
+      skills: list => `Relevant technical skills: ${list}`,
+      quantified: 'Achievements are backed by numbers',
+      actionVerbs: 'Bullet points start with strong action verbs',
+      fallback: 'You submitted a resume, which is a start'
+    },
+    weaknesses: {
+      contact: 'Contact details are incomplete',
+      experience: 'No clear work experience section',
+      education: 'Education details are missing',
+      skills: 'Skills section is thin or missing',
+      quantified: 'Few quantified achievements',
+      actionVerbs: 'Bullet points lack strong action verbs',
+      short: 'Resume is too short',
+      long: 'Resume is too long',
+      none: 'No major weaknesses detected'
+    },
+    improvements: {
+      contact: ['Complete your contact details', 'Recruiters need an email address and a phone number at the top of the resume.'],
+      experience: ['Add an Experience section', 'List internships, jobs or freelance work with dates and responsibilities.'],
+      skills: ['Strengthen the skills section', 'Group your tools and technologies so they can be scanned in seconds.'],
+      quantified: ['Quantify your impact', 'Numbers make achievements concrete and comparable.'],
+      length: ['Adjust the length', 'Aim for one page (two for senior roles) with only the most relevant details.'],
+      tailor: ['Tailor for each application', 'Mirror the keywords of the job posting you are applying to.']
+    },
+    rationales: {
+      contactFields: { email: 'email', phone: 'phone number', linkedin: 'LinkedIn profile' },
+      contactMissing: list => `Missing ${list}`,
+      contactComplete: 'Email, phone and LinkedIn are all present',
+      summary: 'Has a summary or objective section',
+      noSummary: 'No summary or objective to frame the resume',
+      experience: (quantified, verbs) => `Experience section with ${quantified} quantified result${quantified === 1 ? '' : 's'} and ${verbs} action verb${verbs === 1 ? '' : 's'}`,
+      skills: (count, hasSection) => `${count} recognised technical skills${hasSection ? '' : ' and no skills section'}`,
+      formatting: (words, verdict) => `${words} words; ${verdict}`,
+      lengthOk: 'a comfortable length',
+      tooShort: 'too short to show enough detail',
+      tooLong: 'too long for a quick scan'
+    },
+    rewrites: {
+      actionVerb: 'opens with a strong action verb',
+      trimmed: 'trimmed to one line',
+      metric: 'adds a placeholder for a measurable result',
+      addresses: issues => `addresses ${issues}`,
+      wording: 'the wording'
+    },
+    jobMatch: {
+      showUsage: term => `Show where you used ${term}, if you have hands-on experience with it`,
+      mirror: 'Mirror the wording of the posting in your summary and most recent role'
+    }
+  },
+  hindi: {
+    reasonOpeners: {
+      pyar: 'छोटा सा बदलाव, बड़ा फ़र्क:',
+      ache: 'यह बेहतर क्यों है:',
+      dhang: 'फालतू बातें हटा दीं:'
+    },
+    sentence: text => `${text}।`,
+    overview: (words, score) => `इस ऑफ़लाइन समीक्षा ने ${words} शब्द देखे और आपके रिज़्यूमे को ${score}/100 अंक दिए।`,
+    whatWorks: list => `क्या अच्छा है: ${list}`,
+    needsWork: list => `किस पर काम करना है: ${list}`,
+    noGaps: 'कोई बड़ी कमी नहीं मिली।',
+    part: (index, total, sections) => `भाग ${index} / ${total} (${sections}):`,
+    strengths: {
+      contact: 'संपर्क विवरण आसानी से मिल जाते हैं',
+      experience: 'कार्य अनुभव का सेक्शन मौजूद है',
+      education: 'शिक्षा की जानकारी दी गई है',
+      skills: list => `काम के तकनीकी कौशल: ${list}`,
+      quantified: 'उपलब्धियों के साथ आंकड़े दिए गए हैं',
+      actionVerbs: 'बुलेट पॉइंट मज़बूत क्रियाओं से शुरू होते हैं',
+      fallback: 'आपने रिज़्यूमे भेजा, यह एक शुरुआत है'
+    },
+    weaknesses: {
+      contact: 'संपर्क विवरण अधूरे हैं',
+      experience: 'कार्य अनुभव का कोई स्पष्ट सेक्शन नहीं है',
+      education: 'शिक्षा की जानकारी नहीं है',
+      skills: 'स्किल्स सेक्शन कमज़ोर है या नहीं है',
+      quantified: 'आंकड़ों वाली उपलब्धियां कम हैं',
+      actionVerbs: 'बुलेट पॉइंट में मज़बूत क्रियाएं नहीं हैं',
+      short: 'रिज़्यूमे बहुत छोटा है',
+      long: 'रिज़्यूमे बहुत लंबा है',
+      none: 'कोई बड़ी कमज़ोरी नहीं मिली'
+    },
+    improvements: {
+      contact: ['अपने संपर्क विवरण पूरे करें', 'रिक्रूटर को रिज़्यूमे में सबसे ऊपर ईमेल पता और फ़ोन नंबर चाहिए।'],
+      experience: ['अनुभव का सेक्शन जोड़ें', 'इंटर्नशिप, नौकरियां या फ्रीलांस काम तारीखों और ज़िम्मेदारियों के साथ लिखें।'],
+      skills: ['स्किल्स सेक्शन मज़बूत करें', 'अपने टूल्स और टेक्नोलॉजी को समूहों में लिखें ताकि उन्हें कुछ सेकंड में देखा जा सके।'],
+      quantified: ['अपने काम का असर आंकड़ों में बताएं', 'आंकड़े उपलब्धियों को ठोस और तुलना के लायक बनाते हैं।'],
+      length: ['लंबाई ठीक करें', 'एक पेज रखें (सीनियर रोल के लिए दो), सिर्फ़ सबसे काम की जानकारी के साथ।'],
+      tailor: ['हर आवेदन के लिए रिज़्यूमे बदलें', 'जिस नौकरी के लिए आवेदन कर रहे हैं, उसके कीवर्ड रिज़्यूमे में शामिल करें।']
+    },
+    rationales: {
+      contactFields: { email: 'ईमेल', phone: 'फ़ोन नंबर', linkedin: 'LinkedIn प्रोफ़ाइल' },
+      contactMissing: list => `${list} नहीं है`,
+      contactComplete: 'ईमेल, फ़ोन और LinkedIn तीनों मौजूद हैं',
+      summary: 'सारांश या उद्देश्य का सेक्शन है',
+      noSummary: 'रिज़्यूमे को दिशा देने वाला कोई सारांश या उद्देश्य नहीं है',
+      experience: (quantified, verbs) => `अनुभव सेक्शन में ${quantified} आंकड़ों वाले नतीजे और ${verbs} मज़बूत क्रियाएं हैं`,
+      skills: (count, hasSection) => `${count} पहचाने गए तकनीकी कौशल${hasSection ? '' : ', और कोई स्किल्स सेक्शन नहीं'}`,
+      formatting: (words, verdict) => `${words} शब्द; ${verdict}`,
+      lengthOk: 'सही लंबाई',
+      tooShort: 'पूरी जानकारी दिखाने के लिए बहुत छोटा',
+      tooLong: 'जल्दी पढ़ने के लिए बहुत लंबा'
+    },
+    rewrites: {
+      actionVerb: 'मज़बूत क्रिया से शुरू होता है',
+      trimmed: 'एक लाइन में छोटा किया',
+      metric: 'मापने लायक नतीजे के लिए जगह जोड़ी',
+      addresses: issues => `${issues} को ठीक करता है`,
+      wording: 'शब्दों'
+    },
+    jobMatch: {
+      showUsage: term => `अगर आपने ${term} पर काम किया है, तो दिखाएं कि कहां किया`,
+      mirror: 'अपने सारांश और सबसे हाल की भूमिका में जॉब पोस्टिंग के शब्दों का इस्तेमाल करें'
+    }
+  },
+  hinglish: {
+    reasonOpeners: {
+      pyar: 'Chhota sa tweak, bada difference:',
+      ache: 'Yeh better kyun hai:',
+      dhang: 'Fluff khatam:'
+    },
+    sentence: text => `${text}.`,
+    overview: (words, score) => `Is offline review ne ${words} words dekhe aur aapke resume ko ${score}/100 score diya.`,
+    whatWorks: list => `Kya achha hai: ${list}`,
+    needsWork: list => `Kis par kaam karna hai: ${list}`,
+    noGaps: 'Koi badi kami nahi mili.',
+    part: (index, total, sections) => `Part ${index} of ${total} (${sections}):`,
+    strengths: {
+      contact: 'Contact details aasani se mil jaate hain',
+      experience: 'Work experience section maujood hai',
+      education: 'Education di gayi hai',
+      skills: list => `Relevant technical skills: ${list}`,
+      quantified: 'Achievements numbers ke saath hain',
+      actionVerbs: 'Bullet points strong action verbs se shuru hote hain',
+      fallback: 'Aapne resume bheja, yeh ek shuruaat hai'
+    },
+    weaknesses: {
+      contact: 'Contact details adhoore hain',
+      experience: 'Koi clear work experience section nahi hai',
+      education: 'Education details missing hain',
+      skills: 'Skills section kamzor hai ya missing hai',
+      quantified: 'Numbers wali achievements kam hain',
+      actionVerbs: 'Bullet points mein strong action verbs nahi hain',
+      short: 'Resume bahut chhota hai',
+      long: 'Resume bahut lamba hai',
+      none: 'Koi badi weakness nahi mili'
+    },
+    improvements: {
+      contact: ['Apne contact details poore karein', 'Recruiters ko resume ke top par email address aur phone number chahiye.'],
+      experience: ['Experience section add karein', 'Internships, jobs ya freelance kaam dates aur responsibilities ke saath likhein.'],
+      skills: ['Skills section strong banayein', 'Apne tools aur technologies ko group karein taaki woh seconds mein scan ho sakein.'],
+      quantified: ['Apna impact numbers mein batayein', 'Numbers achievements ko concrete aur comparable banate hain.'],
+      length: ['Length adjust karein', 'Ek page rakhein (senior roles ke liye do), sirf sabse relevant details ke saath.'],
+      tailor: ['Har application ke liye tailor karein', 'Jis job ke liye apply kar rahe hain, uske keywords resume mein use karein.']
+    },
+    rationales: {
+      contactFields: { email: 'email', phone: 'phone number', linkedin: 'LinkedIn profile' },
+      contactMissing: list => `${list} missing hai`,
+      contactComplete: 'Email, phone aur LinkedIn teeno maujood hain',
+      summary: 'Summary ya objective section hai',
+      noSummary: 'Resume ko frame karne ke liye koi summary ya objective nahi hai',
+      experience: (quantified, verbs) => `Experience section mein ${quantified} quantified results aur ${verbs} action verbs hain`,
+      skills: (count, hasSection) => `${count} recognised technical skills${hasSection ? '' : ', aur koi skills section nahi'}`,
+      formatting: (words, verdict) => `${words} words; ${verdict}`,
+      lengthOk: 'comfortable length',
+      tooShort: 'detail dikhane ke liye bahut chhota',
+      tooLong: 'quick scan ke liye bahut lamba'
+    },
+    rewrites: {
+      actionVerb: 'strong action verb se shuru hota hai',
+      trimmed: 'ek line mein trim kiya',
+      metric: 'measurable result ke liye placeholder add kiya',
+      addresses: issues => `${issues} ko address karta hai`,
+      wording: 'wording'
+    },
+    jobMatch: {
+      showUsage: term => `Agar aapne ${term} par hands-on kaam kiya hai, toh dikhayein kahan kiya`,
+      mirror: 'Apni summary aur latest role mein job posting ki wording use karein'
+    }
+  }
+};
+
+const messagesFor = (preferences = {}) => MESSAGES[preferences.language] || MESSAGES.english;
+
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+    this.model = 'offline-heuristic-v1';
+
+    console.log('✅ Offline AI provider initialized (deterministic, no network)');
+  }
+
+  async generate(prompt, context = {}) {
+    if (context.task === 'rewrite') {
+      return JSON.stringify({
+        rewrites: this.buildRewrites(context.bullets || [], context.issues || [], context.preferences || {})
+      });
+    }
+
+    const resumeText = typeof context.resumeText === 'string' ? context.resumeText : prompt;
+    const messages = messagesFor(context.preferences);
+    const analysis = this.buildAnalysis(resumeText, context.preferences || {});
+
+    if (context.part) {
+      this.limitToPart(analysis, context.part, messages);
+    }
+
+    if (context.jobDescription) {
+      analysis.jobMatch = this.buildJobMatch(resumeText, context.jobDescription, messages);
+    }
+
+    return JSON.stringify(analysis);
+  }
+
+  // A chunk of a long resume only scores the sections it contains
+  limitToPart(analysis, part, messages = MESSAGES.english) {
+    for (const key of Object.keys(analysis.sectionScores)) {
+      if (key !== 'formatting' && !part.scoredSections.includes(key)) {
+        analysis.sectionScores[key].score = null;
+      }
+    }
+
+    const paragraphs = analysis.roastFeedback.split('\n\n');
+    analysis.roastFeedback = [
+      ...(part.index === 1 ? [paragraphs[0]] : []),
+      messages.part(part.index, part.total, part.sections.join(', ')),
+      ...paragraphs.slice(2)
+    ].join('\n\n');
+  }
+
+  buildJobMatch(resumeText, jobDescription, messages = MESSAGES.english) {
+    const lowerResume = resumeText.toLowerCase();
+    const sentences = String(jobDescription).toLowerCase().split(/\n|[;•]|\.(?=\s|$)/);
+    const required = [];
+    const preferred = [];
+
+    sentences.forEach(sentence => {
+      const isPreferred = /\b(prefer\w*|nice to have|bonus|plus|desirable)\b/.test(sentence);
+      [...KNOWN_SKILLS, ...SOFT_SKILLS]
+        .filter(term => this.mentions(sentence, term))
+        .forEach(term => {
+          const target = isPreferred ? preferred : required;
+          if (!required.includes(term) && !preferred.includes(term)) {
+            target.push(term);
+          }
+        });
+    });
+
+    const missing = [...required, ...preferred].filter(term => !this.mentions(lowerResume, term));
+    const covered = [...required, ...preferred].length - missing.length;
+    const total = required.length + preferred.length;
+
+    return {
+      matchScore: total > 0 ? Math.round((covered / total) * 100) : 50,
+      requiredKeywords: required,
+      preferredKeywords: preferred,
+      tailoringSuggestions: missing.length > 0
+        ? missing.slice(0, 5).map(term => messages.jobMatch.showUsage(term))
+        : [messages.jobMatch.mirror]
+    };
+  }
+
+  mentions(lowerText, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9+#.])${escaped}(?![a-z0-9+#])`).test(lowerText);
+  }
+
+  collectSignals(text) {
+    const lower = text.toLowerCase();
+    const words = lower.split(/\s+/).filter(Boolean);
+
+    return {
+      wordCount: words.length,
+      // Redacted text carries placeholders ([EMAIL_1]) instead of the details
+      hasEmail: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b|\[EMAIL_\d+\]/.test(text),
+      hasPhone: /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}|\[PHONE_\d+\]/.test(text),
+      hasLinkedIn: /linkedin\.com[/\s]+in\b|\[LINKEDIN_\d+\]/i.test(text),
+      hasExperience: /\b(experience|employment|work history)\b/.test(lower),
+      hasEducation: /\b(education|university|college|degree)\b/.test(lower),
+      hasSkills: /\bskills?\b/.test(lower),
+      hasSummary: /\b(summary|objective|profile)\b/.test(lower),
+      quantifiedCount: (text.match(/\d+(\.\d+)?\s?(%|\+|x\b|k\b|users|customers|hours|days)/gi) || []).length,
+      actionVerbCount: words.filter(word => ACTION_VERBS.includes(word.replace(/[^a-z]/g, ''))).length,
+      technicalSkills: KNOWN_SKILLS.filter(skill => this.mentions(lower, skill)),
+      softSkills: SOFT_SKILLS.filter(skill => this.mentions(lower, skill))
+    };
+  }
+
+  buildRewrites(bullets, issues, preferences) {
+    const messages = messagesFor(preferences);
+    const opener = messages.reasonOpeners[preferences.roastLevel] || messages.reasonOpeners.ache;
+
+    return bullets.map((bullet, index) => {
+      const bulletIssues = issues[index] || [];
+      const changes = [];
+      let rewritten = bullet.replace(/[.;]+$/, '');
+
+      const match = OPENER_REWRITES.find(([pattern]) => pattern.test(rewritten));
+      if (match) {
+        const rest = rewritten.replace(match[0], '');
+        const gerund = rest.match(/^([a-z]{3,})ing\b/i);
+
+        // "Responsible for managing X" reads better as "Managed X"
+        rewritten = gerund
+          ? (IRREGULAR_PAST[gerund[0].toLowerCase()] || `${gerund[1]}ed`) + rest.slice(gerund[0].length).replace(/^\s+of\b/i, '')
+          : match[1] + rest;
+        changes.push(messages.rewrites.actionVerb);
+      }
+
+      const words = rewritten.split(/\s+/);
+      if (words.length > 25) {
+        rewritten = words.slice(0, 25).join(' ');
+        const clauseEnd = Math.max(rewritten.lastIndexOf(','), rewritten.lastIndexOf(' and '));
+        if (clauseEnd > rewritten.length * 0.4) {
+          rewritten = rewritten.substring(0, clauseEnd);
+        }
+        rewritten = rewritten.replace(/[,;:]$/, '');
+        changes.push(messages.rewrites.trimmed);
+      }
+
+      if (!/\d/.test(rewritten)) {
+        rewritten += ', improving [metric] by [X%]';
+        changes.push(messages.rewrites.metric);
+      }
+
+      rewritten = rewritten.charAt(0).toUpperCase() + rewritten.slice(1);
+
+      return {
+        index: index + 1,
+        rewritten,
+        reason: messages.sentence(changes.length > 0
+          ? `${opener} ${changes.join(', ')}`
+          : `${opener} ${messages.rewrites.addresses(bulletIssues.join(', ') || messages.rewrites.wording)}`)
+      };
+    });
+  }
+
+  buildSectionScores(signals, messages = MESSAGES.english) {
+    const text = messages.rationales;
+    const contactMissing = [
+      !signals.hasEmail && text.contactFields.email,
+      !signals.hasPhone && text.contactFields.phone,
+      !signals.hasLinkedIn && text.contactFields.linkedin
+    ].filter(Boolean);
+
+    const lengthOk = signals.wordCount >= 250 && signals.wordCount <= 900;
+
+    return {
+      contact: {
+        score: 25 + (signals.hasEmail ? 35 : 0) + (signals.hasPhone ? 25 : 0) + (signals.hasLinkedIn ? 15 : 0),
+        rationale: contactMissing.length > 0
+          ? text.contactMissing(contactMissing.join(', '))
+          : text.contactComplete
+      },
+      summary: {
+        score: signals.hasSummary ? 75 : 20,
+        rationale: signals.hasSummary ? text.summary : text.noSummary
+      },
+      experience: {
+        score: Math.min(100, (signals.hasExperience ? 40 : 10) +
+          Math.min(35, signals.quantifiedCount * 7) +
+          Math.min(25, signals.actionVerbCount * 5)),
+        rationale: signals.hasExperience
+          ? text.experience(signals.quantifiedCount, signals.actionVerbCount)
+          : messages.weaknesses.experience
+      },
+      education: {
+        score: signals.hasEducation ? 85 : 15,
+        rationale: signals.hasEducation ? messages.strengths.education : messages.weaknesses.education
+      },
+      skills: {
+        score: Math.min(100, (signals.hasSkills ? 30 : 10) +
+          Math.min(60, signals.technicalSkills.length * 10) +
+          Math.min(10, signals.softSkills.length * 5)),
+        rationale: text.skills(signals.technicalSkills.length, signals.hasSkills)
+      },
+      formatting: {
+        score: lengthOk ? 85 : signals.wordCount < 250 ? 45 : 55,
+        rationale: text.formatting(signals.wordCount, lengthOk ? text.lengthOk : signals.wordCount < 250 ? text.tooShort : text.tooLong)
+      }
+    };
+  }
+
+  buildAnalysis(text, preferences) {
+    const messages = messagesFor(preferences);
+    const { strengths: good, weaknesses: bad } = messages;
+    const improvement = (priority, key, example) => {
+      const [title, description] = messages.improvements[key];
+      return { priority, title, description, example };
+    };
+    const signals = this.collectSignals(text);
+    const strengths = [];
+    const weaknesses = [];
+    const improvements = [];
+
+    if (signals.hasEmail && signals.hasPhone) {
+      strengths.push(good.contact);
+    } else {
+      weaknesses.push(bad.contact);
+      improvements.push(improvement('high', 'contact', 'name@example.com | +91 98765 43210 | linkedin.com/in/yourname'));
+    }
+
+    if (signals.hasExperience) {
+      strengths.push(good.experience);
+    } else {
+      weaknesses.push(bad.experience);
+      improvements.push(improvement('high', 'experience', 'Software Intern, Acme Corp (Jun 2023 - Aug 2023)'));
+    }
+
+    if (signals.hasEducation) {
+      strengths.push(good.education);
+    } else {
+      weaknesses.push(bad.education);
+    }
+
+    if (signals.hasSkills && signals.technicalSkills.length >= 3) {
+      strengths.push(good.skills(signals.technicalSkills.slice(0, 5).join(', ')));
+    } else {
+      weaknesses.push(bad.skills);
+      improvements.push(improvement('medium', 'skills', 'Languages: JavaScript, Python | Frameworks: React, Express'));
+    }
+
+    if (signals.quantifiedCount >= 3) {
+      strengths.push(good.quantified);
+    } else {
+      weaknesses.push(bad.quantified);
+      improvements.push(improvement('high', 'quantified', 'Reduced page load time by 40% for 10k daily users'));
+    }
+
+    if (signals.actionVerbCount >= 5) {
+      strengths.push(good.actionVerbs);
+    } else {
+      weaknesses.push(bad.actionVerbs);
+    }
+
+    if (signals.wordCount >= 250 && signals.wordCount <= 900) {
+    } else {
+      weaknesses.push(signals.wordCount < 250 ? bad.short : bad.long);
+      improvements.push(improvement('low', 'length', 'Drop coursework older than five years'));
+    }
+
+    if (strengths.length === 0) {
+      strengths.push(good.fallback);
+    }
+
+    if (improvements.length === 0) {
+      improvements.push(improvement('low', 'tailor', 'Add "REST APIs" if the posting asks for it'));
+    }
+
+    const { greeting } = getToneConfig(preferences);
+    const sectionScores = this.buildSectionScores(signals, messages);
+    const finalScore = computeOverallScore(sectionScores);
+
+    return {
+      roastFeedback: [
+        greeting,
+        messages.overview(signals.wordCount, finalScore),
+        messages.sentence(messages.whatWorks(strengths.join('; '))),
+        weaknesses.length > 0 ? messages.sentence(messages.needsWork(weaknesses.join('; '))) : messages.noGaps
+      ].join('\n\n'),
+      sectionScores,
+      strengths: strengths.slice(0, 5),
+      weaknesses: (weaknesses.length > 0 ? weaknesses : [bad.none]).slice(0, 5),
+      improvements: improvements.slice(0, 5),
+      extractedInfo: {
+        personalInfo: {
+          name: null,
+          email: null,
+          phone: null,
+          address: null,
+          linkedin: null,
+          github: null,
+          website: null
+        },
+        skills: {
+          technical: signals.technicalSkills,
+          soft: signals.softSkills
+        },
+        experience: [],
+        education: []
+      }
+    };
+  }
+}
+
+module.exports = OfflineProvider;
@@ -0,0 +1,62 @@
+// Talks to any server exposing the OpenAI /chat/completions API
+// (Ollama, LM Studio, vLLM, llama.cpp server...). Uses the global fetch (Node 18+).
+class OpenAICompatibleProvider {
+  constructor(config = {}, requestTimeout = 30000) {
+    if (!config.baseURL) {
+      throw new Error('OPENAI_COMPAT_BASE_URL environment variable is required');
+    }
+
+    this.name = 'openai-compatible';
+    this.model = config.model;
+    this.baseURL = config.baseURL;
+    this.apiKey = config.apiKey;
+    this.requestTimeout = requestTimeout;
+
+    console.log('✅ OpenAI-compatible provider initialized:', this.baseURL, this.model);
+  }
+
+  async generate(prompt) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await fetch(`${this.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.model,
+          temperature: 0.6,
+          top_p: 0.8,
+          max_tokens: 4000,
+          messages: [
+            { role: 'system', content: 'You are an expert resume reviewer. Always answer with valid JSON only.' },
+            { role: 'user', content: prompt }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OPENAI_COMPAT_HTTP_${response.status}`);
+      }
+
+      const payload = await response.json();
+      return payload?.choices?.[0]?.message?.content || '';
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('REQUEST_TIMEOUT');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
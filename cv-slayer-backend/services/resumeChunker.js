@@ -0,0 +1,105 @@
+const fileProcessor = require('./fileProcessor');
+
+// Sections that feed a section score; the rest (projects, certifications)
+// still get analyzed but have no score of their own
+const SCORED_SECTIONS = {
+  header: 'contact',
+  summary: 'summary',
+  experience: 'experience',
+  education: 'education',
+  skills: 'skills'
+};
+
+/**
+ * Resume chunker
+ * Splits a resume into its sections and packs them into chunks small enough
+ * for one AI request each, so long resumes are analyzed in full instead of
+ * being truncated.
+ */
+class ResumeChunker {
+  constructor() {
+    this.chunkSize = 6000;
+    this.maxChunks = 8;
+  }
+
+  // Section texts (heading included) from the fileProcessor segmentation
+  splitSections(text, segments) {
+    return segments
+      .map(section => ({
+        name: section.type,
+        heading: section.heading,
+        text: fileProcessor.sectionText(text, section, { withHeading: true }).trim()
+      }))
+      .filter(section => section.text.length > 0);
+  }
+
+  // Break a section that is too long on its own into line-aligned parts
+  splitLongSection(section, size) {
+    const parts = [];
+    let buffer = '';
+
+    for (const line of section.text.split('\n')) {
+      const pieces = line.length > size ? line.match(new RegExp(`.{1,${size}}(\\s|$)`, 'g')) || [line] : [line];
+
+      for (const piece of pieces) {
+        if (buffer && buffer.length + piece.length + 1 > size) {
+          parts.push(buffer);
+          buffer = '';
+        }
+        buffer = buffer ? `${buffer}\n${piece}` : piece;
+      }
+    }
+
+    if (buffer) parts.push(buffer);
+
+    return parts.map((text, index) => ({
+      name: section.name,
+      heading: section.heading,
+      part: parts.length > 1 ? index + 1 : null,
+      text
+    }));
+  }
+
+  /**
+   * Plan the analysis: sections, and the chunks that cover all of them.
+   * segments are fileProcessor.segmentSections output for text.
+   */
+  plan(text, segments = fileProcessor.segmentSections(text)) {
+    const source = String(text || '');
+    const sections = this.splitSections(source, segments);
+
+    // Grow the chunk size rather than exceed the request budget
+    const size = Math.max(this.chunkSize, Math.ceil(source.length / this.maxChunks) + 200);
+
+    const pieces = sections.flatMap(section =>
+      section.text.length > size ? this.splitLongSection(section, size) : [{ ...section, part: null }]
+    );
+
+    const chunks = [];
+    let current = null;
+
+    for (const piece of pieces) {
+      if (!current || current.text.length + piece.text.length + 2 > size) {
+        current = { index: chunks.length, text: '', sections: [] };
+        chunks.push(current);
+      }
+
+      current.text = current.text ? `${current.text}\n\n${piece.text}` : piece.text;
+      current.sections.push({
+        name: piece.name,
+        heading: piece.heading,
+        part: piece.part,
+        characters: piece.text.length
+      });
+    }
+
+    return { sections, chunks };
+  }
+
+  // Score keys a chunk has evidence for
+  scoredSectionsOf(chunk) {
+    return [...new Set(chunk.sections.map(section => SCORED_SECTIONS[section.name]).filter(Boolean))];
+  }
+}
+
+module.exports = new ResumeChunker();
@@ -0,0 +1,224 @@
+const fileProcessor = require('./fileProcessor');
+const linkInspector = require('./linkInspector');
+
+const PLACEHOLDERS = /^(null|undefined|none|n\/?a|not\s+(found|available|provided|specified|mentioned)|unknown|-+)$/i;
+
+const SKILL_CATEGORIES = ['technical', 'soft', 'languages', 'tools', 'frameworks'];
+const LIST_FIELDS = ['certifications', 'projects', 'awards', 'volunteerWork', 'interests'];
+
+/**
+ * Structured resume info normalizer
+ * Validates the AI's extractedInfo into the shape of the Resume schema and
+ * merges it with the regex extraction. Merge policy for personal info:
+ * - email, phone, linkedin, github: the regex match wins (it is copied
+ *   verbatim from the text); the AI value is used only when the regex found
+ *   nothing and the value is well-formed and appears in the text
+ * - name, address, website: the AI value wins when it appears in the text,
+ *   since the regex can only guess the name from the first lines
+ * AI values that do not appear in the resume text are dropped.
+ */
+class ResumeInfoNormalizer {
+  constructor() {
+    this.limits = {
+      field: 200,
+      summary: 1000,
+      description: 1000,
+      skills: 50,
+      experience: 20,
+      achievements: 10,
+      education: 10,
+      list: 20
+    };
+
+    this.formats = {
+      email: /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/,
+      phone: /^\+?[\d\s().-]{7,20}$/,
+      linkedin: /linkedin\.com\/in\/[A-Za-z0-9_-]+/i,
+      github: /github\.com\/[A-Za-z0-9_-]+/i,
+      website: /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(\/\S*)?$/i
+    };
+
+    this.contactPatterns = {
+      email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/,
+      phone: /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
+      linkedin: /linkedin\.com\/in\/([a-zA-Z0-9\-_]+)/i,
+      github: /github\.com\/([a-zA-Z0-9\-_]+)/i
+    };
+  }
+
+  emptyPersonalInfo() {
+    return { name: '', email: '', phone: '', address: '', linkedin: '', github: '', website: '' };
+  }
+
+  cleanString(value, maxLength = this.limits.field) {
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    const cleaned = String(value).replace(/\s+/g, ' ').trim();
+    return PLACEHOLDERS.test(cleaned) ? '' : cleaned.substring(0, maxLength);
+  }
+
+  // Trimmed, de-duplicated (case-insensitive) list of strings
+  cleanList(list, limit, maxLength = this.limits.field) {
+    const seen = new Set();
+
+    return (Array.isArray(list) ? list : [])
+      .map(item => this.cleanString(item, maxLength))
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  // "Jan 2019 - Present" style durations from older prompts
+  splitDuration(duration) {
+    const parts = this.cleanString(duration).split(/\s+(?:-|–|—|to)\s+/i);
+    return { startDate: parts[0] || '', endDate: parts[1] || '' };
+  }
+
+  normalizeExperience(list) {
+    const seen = new Set();
+
+    return (Array.isArray(list) ? list : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => {
+        const dates = item.startDate || item.endDate
+          ? { startDate: this.cleanString(item.startDate), endDate: this.cleanString(item.endDate) }
+          : this.splitDuration(item.duration);
+
+        return {
+          title: this.cleanString(item.title),
+          company: this.cleanString(item.company),
+          location: this.cleanString(item.location),
+          ...dates,
+          description: this.cleanString(item.description, this.limits.description),
+          achievements: this.cleanList(item.achievements, this.limits.achievements, 300)
+        };
+      })
+      .filter(item => {
+        const key = `${item.title}|${item.company}|${item.startDate}`.toLowerCase();
+        if ((!item.title && !item.company) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.limits.experience);
+  }
+
+  normalizeEducation(list) {
+    const seen = new Set();
+
+    return (Array.isArray(list) ? list : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({
+        degree: this.cleanString(item.degree),
+        field: this.cleanString(item.field),
+        institution: this.cleanString(item.institution),
+        graduationYear: this.cleanString(item.graduationYear || item.year, 20),
+        gpa: this.cleanString(item.gpa, 20)
+      }))
+      .filter(item => {
+        const key = `${item.degree}|${item.institution}`.toLowerCase();
+        if ((!item.degree && !item.institution) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.limits.education);
+  }
+
+  /**
+   * Validate the AI's extractedInfo into the Resume schema shape
+   */
+  normalize(info) {
+    const source = info && typeof info === 'object' ? info : {};
+    const personalInfo = source.personalInfo && typeof source.personalInfo === 'object' ? source.personalInfo : {};
+    const skills = source.skills && typeof source.skills === 'object' ? source.skills : {};
+
+    const normalized = {
+      personalInfo: Object.fromEntries(
+        Object.keys(this.emptyPersonalInfo()).map(key => [key, this.cleanString(personalInfo[key])])
+      ),
+      professionalSummary: this.cleanString(source.professionalSummary, this.limits.summary),
+      skills: Object.fromEntries(
+        SKILL_CATEGORIES.map(category => [category, this.cleanList(skills[category], this.limits.skills, 60)])
+      ),
+      experience: this.normalizeExperience(source.experience),
+      education: this.normalizeEducation(source.education)
+    };
+
+    LIST_FIELDS.forEach(field => {
+      normalized[field] = this.cleanList(source[field], this.limits.list, 300);
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Regex contact details. They are looked for in the header section (the
+   * text above the first heading) first, then in the whole text; the name is
+   * the first header line that looks like one. Links (from linkInspector)
+   * fill in what the text does not show: profile URLs behind anchor text
+   * such as "LinkedIn", mailto: addresses and a "Portfolio" link's website.
+   */
+  extractBasicInfo(text, sections = fileProcessor.segmentSections(text), links = []) {
+    const source = String(text || '');
+    const header = sections.find(section => section.type === 'header');
+    const headerText = header ? fileProcessor.sectionText(source, header) : '';
+    const find = pattern => (headerText.match(pattern) || source.match(pattern) || [''])[0];
+
+    const name = headerText
+      .split('\n')
+      .map(line => line.trim())
+      .find(line => line.length > 1 && line.length < 50 &&
+        !/[@/]|www\.|https?:|\d{3}/i.test(line) &&
+        line.split(/\s+/).length <= 6 &&
+        /\p{L}/u.test(line));
+
+    const usable = (links || []).filter(link => link.status === 'ok');
+    const fromLinks = pattern => (usable.map(link => link.url.match(pattern)).find(Boolean) || [''])[0];
+    const mailto = usable.map(link => /^mailto:([^?]+)/i.exec(link.url)).find(Boolean);
+    const portfolio = usable.find(link => /portfolio|website|homepage|home page|blog|personal site/i.test(link.text) &&
+      /^https?:\/\//i.test(link.url));
+
+    return {
+      ...this.emptyPersonalInfo(),
+      name: name || '',
+      email: find(this.contactPatterns.email) || (mailto ? linkInspector.decode(mailto[1]) : ''),
+      phone: find(this.contactPatterns.phone),
+      linkedin: find(this.contactPatterns.linkedin) || fromLinks(this.contactPatterns.linkedin),
+      github: find(this.contactPatterns.github) || fromLinks(this.contactPatterns.github),
+      website: portfolio ? portfolio.url : ''
+    };
+  }
+
+  // Whether a value can be found in the resume text (ignoring case and spacing)
+  appearsIn(value, text) {
+    const squash = str => String(str).toLowerCase().replace(/[\s()./-]+/g, '');
+    return Boolean(value) && squash(text).includes(squash(value));
+  }
+
+  /**
+   * Merge the regex personal info with the normalized AI extraction
+   */
+  merge(regexInfo, aiInfo, text) {
+    const ai = this.normalize(aiInfo);
+    const regex = { ...this.emptyPersonalInfo(), ...(regexInfo || {}) };
+    const grounded = key => (this.appearsIn(ai.personalInfo[key], text) ? ai.personalInfo[key] : '');
+    const wellFormed = key => (this.formats[key].test(ai.personalInfo[key]) ? grounded(key) : '');
+
+    return {
+      ...ai,
+      personalInfo: {
+        name: grounded('name') || this.cleanString(regex.name),
+        email: this.cleanString(regex.email) || wellFormed('email'),
+        phone: this.cleanString(regex.phone) || wellFormed('phone'),
+        address: grounded('address') || this.cleanString(regex.address),
+        linkedin: this.cleanString(regex.linkedin) || wellFormed('linkedin'),
+        github: this.cleanString(regex.github) || wellFormed('github'),
+        website: wellFormed('website') || this.cleanString(regex.website)
+      }
+    };
+  }
+}
+
+module.exports = new ResumeInfoNormalizer();
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const Resume = require('../models/Resume');
+const resumeInfoNormalizer = require('./resumeInfoNormalizer');
+const analysisCache = require('./analysisCache');
+const jobStore = require('./jobStore');
+const fieldEncryption = require('./fieldEncryption');
 
 /**
  * Simplified Resume Storage Service
@@ -14,17 +18,23 @@ class ResumeStorageEnhanced {
 
   /**
    * Save resume data to database - simplified version
+   * options.onProgress(event) receives pipeline progress events
    */
-  async saveResumeData(file, extractedText, analysisResult, preferences, metadata = {}) {
+  async saveResumeData(file, extractedText, analysisResult, preferences, metadata = {}, options = {}) {
     const startTime = Date.now();
     const requestId = metadata.requestId || crypto.randomUUID();
+    const report = (event) => options.onProgress && options.onProgress({ stage: 'saving', ...event });
     
     try {
       console.log('💾 Saving resume data:', requestId);
+      report({ step: 'started' });
 
       // Generate unique resume ID
       const resumeId = this.generateResumeId();
 
+      // Lets the uploader export or delete the record; only its hash is stored
+      const deletionToken = crypto.randomBytes(32).toString('base64url');
+
       // Prepare simplified document
       const resumeDocument = this.prepareDocumentStructure(
         resumeId,
@@ -32,14 +42,17 @@ class ResumeStorageEnhanced {
         extractedText,
         analysisResult,
         preferences,
-        metadata,
+        { ...metadata, deletionTokenHash: this.hashToken(deletionToken) },
         requestId
       );
 
-      // Save to database (simple, no retry)
-      const savedResume = await this.saveToDatabase(resumeDocument);
+      // Save to database (simple, no retry); personal info and text are encrypted at rest
+      const savedResume = await this.saveToDatabase(
+        this.mapSensitiveFields(resumeDocument, value => fieldEncryption.encrypt(value))
+      );
       
       const processingTime = Date.now() - startTime;
+      report({ step: 'saved', resumeId: savedResume.resumeId });
       
       console.log('✅ Resume saved:', {
         requestId,
@@ -50,6 +63,7 @@ class ResumeStorageEnhanced {
       return {
         success: true,
         resumeId: savedResume.resumeId,
+        deletionToken,
         message: 'Resume data saved successfully',
         processingTime,
         requestId
@@ -63,6 +77,7 @@ class ResumeStorageEnhanced {
         error: error.message,
         time: processingTime + 'ms'
       });
+      report({ step: 'skipped', reason: 'Storage unavailable' });
 
       return {
         success: false,
@@ -91,6 +106,14 @@ class ResumeStorageEnhanced {
     // Handle both direct analysis results and wrapped results
     const analysis = analysisResult.data || analysisResult;
     
+    // The pipeline's final extraction (imported JSON Resume fields, or the
+    // regex and link details merged with the AI's); re-derived otherwise
+    const extractedInfo = metadata.extractedInfo || resumeInfoNormalizer.merge(
+      resumeInfoNormalizer.extractBasicInfo(extractedText),
+      analysis.extractedInfo,
+      extractedText || ''
+    );
+    
     return {
       resumeId,
       
@@ -99,36 +122,32 @@ class ResumeStorageEnhanced {
         originalFileName: file.originalname || 'unknown',
         fileSize: file.size || 0,
         mimeType: file.mimetype || 'unknown',
-        fileHash: crypto.createHash('md5').update(extractedText || '').digest('hex')
+        fileHash: analysisCache.hashContent(extractedText),
+        links: (metadata.links || []).map(({ url, text, page, status, issue }) => ({ url, text, page, status, issue })),
+        metadata: metadata.documentMetadata || {}
       },
       
-      extractedInfo: {
-        personalInfo: this.extractBasicPersonalInfo(extractedText),
-        professionalSummary: '',
-        skills: {
-          technical: [],
-          soft: [],
-          languages: [],
-          tools: [],
-          frameworks: []
-        },
-        experience: [],
-        education: [],
-        certifications: [],
-        projects: [],
-        awards: [],
-        volunteerWork: [],
-        interests: []
-      },
+      extractedText: (extractedText || '').substring(0, 50000),
+      
+      extractedInfo,
       
       analysis: {
         overallScore: analysis.score || 0,
         feedback: analysis.roastFeedback || 'No feedback available',
         strengths: analysis.strengths || [],
         weaknesses: analysis.weaknesses || [],
-        improvements: analysis.improvements || []
+        improvements: analysis.improvements || [],
+        sectionScores: analysis.sectionScores || {}
       },
       
+      jobMatch: analysis.jobMatch ? {
+        jdHash: metadata.jobDescriptionHash || '',
+        matchScore: analysis.jobMatch.matchScore || 0,
+        requiredKeywords: analysis.jobMatch.requiredKeywords || [],
+        preferredKeywords: analysis.jobMatch.preferredKeywords || [],
+        tailoringSuggestions: analysis.jobMatch.tailoringSuggestions || []
+      } : undefined,
+      
       preferences: {
         roastLevel: preferences.roastLevel || 'ache',
         language: preferences.language || 'english',
@@ -142,11 +161,22 @@ class ResumeStorageEnhanced {
         updatedAt: now
       },
       
+      privacy: {
+        deletionTokenHash: metadata.deletionTokenHash || '',
+        emailIndex: fieldEncryption.blindIndex(extractedInfo.personalInfo?.email)
+      },
+      
+      consent: {
+        termsVersion: metadata.consent?.termsVersion || '',
+        acceptedAt: metadata.consent?.acceptedAt || now,
+        storageOptIn: metadata.consent?.storageOptIn === true
+      },
+      
       metadata: {
         clientIP: metadata.clientIP || 'unknown',
         userAgent: 'unknown',
         countryCode: 'unknown',
-        gdprConsent: true,
+        gdprConsent: metadata.consent?.storageOptIn === true,
         requestId,
         processingTime: 0
       }
@@ -154,40 +184,187 @@ class ResumeStorageEnhanced {
   }
 
   /**
-   * Extract basic personal info - simplified
+   * Copy of a stored resume with transform applied to every field that holds
+   * personal data or resume content: the extracted text, the personal info,
+   * summary, experience, education and projects, the document author and
+   * title, the hyperlinks, the written feedback (which quotes the contact
+   * details back) and the tailoring suggestions. Fields missing from the
+   * document (projected away) stay missing.
    */
-  extractBasicPersonalInfo(text) {
-    if (!text) return { name: '', email: '', phone: '', linkedin: '', github: '', address: '', website: '' };
-    
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-    const phoneRegex = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
-    const linkedinRegex = /linkedin\.com\/in\/([a-zA-Z0-9-]+)/i;
-    const githubRegex = /github\.com\/([a-zA-Z0-9-]+)/i;
-    
-    const emailMatch = text.match(emailRegex);
-    const phoneMatch = text.match(phoneRegex);
-    const linkedinMatch = text.match(linkedinRegex);
-    const githubMatch = text.match(githubRegex);
-    
-    // Simple name extraction
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    let name = '';
-    for (let i = 0; i < Math.min(3, lines.length); i++) {
-      const line = lines[i].trim();
-      if (!line.includes('@') && !line.includes('http') && line.length < 50) {
-        name = line;
-        break;
+  mapSensitiveFields(resume, transform) {
+    const copy = { ...resume };
+    const text = value => typeof value === 'string' ? transform(value) : value;
+    const fields = (item, keys) => item && typeof item === 'object'
+      ? { ...item, ...Object.fromEntries(keys.filter(key => key in item).map(key => [key, text(item[key])])) }
+      : item;
+
+    if (typeof resume.extractedText === 'string') {
+      copy.extractedText = transform(resume.extractedText);
+    }
+
+    if (resume.extractedInfo) {
+      const info = resume.extractedInfo;
+      copy.extractedInfo = fields(info, ['professionalSummary']);
+
+      if (info.personalInfo) {
+        copy.extractedInfo.personalInfo = fields(info.personalInfo, Object.keys(info.personalInfo));
+      }
+      if (Array.isArray(info.experience)) {
+        copy.extractedInfo.experience = info.experience.map(item => {
+          const mapped = fields(item, ['title', 'company', 'location', 'startDate', 'endDate', 'description']);
+          return Array.isArray(item?.achievements) ? { ...mapped, achievements: item.achievements.map(text) } : mapped;
+        });
+      }
+      if (Array.isArray(info.education)) {
+        copy.extractedInfo.education = info.education.map(item => fields(item, ['degree', 'field', 'institution', 'graduationYear', 'gpa']));
+      }
+      if (Array.isArray(info.projects)) {
+        copy.extractedInfo.projects = info.projects.map(text);
       }
     }
-    
+
+    if (resume.fileInfo) {
+      copy.fileInfo = { ...resume.fileInfo };
+
+      if (resume.fileInfo.metadata) {
+        copy.fileInfo.metadata = {
+          ...resume.fileInfo.metadata,
+          ...('author' in resume.fileInfo.metadata ? { author: text(resume.fileInfo.metadata.author) } : {}),
+          ...('title' in resume.fileInfo.metadata ? { title: text(resume.fileInfo.metadata.title) } : {})
+        };
+      }
+      if (Array.isArray(resume.fileInfo.links)) {
+        copy.fileInfo.links = resume.fileInfo.links.map(link => ({
+          ...link,
+          url: typeof link.url === 'string' ? transform(link.url) : link.url,
+          text: typeof link.text === 'string' ? transform(link.text) : link.text
+        }));
+      }
+    }
+
+    if (resume.analysis) {
+      copy.analysis = { ...resume.analysis };
+
+      if ('feedback' in resume.analysis) copy.analysis.feedback = text(resume.analysis.feedback);
+      ['strengths', 'weaknesses'].forEach(field => {
+        if (Array.isArray(resume.analysis[field])) copy.analysis[field] = resume.analysis[field].map(text);
+      });
+      if (Array.isArray(resume.analysis.improvements)) {
+        copy.analysis.improvements = resume.analysis.improvements.map(improvement => fields(improvement, ['title', 'description', 'example']));
+      }
+    }
+
+    if (Array.isArray(resume.jobMatch?.tailoringSuggestions)) {
+      copy.jobMatch = { ...resume.jobMatch, tailoringSuggestions: resume.jobMatch.tailoringSuggestions.map(text) };
+    }
+
+    return copy;
+  }
+
+  /**
+   * Decrypt stored resumes for a reader. Every call that decrypts anything
+   * is logged with its purpose and who asked (an admin email, or 'user').
+   */
+  decryptResumes(resumes, { purpose, actor = 'user' }) {
+    const decryptedIds = [];
+
+    const decrypted = resumes.map(resume => {
+      let touched = false;
+      const copy = this.mapSensitiveFields(resume, value => {
+        if (!fieldEncryption.isEncrypted(value)) return value;
+        touched = true;
+        return fieldEncryption.decrypt(value);
+      });
+
+      if (touched) decryptedIds.push(resume.resumeId || resume._id?.toString());
+      return copy;
+    });
+
+    if (decryptedIds.length > 0) {
+      console.log('🔓 Resume data decrypted:', {
+        purpose,
+        actor: actor === 'user' ? actor : String(actor).substring(0, 3) + '***',
+        resumes: decryptedIds.length,
+        resumeIds: decryptedIds.slice(0, 50)
+      });
+    }
+
+    return decrypted;
+  }
+
+  /**
+   * Re-encrypt every stored resume, cached analysis and job result under
+   * the current key (this also encrypts rows saved before encryption was
+   * configured), so no stored value still needs an older key
+   */
+  async rotateEncryption() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Database not connected');
+    }
+    if (!fieldEncryption.isEnabled()) {
+      throw new Error('Data encryption is not configured');
+    }
+
+    const collection = mongoose.connection.db.collection('resumes');
+    const cursor = collection.find({}, {
+      projection: {
+        resumeId: 1,
+        extractedText: 1,
+        'extractedInfo.personalInfo': 1,
+        'extractedInfo.professionalSummary': 1,
+        'extractedInfo.experience': 1,
+        'extractedInfo.education': 1,
+        'extractedInfo.projects': 1,
+        'fileInfo.metadata.author': 1,
+        'fileInfo.metadata.title': 1,
+        'fileInfo.links': 1,
+        'analysis.feedback': 1,
+        'analysis.strengths': 1,
+        'analysis.weaknesses': 1,
+        'analysis.improvements': 1,
+        'jobMatch.tailoringSuggestions': 1
+      }
+    });
+    let scanned = 0;
+    let updated = 0;
+
+    for await (const resume of cursor) {
+      scanned++;
+      let changed = false;
+      const rotated = this.mapSensitiveFields(resume, value => {
+        const next = fieldEncryption.rotate(value);
+        if (next === null) return value;
+        changed = true;
+        return next;
+      });
+
+      if (!changed) continue;
+
+      const update = {};
+      if ('extractedText' in rotated) update.extractedText = rotated.extractedText;
+      ['personalInfo', 'professionalSummary', 'experience', 'education', 'projects'].forEach(field => {
+        if (rotated.extractedInfo && field in rotated.extractedInfo) update[`extractedInfo.${field}`] = rotated.extractedInfo[field];
+      });
+      ['author', 'title'].forEach(field => {
+        if (rotated.fileInfo?.metadata && field in rotated.fileInfo.metadata) update[`fileInfo.metadata.${field}`] = rotated.fileInfo.metadata[field];
+      });
+      if (rotated.fileInfo?.links) update['fileInfo.links'] = rotated.fileInfo.links;
+      ['feedback', 'strengths', 'weaknesses', 'improvements'].forEach(field => {
+        if (rotated.analysis && field in rotated.analysis) update[`analysis.${field}`] = rotated.analysis[field];
+      });
+
+      if (rotated.jobMatch?.tailoringSuggestions) update['jobMatch.tailoringSuggestions'] = rotated.jobMatch.tailoringSuggestions;
+
+      await collection.updateOne({ _id: resume._id }, { $set: update });
+      updated++;
+    }
+
     return {
-      name: name || '',
-      email: emailMatch ? emailMatch[0] : '',
-      phone: phoneMatch ? phoneMatch[0] : '',
-      linkedin: linkedinMatch ? linkedinMatch[0] : '',
-      github: githubMatch ? githubMatch[0] : '',
-      address: '',
-      website: ''
+      scanned,
+      updated,
+      cache: await analysisCache.rotateEncryption(),
+      jobs: await jobStore.rotateEncryption(),
+      keyId: fieldEncryption.currentKeyId
     };
   }
 
@@ -196,6 +373,11 @@ class ResumeStorageEnhanced {
    */
   async saveToDatabase(documentData) {
     try {
+      // Fail fast instead of waiting on mongoose command buffering
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error('Database not connected');
+      }
+
       const resume = new Resume(documentData);
       const savedResume = await resume.save();
       return savedResume;
@@ -205,6 +387,147 @@ class ResumeStorageEnhanced {
     }
   }
 
+  /**
+   * Get the stored extracted text and preferences of a resume for the
+   * uploader holding its deletion token
+   */
+  async getResumeText(resumeId, token) {
+    const stored = await this.findWithToken(resumeId, token);
+    if (!stored) {
+      return null;
+    }
+
+    const [resume] = this.decryptResumes([stored], { purpose: 'bullet-rewrite' });
+
+    return {
+      text: resume.extractedText || '',
+      preferences: resume.preferences || {}
+    };
+  }
+
+  /**
+   * Get the stored structured extraction of a resume for the uploader
+   * holding its deletion token
+   */
+  async getExtractedInfo(resumeId, token) {
+    const stored = await this.findWithToken(resumeId, token);
+    if (!stored) {
+      return null;
+    }
+
+    const [resume] = this.decryptResumes([stored], { purpose: 'json-resume-export' });
+
+    return {
+      extractedInfo: resume.extractedInfo || {},
+      analyzedAt: resume.timestamps?.analyzedAt || null
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+  }
+
+  /**
+   * A stored resume, if the deletion token handed out when it was saved
+   * matches; null otherwise (unknown id and wrong token look the same)
+   */
+  async findWithToken(resumeId, token) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Database not connected');
+    }
+
+    const resume = await Resume.findOne({ resumeId })
+      .select('+extractedText +privacy.deletionTokenHash')
+      .lean();
+
+    const expected = Buffer.from(resume?.privacy?.deletionTokenHash || '', 'hex');
+    const given = Buffer.from(this.hashToken(token), 'hex');
+
+    if (!resume || !token || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    return resume;
+  }
+
+  /**
+   * Everything stored about a resume, decrypted, for its uploader, with the
+   * analysis jobs of its upload still in the job store
+   */
+  async exportResumeData(resumeId, token) {
+    const stored = await this.findWithToken(resumeId, token);
+    if (!stored) {
+      return null;
+    }
+
+    const [resume] = this.decryptResumes([stored], { purpose: 'data-export' });
+    const { _id, __v, privacy, ...data } = resume;
+
+    return {
+      ...data,
+      jobs: await jobStore.findByRequestIds([resume.metadata?.requestId])
+    };
+  }
+
+  /**
+   * Delete a resume for its uploader; false when the id or token is wrong
+   */
+  async deleteResume(resumeId, token) {
+    const resume = await this.findWithToken(resumeId, token);
+    if (!resume) {
+      return false;
+    }
+
+    await this.removeResumes([resume]);
+    console.log('🗑️ Resume deleted by its uploader:', resumeId);
+    return true;
+  }
+
+  /**
+   * Erasure request: delete every resume whose email matches. Rows saved
+   * before the email index existed (or without encryption) are matched on
+   * their plaintext email.
+   */
+  async eraseByEmail(email) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Database not connected');
+    }
+
+    const normalized = String(email || '').trim().toLowerCase();
+    const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const emailIndex = fieldEncryption.blindIndex(normalized);
+    const resumes = await Resume.find({
+      $or: [
+        // An empty index (encryption off) would match every unindexed row
+        ...(emailIndex ? [{ 'privacy.emailIndex': emailIndex }] : []),
+        { 'extractedInfo.personalInfo.email': new RegExp(`^${escaped}$`, 'i') }
+      ]
+    })
+      .select('resumeId fileInfo.fileHash metadata.requestId')
+      .lean();
+
+    await this.removeResumes(resumes);
+
+    return {
+      deleted: resumes.length,
+      resumeIds: resumes.map(resume => resume.resumeId)
+    };
+  }
+
+  // Delete resumes, the jobs that produced them and the cached analyses of
+  // their content
+  async removeResumes(resumes) {
+    if (resumes.length === 0) return;
+
+    await Resume.deleteMany({ _id: { $in: resumes.map(resume => resume._id) } });
+    await jobStore.removeByRequestIds(resumes.map(resume => resume.metadata?.requestId));
+
+    const hashes = [...new Set(resumes.map(resume => resume.fileInfo?.fileHash).filter(Boolean))];
+    for (const contentHash of hashes) {
+      await analysisCache.invalidate({ contentHash });
+    }
+  }
+
   /**
    * Get basic storage statistics
    */
@@ -234,7 +557,15 @@ class ResumeStorageEnhanced {
 const resumeStorageEnhanced = new ResumeStorageEnhanced();
 
 module.exports = {
-  saveResumeData: (file, extractedText, analysisResult, preferences, metadata) => 
-    resumeStorageEnhanced.saveResumeData(file, extractedText, analysisResult, preferences, metadata),
-  getStorageStats: () => resumeStorageEnhanced.getStorageStats()
+  saveResumeData: (file, extractedText, analysisResult, preferences, metadata, options) => 
+    resumeStorageEnhanced.saveResumeData(file, extractedText, analysisResult, preferences, metadata, options),
+  getResumeText: (resumeId, token) => resumeStorageEnhanced.getResumeText(resumeId, token),
+  getExtractedInfo: (resumeId, token) => resumeStorageEnhanced.getExtractedInfo(resumeId, token),
+  getStorageStats: () => resumeStorageEnhanced.getStorageStats(),
+  decryptResumes: (resumes, context) => resumeStorageEnhanced.decryptResumes(resumes, context),
+  mapSensitiveFields: (resume, transform) => resumeStorageEnhanced.mapSensitiveFields(resume, transform),
+  exportResumeData: (resumeId, token) => resumeStorageEnhanced.exportResumeData(resumeId, token),
+  deleteResume: (resumeId, token) => resumeStorageEnhanced.deleteResume(resumeId, token),
+  eraseByEmail: (email) => resumeStorageEnhanced.eraseByEmail(email),
+  rotateEncryption: () => resumeStorageEnhanced.rotateEncryption()
 };
\ No newline at end of file
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const fieldEncryption = require('./fieldEncryption');
+const piiRedactor = require('./piiRedactor');
+const resumeStorage = require('./resumeStorageEnhanced');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const parseDays = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'address', 'linkedin', 'github', 'website'];
+const SCORED_SECTIONS = ['contact', 'summary', 'experience', 'education', 'skills', 'formatting'];
+
+/**
+ * Retention policy for stored resumes
+ * Each data class has its own age limit, counted from the upload:
+ * - text: the extracted resume text (RETENTION_TEXT_DAYS, default 30)
+ * - personal: contact details, file name, document author and title, links
+ *   and the client IP (RETENTION_PERSONAL_DAYS, default 90). Contact details
+ *   quoted in the feedback are replaced with placeholders ([EMAIL_1]).
+ * - analysis: the feedback, the structured extraction and the job match
+ *   (RETENTION_ANALYSIS_DAYS, default 365). With RETENTION_ANALYSIS_ACTION
+ *   set to "anonymize" (the default) the scores, preferences and timestamps
+ *   are kept for the dashboard stats; with "delete" the document is removed.
+ * A class never outlives one that contains it: the text holds the contact
+ * details, so it is purged no later than the personal info, and both go no
+ * later than the analysis. 0 keeps a class forever. The purge runs in
+ * process every RETENTION_INTERVAL_MS (default 6 hours) and only when
+ * MongoDB is connected.
+ */
+class RetentionService {
+  constructor() {
+    const analysisDays = parseDays(process.env.RETENTION_ANALYSIS_DAYS, 365);
+    const personalDays = this.within(parseDays(process.env.RETENTION_PERSONAL_DAYS, 90), analysisDays);
+
+    this.policy = {
+      analysisDays,
+      personalDays,
+      textDays: this.within(parseDays(process.env.RETENTION_TEXT_DAYS, 30), personalDays),
+      analysisAction: process.env.RETENTION_ANALYSIS_ACTION === 'delete' ? 'delete' : 'anonymize'
+    };
+    this.interval = Number(process.env.RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000; // 6 hours
+
+    this.timer = null;
+    this.running = false;
+    this.nextRunAt = null;
+    this.lastRun = null;
+  }
+
+  // The shorter of two limits, 0 meaning no limit
+  within(days, outerDays) {
+    if (!outerDays) return days;
+    return days ? Math.min(days, outerDays) : outerDays;
+  }
+
+  isEnabled() {
+    return Boolean(this.policy.textDays || this.policy.personalDays || this.policy.analysisDays);
+  }
+
+  /**
+   * Schedule the purge: shortly after startup, then every interval
+   */
+  start() {
+    if (!this.isEnabled()) {
+      console.log('⚠️ Retention policy disabled, stored resumes are kept forever');
+      return;
+    }
+    if (this.timer) return;
+
+    const schedule = (delay) => {
+      this.nextRunAt = new Date(Date.now() + delay);
+      this.timer = setTimeout(async () => {
+        await this.run();
+        schedule(this.interval);
+      }, delay);
+      this.timer.unref();
+    };
+
+    schedule(60 * 1000);
+    console.log('✅ Retention policy scheduled:', this.policy);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Purge every data class past its limit. Never throws: the outcome is
+   * recorded as the last run and returned; null when the purge did not run
+   * (already running, or no database).
+   */
+  async run() {
+    if (this.running) return null;
+    if (mongoose.connection.readyState !== 1) {
+      console.log('⚠️ Retention purge skipped: database not connected');
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+    const purged = { text: 0, personal: 0, analysis: 0 };
+    let error = '';
+
+    try {
+      const collection = mongoose.connection.db.collection('resumes');
+
+      if (this.policy.textDays) {
+        purged.text = await this.purgeText(collection, this.cutoff(this.policy.textDays));
+      }
+      if (this.policy.personalDays) {
+        purged.personal = await this.purgePersonal(collection, this.cutoff(this.policy.personalDays));
+      }
+      if (this.policy.analysisDays) {
+        purged.analysis = await this.purgeAnalysis(collection, this.cutoff(this.policy.analysisDays));
+      }
+
+      console.log('🧹 Retention purge completed:', purged);
+    } catch (runError) {
+      error = runError.message;
+      console.error('❌ Retention purge failed:', runError.message);
+    } finally {
+      this.running = false;
+    }
+
+    this.lastRun = { startedAt, finishedAt: new Date(), purged, error };
+    return this.lastRun;
+  }
+
+  cutoff(days) {
+    return new Date(Date.now() - days * DAY);
+  }
+
+  async purgeText(collection, cutoff) {
+    const result = await collection.updateMany(
+      { 'timestamps.uploadedAt': { $lt: cutoff }, 'retention.textPurgedAt': { $exists: false } },
+      { $set: { extractedText: '', 'retention.textPurgedAt': new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async purgePersonal(collection, cutoff) {
+    const cursor = collection.find(
+      { 'timestamps.uploadedAt': { $lt: cutoff }, 'retention.personalPurgedAt': { $exists: false } },
+      { projection: { 'extractedInfo.personalInfo': 1, analysis: 1 } }
+    );
+    let purged = 0;
+
+    for await (const resume of cursor) {
+      await collection.updateOne({ _id: resume._id }, {
+        $set: {
+          ...Object.fromEntries(PERSONAL_FIELDS.map(field => [`extractedInfo.personalInfo.${field}`, ''])),
+          ...this.redactFeedback(resume),
+          'fileInfo.fileName': '',
+          'fileInfo.originalFileName': '',
+          'fileInfo.links': [],
+          'fileInfo.metadata.author': '',
+          'fileInfo.metadata.title': '',
+          'metadata.clientIP': 'unknown',
+          'privacy.emailIndex': '',
+          'retention.personalPurgedAt': new Date()
+        }
+      });
+      purged++;
+    }
+
+    return purged;
+  }
+
+  /**
+   * $set for the written feedback of a resume with its contact details
+   * replaced by placeholders, encrypted again. When it cannot be decrypted
+   * (its key is gone) the feedback is cleared instead.
+   */
+  redactFeedback(resume) {
+    let redacted;
+
+    try {
+      const { analysis, extractedInfo } = resumeStorage.mapSensitiveFields({
+        analysis: resume.analysis || {},
+        extractedInfo: { personalInfo: resume.extractedInfo?.personalInfo || {} }
+      }, value => fieldEncryption.decrypt(value));
+      const quoted = [
+        analysis.feedback,
+        ...(analysis.strengths || []),
+        ...(analysis.weaknesses || []),
+        ...(analysis.improvements || []).flatMap(improvement => [improvement.title, improvement.description, improvement.example])
+      ].filter(value => typeof value === 'string').join('\n');
+      const replacements = piiRedactor.detect(quoted, extractedInfo.personalInfo, { findName: false });
+
+      redacted = resumeStorage.mapSensitiveFields(
+        { analysis },
+        value => fieldEncryption.encrypt(piiRedactor.apply(value, replacements))
+      ).analysis;
+    } catch (error) {
+      console.error('⚠️ Feedback could not be redacted, clearing it:', error.message);
+      redacted = { feedback: '', strengths: [], weaknesses: [], improvements: [] };
+    }
+
+    return Object.fromEntries(['feedback', 'strengths', 'weaknesses', 'improvements']
+      .filter(field => field in redacted)
+      .map(field => [`analysis.${field}`, redacted[field]]));
+  }
+
+  async purgeAnalysis(collection, cutoff) {
+    if (this.policy.analysisAction === 'delete') {
+      const result = await collection.deleteMany({ 'timestamps.uploadedAt': { $lt: cutoff } });
+      return result.deletedCount;
+    }
+
+    // Scores, preferences and timestamps stay for the dashboard; the written
+    // feedback can quote the resume, so it goes
+    const result = await collection.updateMany({
+      'timestamps.uploadedAt': { $lt: cutoff },
+      'retention.analysisPurgedAt': { $exists: false }
+    }, {
+      $set: {
+        'analysis.feedback': '',
+        'analysis.strengths': [],
+        'analysis.weaknesses': [],
+        'analysis.improvements': [],
+        ...Object.fromEntries(SCORED_SECTIONS.map(section => [`analysis.sectionScores.${section}.rationale`, ''])),
+        'retention.analysisPurgedAt': new Date()
+      },
+      $unset: { extractedInfo: '', jobMatch: '' }
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Policy, next run and last run, for the admin dashboard
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      policy: this.policy,
+      nextRunAt: this.nextRunAt,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,229 @@
+const { decodeWindows1252 } = require('../utils/windows1252');
+
+// Destination groups whose content is not document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'themedata', 'colorschememapping', 'datastore',
+  'latentstyles', 'xmlnstbl', 'mmathPr', 'pgdsctbl', 'filetbl', 'revtbl',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'footnote', 'annotation', 'fldinst', 'objdata', 'nonshppict', 'nonesttables',
+  'shpinst', 'ftnsep', 'ftnsepc', 'aftnsep', 'aftnsepc', 'template', 'userprops',
+  'docvar', 'bkmkstart', 'bkmkend'
+]);
+
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  cell: '\t',
+  tab: '\t',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•',
+  endash: '–',
+  emdash: '—',
+  enspace: ' ',
+  emspace: ' ',
+  qmspace: ' '
+};
+
+/**
+ * RTF text extractor
+ * A small tokenizer for the subset of RTF that carries text: groups,
+ * control words and symbols, \'hh bytes (Windows-1252) and \uN characters.
+ * Font tables, headers, footers, field instructions and pictures are
+ * skipped; pictures and tables are counted for the ATS checks.
+ */
+class RtfParser {
+  /**
+   * Parse an RTF buffer into { text, tableCount, imageCount }
+   */
+  parse(buffer) {
+    const source = buffer.toString('latin1');
+
+    if (!source.replace(/^\xEF\xBB\xBF/, '').startsWith('{\\rtf')) {
+      throw new Error('Corrupted RTF file');
+    }
+
+    const stack = [];
+    let state = { skip: false, optional: false, uc: 1 };
+    let groupStart = false;
+    let pendingSkip = 0;
+    let bytes = [];
+    let text = '';
+    let tableCount = 0;
+    let imageCount = 0;
+    let inTable = false;
+    let inTableParagraph = false;
+
+    const flushBytes = () => {
+      if (bytes.length > 0) {
+        if (!state.skip) text += decodeWindows1252(bytes);
+        bytes = [];
+      }
+    };
+
+    const emit = (value) => {
+      flushBytes();
+      if (pendingSkip > 0) {
+        pendingSkip--;
+        return;
+      }
+      if (!state.skip) text += value;
+    };
+
+    const controlWord = (word, param, isDestinationStart) => {
+      // \* marks a destination older readers may skip; the only one with
+      // content we want is the picture wrapper
+      if (state.optional) {
+        state.optional = false;
+        if (word !== 'shppict') state.skip = true;
+        return;
+      }
+
+      if (isDestinationStart && word === 'pict') {
+        if (!state.skip) imageCount++;
+        state.skip = true;
+        return;
+      }
+
+      if (isDestinationStart && SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+        return;
+      }
+
+      switch (word) {
+        case 'u': {
+          const code = param < 0 ? param + 65536 : param;
+          flushBytes();
+          if (!state.skip) text += String.fromCharCode(code);
+          pendingSkip = state.uc;
+          return;
+        }
+        case 'uc':
+          state.uc = Math.max(0, param || 0);
+          return;
+        case 'trowd':
+          if (!state.skip && !inTable) tableCount++;
+          inTable = true;
+          return;
+        case 'intbl':
+          inTableParagraph = true;
+          return;
+        case 'pard':
+          inTableParagraph = false;
+          return;
+        case 'row':
+          // One line per row, cells separated by tabs
+          flushBytes();
+          if (!state.skip) text = `${text.replace(/\t$/, '')}\n`;
+          return;
+        case 'par':
+          if (inTable && !inTableParagraph) inTable = false;
+          emit(SYMBOLS.par);
+          return;
+        default:
+          if (SYMBOLS[word] !== undefined) emit(SYMBOLS[word]);
+      }
+    };
+
+    let i = 0;
+    while (i < source.length) {
+      const char = source[i];
+
+      // Group delimiters end any pending \u fallback
+      if (char === '{' || char === '}') pendingSkip = 0;
+
+      if (char === '{') {
+        flushBytes();
+        stack.push(state);
+        state = { ...state };
+        groupStart = true;
+        i++;
+        continue;
+      }
+
+      if (char === '}') {
+        flushBytes();
+        state = stack.pop() || state;
+        groupStart = false;
+        i++;
+        continue;
+      }
+
+      if (char === '\\') {
+        const next = source[i + 1];
+
+        if (/[a-zA-Z]/.test(next || '')) {
+          const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i + 1, i + 48));
+          const isDestinationStart = groupStart;
+          groupStart = false;
+          i += 1 + match[0].length;
+
+          // A control word counts as one character of a \u fallback
+          if (pendingSkip > 0 && match[1] !== 'u') {
+            pendingSkip--;
+            continue;
+          }
+
+          controlWord(match[1], match[2] !== undefined ? parseInt(match[2], 10) : null, isDestinationStart);
+          continue;
+        }
+
+        groupStart = groupStart && next === '*';
+
+        if (next === '\'') {
+          const byte = parseInt(source.slice(i + 2, i + 4), 16);
+          i += 4;
+          if (Number.isNaN(byte)) continue;
+          if (pendingSkip > 0) {
+            pendingSkip--;
+          } else {
+            bytes.push(byte);
+          }
+          continue;
+        }
+
+        i += 2;
+        switch (next) {
+          case '*':
+            state.optional = true;
+            break;
+          case '\\':
+          case '{':
+          case '}':
+            emit(next);
+            break;
+          case '~':
+            emit(' ');
+            break;
+          case '_':
+            emit('-');
+            break;
+          case '\n':
+          case '\r':
+            emit('\n');
+            break;
+          default:
+            // \- optional hyphen, \| \: and other symbols carry no text
+            break;
+        }
+        continue;
+      }
+
+      groupStart = false;
+      i++;
+
+      if (char === '\r' || char === '\n') continue;
+      emit(char);
+    }
+
+    flushBytes();
+    return { text, tableCount, imageCount };
+  }
+}
+
+module.exports = new RtfParser();
@@ -0,0 +1,218 @@
+const CFB = require('cfb');
+const { decodeWindows1252 } = require('../utils/windows1252');
+
+// Special characters in the Word text stream
+const CHARS = {
+  PICTURE: '\x01',
+  FIELD_BEGIN: '\x13',
+  FIELD_SEPARATOR: '\x14',
+  FIELD_END: '\x15',
+  CELL_MARK: '\x07',
+  DRAWN_OBJECT: '\x08',
+  PARAGRAPH_MARK: '\r'
+};
+
+const WORD_IDENT = 0xA5EC;
+const WORD97_NFIB = 0x00C1;
+
+const FLAGS = {
+  WHICH_TABLE_STREAM: 0x0200,
+  ENCRYPTED: 0x0100,
+  OBFUSCATED: 0x8000
+};
+
+const docError = message => new Error(message);
+
+/**
+ * Word 97-2003 (.doc) text extractor
+ * Reads the OLE2/CFB container, the File Information Block and the piece
+ * table ([MS-DOC] 2.4.1) to rebuild the main document text. Field codes are
+ * dropped in favour of their displayed result, and table cells and images
+ * are counted for the ATS checks.
+ */
+class WordDocParser {
+  readStream(container, name) {
+    const entry = CFB.find(container, name);
+    return entry && entry.content && entry.content.length > 0 ? Buffer.from(entry.content) : null;
+  }
+
+  /**
+   * The FIB fields the text extraction needs. The variable-length parts
+   * (fibRgW, fibRgLw, fibRgFcLcb) are located from their own count fields.
+   */
+  readFib(wordDocument) {
+    if (wordDocument.length < 0x22 || wordDocument.readUInt16LE(0) !== WORD_IDENT) {
+      throw docError('Corrupted DOC file');
+    }
+
+    const nFib = wordDocument.readUInt16LE(0x02);
+    const flags = wordDocument.readUInt16LE(0x0A);
+
+    if (flags & (FLAGS.ENCRYPTED | FLAGS.OBFUSCATED)) {
+      throw docError('Password-protected DOC files not supported');
+    }
+
+    if (nFib < WORD97_NFIB) {
+      throw docError('Word 6.0/95 DOC files not supported');
+    }
+
+    const csw = wordDocument.readUInt16LE(0x20);
+    const rgLwStart = 0x22 + csw * 2 + 2;
+    const cslw = wordDocument.readUInt16LE(rgLwStart - 2);
+    const rgFcLcbStart = rgLwStart + cslw * 4 + 2;
+    const cbRgFcLcb = wordDocument.readUInt16LE(rgFcLcbStart - 2);
+
+    // fcClx/lcbClx is the 34th fc/lcb pair
+    if (cslw < 4 || cbRgFcLcb < 34 || rgFcLcbStart + 34 * 8 > wordDocument.length) {
+      throw docError('Corrupted DOC file');
+    }
+
+    return {
+      nFib,
+      tableStream: flags & FLAGS.WHICH_TABLE_STREAM ? '1Table' : '0Table',
+      ccpText: wordDocument.readInt32LE(rgLwStart + 12),
+      fcClx: wordDocument.readUInt32LE(rgFcLcbStart + 33 * 8),
+      lcbClx: wordDocument.readUInt32LE(rgFcLcbStart + 33 * 8 + 4)
+    };
+  }
+
+  /**
+   * Piece descriptors from the Clx: each covers a CP range and says where
+   * its text sits in the WordDocument stream and whether it is 8-bit
+   */
+  readPieceTable(tableStream, fib) {
+    if (!tableStream || fib.lcbClx === 0 || fib.fcClx + fib.lcbClx > tableStream.length) {
+      throw docError('Corrupted DOC file');
+    }
+
+    const clx = tableStream.subarray(fib.fcClx, fib.fcClx + fib.lcbClx);
+    let pos = 0;
+
+    // Skip the property modifiers (Prc) that precede the piece table
+    while (pos < clx.length && clx[pos] === 0x01) {
+      pos += 3 + clx.readInt16LE(pos + 1);
+    }
+
+    if (clx[pos] !== 0x02 || pos + 5 > clx.length) {
+      throw docError('Corrupted DOC file');
+    }
+
+    const lcb = clx.readUInt32LE(pos + 1);
+    const plc = clx.subarray(pos + 5, pos + 5 + lcb);
+    const count = (lcb - 4) / 12;
+
+    if (!Number.isInteger(count) || count < 1 || plc.length < lcb) {
+      throw docError('Corrupted DOC file');
+    }
+
+    const pieces = [];
+    for (let i = 0; i < count; i++) {
+      const fc = plc.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+      const compressed = (fc & 0x40000000) !== 0;
+
+      pieces.push({
+        cpStart: plc.readUInt32LE(i * 4),
+        cpEnd: plc.readUInt32LE((i + 1) * 4),
+        offset: compressed ? (fc & 0x3FFFFFFF) / 2 : fc,
+        compressed
+      });
+    }
+
+    return pieces;
+  }
+
+  // Raw text stream (special characters included) for CPs [0, limit)
+  readText(wordDocument, pieces, limit) {
+    let text = '';
+
+    for (const piece of pieces) {
+      const cpEnd = Math.min(piece.cpEnd, limit);
+      if (piece.cpStart >= cpEnd) continue;
+
+      const length = cpEnd - piece.cpStart;
+      const byteLength = piece.compressed ? length : length * 2;
+
+      if (piece.offset + byteLength > wordDocument.length) {
+        throw docError('Corrupted DOC file');
+      }
+
+      const bytes = wordDocument.subarray(piece.offset, piece.offset + byteLength);
+      text += piece.compressed ? decodeWindows1252(bytes) : bytes.toString('utf16le');
+    }
+
+    return text;
+  }
+
+  /**
+   * Count tables and drop field codes. A row ends with two cell marks (the
+   * last cell's and the row's own); a paragraph mark after a row end closes
+   * the table.
+   */
+  renderText(raw) {
+    const fieldStack = [];
+    let text = '';
+    let tableCount = 0;
+    let imageCount = 0;
+    let inTable = false;
+    let rowEnded = false;
+    let previous = '';
+
+    for (const char of raw) {
+      if (char === CHARS.FIELD_BEGIN) {
+        fieldStack.push({ showing: false });
+      } else if (char === CHARS.FIELD_SEPARATOR) {
+        if (fieldStack.length > 0) fieldStack[fieldStack.length - 1].showing = true;
+      } else if (char === CHARS.FIELD_END) {
+        fieldStack.pop();
+      } else if (fieldStack.some(field => !field.showing)) {
+        // Inside a field instruction such as HYPERLINK "..." or PAGE
+      } else if (char === CHARS.PICTURE || char === CHARS.DRAWN_OBJECT) {
+        imageCount++;
+      } else if (char === CHARS.CELL_MARK) {
+        if (!inTable) tableCount++;
+        inTable = true;
+        rowEnded = previous === CHARS.CELL_MARK;
+        // One line per row, cells separated by tabs
+        text = rowEnded ? `${text.replace(/\t$/, '')}\n` : `${text}\t`;
+      } else if (char === CHARS.PARAGRAPH_MARK || char === '\x0B' || char === '\x0C' || char === '\x0E') {
+        if (char === CHARS.PARAGRAPH_MARK && inTable && rowEnded) inTable = false;
+        text += '\n';
+      } else if (char === '\x1E') {
+        text += '-'; // non-breaking hyphen
+      } else if (char === '\xA0') {
+        text += ' ';
+      } else if (char >= ' ' || char === '\t') {
+        text += char;
+      }
+
+      previous = char;
+    }
+
+    return { text, tableCount, imageCount };
+  }
+
+  /**
+   * Parse a .doc buffer into { text, tableCount, imageCount }
+   */
+  parse(buffer) {
+    let container;
+    try {
+      container = CFB.read(buffer, { type: 'buffer' });
+    } catch (error) {
+      throw docError('Corrupted DOC file');
+    }
+
+    const wordDocument = this.readStream(container, 'WordDocument');
+    if (!wordDocument) {
+      throw docError('Not a Word document');
+    }
+
+    const fib = this.readFib(wordDocument);
+    const pieces = this.readPieceTable(this.readStream(container, fib.tableStream), fib);
+    const raw = this.readText(wordDocument, pieces, fib.ccpText);
+
+    return this.renderText(raw);
+  }
+}
+
+module.exports = new WordDocParser();
@@ -0,0 +1,116 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Zip bomb guard for OOXML and ODF uploads
+ * Reads the archive's central directory and inflates every entry with a
+ * hard output limit before JSZip or mammoth see the file, so an archive
+ * with too many entries or that expands too far is rejected without ever
+ * being unpacked in full. Sizes are measured, not taken from the headers.
+ */
+class ZipGuard {
+  constructor() {
+    this.maxEntries = 1000;
+    this.maxTotalSize = 50 * 1024 * 1024; // 50MB unpacked
+    this.maxEntrySize = 20 * 1024 * 1024;
+  }
+
+  /**
+   * Throws when the archive is malformed or over a limit; returns
+   * { entries, totalSize } otherwise
+   */
+  check(buffer) {
+    const directory = this.findCentralDirectory(buffer);
+
+    if (directory.entries > this.maxEntries) {
+      throw new Error('Archive has too many entries');
+    }
+
+    let offset = directory.offset;
+    let totalSize = 0;
+
+    for (let index = 0; index < directory.entries; index++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupted archive');
+      }
+
+      const entry = {
+        flags: buffer.readUInt16LE(offset + 8),
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        localOffset: buffer.readUInt32LE(offset + 42)
+      };
+      offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+      if (entry.flags & 0x1) {
+        throw new Error('Encrypted archives not supported');
+      }
+
+      if (entry.size > this.maxEntrySize || totalSize + entry.size > this.maxTotalSize) {
+        throw new Error('Archive too large when decompressed');
+      }
+
+      totalSize += this.inflatedSize(buffer, entry, Math.min(this.maxEntrySize, this.maxTotalSize - totalSize));
+    }
+
+    return { entries: directory.entries, totalSize };
+  }
+
+  // The end of central directory record sits in the last 64KB (after an optional comment)
+  findCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - 65557);
+
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+      if (buffer.readUInt32LE(offset) !== END_OF_CENTRAL_DIRECTORY) continue;
+
+      const entries = buffer.readUInt16LE(offset + 10);
+      const directoryOffset = buffer.readUInt32LE(offset + 16);
+
+      // ZIP64 archives mark these fields as 0xFFFF / 0xFFFFFFFF; no resume needs one
+      if (entries === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+        throw new Error('Archive has too many entries');
+      }
+      if (directoryOffset >= buffer.length) {
+        throw new Error('Corrupted archive');
+      }
+
+      return { entries, offset: directoryOffset };
+    }
+
+    throw new Error('Corrupted archive');
+  }
+
+  // Real unpacked size of one entry, inflating at most limit bytes
+  inflatedSize(buffer, entry, limit) {
+    const header = entry.localOffset;
+    if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+      throw new Error('Corrupted archive');
+    }
+
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data.length;
+    }
+
+    if (entry.method !== 8) {
+      throw new Error('Unsupported archive compression');
+    }
+
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, limit) }).length;
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error('Archive too large when decompressed');
+      }
+      throw new Error('Corrupted archive');
+    }
+  }
+}
+
+module.exports = new ZipGuard();
@@ -0,0 +1,64 @@
+const load = () => {
+  let pool;
+  process.env.EXTRACTION_WORKERS = '1';
+  process.env.EXTRACTION_QUEUE_LIMIT = '1';
+  jest.isolateModules(() => {
+    pool = require('../services/extractionPool');
+  });
+  delete process.env.EXTRACTION_WORKERS;
+  delete process.env.EXTRACTION_QUEUE_LIMIT;
+  return pool;
+};
+
+const file = (text) => ({
+  originalname: 'resume.txt',
+  mimetype: 'text/plain',
+  size: Buffer.byteLength(text),
+  buffer: Buffer.from(text)
+});
+
+describe('extractionPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = load();
+  });
+
+  afterEach(() => {
+    [...pool.workers].forEach(worker => pool.retire(worker));
+  });
+
+  test('extracts a file in a worker thread', async () => {
+    const result = await pool.run(file('Jane Smith\nSoftware Engineer at Acme'), 'txt');
+
+    expect(result.text).toBe('Jane Smith\nSoftware Engineer at Acme');
+    expect(pool.stats()).toMatchObject({ size: 1, workers: 1, busy: 0, queued: 0 });
+  }, 30000);
+
+  test('rejects with EXTRACTION_BUSY when every worker is busy and the queue is full', async () => {
+    const running = pool.run(file('Jane Smith'), 'txt');
+    const queued = pool.run(file('Priya Sharma'), 'txt');
+
+    expect(pool.isSaturated()).toBe(true);
+    await expect(pool.run(file('Ram Kumar'), 'txt')).rejects.toMatchObject({
+      code: 'EXTRACTION_BUSY',
+      retryAfter: expect.any(Number)
+    });
+
+    await expect(running).resolves.toMatchObject({ text: 'Jane Smith' });
+    await expect(queued).resolves.toMatchObject({ text: 'Priya Sharma' });
+    expect(pool.isSaturated()).toBe(false);
+  }, 30000);
+
+  test('stops the worker when a job times out', async () => {
+    await expect(pool.run(file('Jane Smith'), 'txt', { timeout: 1 })).rejects.toThrow('Extraction timeout');
+    expect(pool.workers).toHaveLength(0);
+
+    await expect(pool.run(file('Jane Smith'), 'txt')).resolves.toMatchObject({ text: 'Jane Smith' });
+  }, 30000);
+
+  test('rejects errors from the parser', async () => {
+    await expect(pool.run(file('   '), 'txt')).rejects.toThrow('Text file contains no text');
+    await expect(pool.run(file('Jane'), 'exe')).rejects.toThrow('Unsupported file format');
+  }, 30000);
+});
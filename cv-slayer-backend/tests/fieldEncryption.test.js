@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const KEY = `k1:${crypto.randomBytes(32).toString('base64')}`;
+const INDEX_KEY = 'a'.repeat(32);
+
+// A fresh instance of a module configured by env, as the server would load it
+const load = (env, modulePath = '../services/fieldEncryption') => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  Object.keys(env).filter(name => env[name] === undefined).forEach(name => delete process.env[name]);
+  try {
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require(modulePath);
+    });
+    return loaded;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('fieldEncryption', () => {
+  test('refuses to start in production without keys', () => {
+    expect(() => load({ NODE_ENV: 'production', DATA_ENCRYPTION_KEYS: undefined }))
+      .toThrow('DATA_ENCRYPTION_KEYS is required in production');
+    expect(() => load({ NODE_ENV: undefined, DATA_ENCRYPTION_KEYS: undefined }))
+      .toThrow('DATA_ENCRYPTION_KEYS is required in production');
+  });
+
+  test('requires a blind index key with encryption keys', () => {
+    expect(() => load({ NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: KEY, DATA_BLIND_INDEX_KEY: undefined }))
+      .toThrow('DATA_BLIND_INDEX_KEY');
+    expect(() => load({ NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: KEY, DATA_BLIND_INDEX_KEY: 'short' }))
+      .toThrow('DATA_BLIND_INDEX_KEY');
+  });
+
+  test('round-trips values and keys the blind index', () => {
+    const fieldEncryption = load({ NODE_ENV: 'production', DATA_ENCRYPTION_KEYS: KEY, DATA_BLIND_INDEX_KEY: INDEX_KEY });
+    const encrypted = fieldEncryption.encrypt('jane@example.com');
+
+    expect(encrypted).toMatch(/^enc:v1:k1:/);
+    expect(fieldEncryption.decrypt(encrypted)).toBe('jane@example.com');
+    expect(fieldEncryption.blindIndex(' Jane@Example.com ')).toBe(
+      crypto.createHmac('sha256', INDEX_KEY).update('jane@example.com').digest('hex')
+    );
+  });
+
+  test('encrypts a whole analysis as one value', () => {
+    const fieldEncryption = load({ NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: KEY, DATA_BLIND_INDEX_KEY: INDEX_KEY });
+    const analysis = { roastFeedback: 'Mail jane@example.com', extractedInfo: { personalInfo: { email: 'jane@example.com' } } };
+    const stored = fieldEncryption.encryptJSON(analysis);
+
+    expect(stored).not.toContain('jane@example.com');
+    expect(fieldEncryption.decryptJSON(stored)).toEqual(analysis);
+    expect(fieldEncryption.decryptJSON(analysis)).toBe(analysis);
+  });
+
+  test('rotates encrypted and plaintext JSON values to the current key', () => {
+    const oldKey = `k0:${crypto.randomBytes(32).toString('base64')}`;
+    const before = load({ NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: oldKey, DATA_BLIND_INDEX_KEY: INDEX_KEY });
+    const after = load({ NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: `${KEY},${oldKey}`, DATA_BLIND_INDEX_KEY: INDEX_KEY });
+    const result = { extractedInfo: { personalInfo: { email: 'jane@example.com' } } };
+
+    const rotated = after.rotateJSON(before.encryptJSON(result));
+    expect(after.keyIdOf(rotated)).toBe('k1');
+    expect(after.decryptJSON(rotated)).toEqual(result);
+    expect(after.decryptJSON(after.rotateJSON(result))).toEqual(result);
+    expect(after.rotateJSON(rotated)).toBeNull();
+    expect(after.rotateJSON(null)).toBeNull();
+  });
+
+  test('encrypts the resume content of a stored resume and decrypts it for readers', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const env = { NODE_ENV: 'test', DATA_ENCRYPTION_KEYS: KEY, DATA_BLIND_INDEX_KEY: INDEX_KEY };
+    const fieldEncryption = load(env);
+    const resumeStorage = load(env, '../services/resumeStorageEnhanced');
+    const resume = {
+      resumeId: 'resume-abc-0123456789abcdef',
+      extractedInfo: {
+        personalInfo: { name: 'Jane Smith', email: 'jane@example.com' },
+        professionalSummary: 'Backend engineer at Acme Payments',
+        skills: { technical: ['node.js'] },
+        experience: [{ title: 'Engineer', company: 'Acme Payments', startDate: '2019', endDate: 'Present', description: 'Payments', achievements: ['Cut costs by 20%'] }],
+        education: [{ degree: 'B.Tech', field: 'CS', institution: 'IIT Bombay', graduationYear: '2015', gpa: '8.9' }],
+        projects: ['Settlement engine']
+      },
+      jobMatch: { matchScore: 80, tailoringSuggestions: ['Mention Acme Payments volume'] }
+    };
+
+    const stored = resumeStorage.mapSensitiveFields(resume, value => fieldEncryption.encrypt(value));
+    const serialized = JSON.stringify(stored);
+
+    ['Jane Smith', 'Acme Payments', 'IIT Bombay', '2015', 'Cut costs', 'Settlement engine'].forEach(value => {
+      expect(serialized).not.toContain(value);
+    });
+    expect(stored.extractedInfo.skills).toEqual({ technical: ['node.js'] });
+    expect(stored.jobMatch.matchScore).toBe(80);
+    expect(resumeStorage.decryptResumes([stored], { purpose: 'test' })[0]).toEqual(resume);
+    jest.restoreAllMocks();
+  });
+
+  test('stores plaintext and no index outside production without keys', () => {
+    const fieldEncryption = load({ NODE_ENV: 'development', DATA_ENCRYPTION_KEYS: undefined, DATA_BLIND_INDEX_KEY: undefined });
+
+    expect(fieldEncryption.encrypt('jane@example.com')).toBe('jane@example.com');
+    expect(fieldEncryption.blindIndex('jane@example.com')).toBe('');
+  });
+});
@@ -0,0 +1,138 @@
+// Builds the Word 97-2003 .doc fixtures used by tests/wordDocParser.test.js.
+// Each file is a CFB container with a WordDocument stream (FIB followed by
+// the text) and a 1Table stream holding the piece table, laid out as in
+// [MS-DOC]. Run with: node tests/fixtures/makeDocFixtures.js
+const fs = require('fs');
+const path = require('path');
+const CFB = require('cfb');
+
+const TEXT_OFFSET = 0x400;
+
+// Windows-1252 bytes for the few non-Latin-1 characters the fixtures use
+const CP1252 = { '•': 0x95, '–': 0x96, '“': 0x93, '”': 0x94, '’': 0x92 };
+
+const encode = (text, compressed) => (compressed
+  ? Buffer.from([...text].map(char => CP1252[char] || char.charCodeAt(0)))
+  : Buffer.from(text, 'utf16le'));
+
+/**
+ * pieces: [{ text, compressed }] in CP order; storeOrder lists piece indexes
+ * in the order their text is written to the stream (fast-saved files keep
+ * edited text at the end). ccpText limits the main document; any text after
+ * it belongs to other stories (headers, footnotes).
+ */
+function buildDoc({ pieces, storeOrder, ccpText, nFib = 0x00C1, flags = 0x0200 }) {
+  const order = storeOrder || pieces.map((_, index) => index);
+  const offsets = [];
+  const textParts = [];
+  let offset = TEXT_OFFSET;
+
+  for (const index of order) {
+    const bytes = encode(pieces[index].text, pieces[index].compressed);
+    offsets[index] = offset;
+    textParts.push(bytes);
+    offset += bytes.length;
+  }
+
+  // FibBase, fibRgW (14 words), fibRgLw (22 longs), fibRgFcLcb97 (93 pairs), cswNew
+  const fib = Buffer.alloc(32 + 2 + 28 + 2 + 88 + 2 + 93 * 8 + 2);
+  fib.writeUInt16LE(0xA5EC, 0x00);
+  fib.writeUInt16LE(nFib, 0x02);
+  fib.writeUInt16LE(0x0409, 0x06);
+  fib.writeUInt16LE(flags, 0x0A);
+  fib.writeUInt16LE(0x00BF, 0x0C);
+  fib.writeUInt16LE(14, 0x20);
+  fib.writeUInt16LE(22, 0x3E);
+
+  const totalCp = pieces.reduce((sum, piece) => sum + piece.text.length, 0);
+  fib.writeInt32LE(offset, 0x40); // cbMac
+  fib.writeInt32LE(ccpText === undefined ? totalCp : ccpText, 0x4C);
+  fib.writeUInt16LE(93, 0x98);
+
+  // Table stream: a property modifier (Prc) to skip, then the piece table
+  const cps = [0];
+  pieces.forEach(piece => cps.push(cps[cps.length - 1] + piece.text.length));
+
+  const plc = Buffer.alloc(cps.length * 4 + pieces.length * 8);
+  cps.forEach((cp, index) => plc.writeUInt32LE(cp, index * 4));
+  pieces.forEach((piece, index) => {
+    const fc = piece.compressed ? (offsets[index] * 2) | 0x40000000 : offsets[index];
+    plc.writeUInt32LE(fc >>> 0, cps.length * 4 + index * 8 + 2);
+  });
+
+  const prc = Buffer.from([0x01, 0x02, 0x00, 0x00, 0x00]);
+  const pcdtHeader = Buffer.alloc(5);
+  pcdtHeader.writeUInt8(0x02, 0);
+  pcdtHeader.writeUInt32LE(plc.length, 1);
+  const clx = Buffer.concat([prc, pcdtHeader, plc]);
+
+  const clxOffset = 0x10;
+  const table = Buffer.concat([Buffer.alloc(clxOffset), clx]);
+  fib.writeUInt32LE(clxOffset, 0x9A + 33 * 8);
+  fib.writeUInt32LE(clx.length, 0x9A + 33 * 8 + 4);
+
+  const wordDocument = Buffer.concat([fib, Buffer.alloc(TEXT_OFFSET - fib.length), ...textParts]);
+
+  const container = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(container, 'WordDocument', wordDocument);
+  CFB.utils.cfb_add(container, flags & 0x0200 ? '1Table' : '0Table', table);
+  return Buffer.from(CFB.write(container, { type: 'buffer' }));
+}
+
+const WORD97_TEXT = [
+  'Priya Sharma\r',
+  'priya.sharma@example.com | +91 98765 43210 | ',
+  '\x13 HYPERLINK "https://linkedin.com/in/priyasharma" \x14linkedin.com/in/priyasharma\x15\r',
+  '\x01\r',
+  'Professional Summary\r',
+  'Backend engineer with 6 years’ experience building “boring”, reliable payment systems.\r',
+  'Work Experience\r',
+  'Senior Software Engineer – Acme Payments, Bengaluru (Jan 2020 – Present)\r',
+  '• Cut settlement time from 2 days to 4 hours for 1.2M merchants\r',
+  '• Led a team of 5 engineers migrating 40 services to Kubernetes\r',
+  'Education\r',
+  'Degree\x07Institution\x07Year\x07\x07',
+  'B.Tech Computer Science\x07IIT Delhi\x07\x13 =2010+4 \x14 2014\x15\x07\x07',
+  'Skills\r',
+  'Node.js, Go, PostgreSQL, Kafka, Docker, AWS\r'
+].join('');
+
+const fixtures = {
+  // 8-bit text with a hyperlink field, a table, an inline picture and a page header story
+  'resume-word97.doc': {
+    pieces: [
+      { compressed: true, text: WORD97_TEXT },
+      { compressed: true, text: 'CONFIDENTIAL HEADER TEXT\r\r' }
+    ],
+    // The main document ends before the header story
+    ccpText: WORD97_TEXT.length
+  },
+
+  // UTF-16 pieces stored out of order, as after a fast save
+  'resume-hindi.doc': {
+    pieces: [
+      { compressed: false, text: 'राहुल वर्मा\rrahul.verma@example.in | 98765 12345\r' },
+      { compressed: false, text: 'कार्य अनुभव\rसॉफ्टवेयर इंजीनियर, इन्फोसिस, पुणे (2018 - 2023)\rग्राहक पोर्टल के लिए 12 माइक्रोसर्विस बनाईं\r' },
+      { compressed: true, text: 'Education\rB.E. Information Technology, Pune University, 2018\r' },
+      { compressed: false, text: 'कौशल\rJava, Spring Boot, MySQL, हिंदी और अंग्रेज़ी में संवाद\r' }
+    ],
+    storeOrder: [2, 0, 3, 1]
+  },
+
+  'encrypted.doc': {
+    pieces: [{ compressed: true, text: 'Secret resume\r' }],
+    flags: 0x0200 | 0x0100
+  },
+
+  'word95.doc': {
+    pieces: [{ compressed: true, text: 'Old resume\r' }],
+    nFib: 0x0065
+  }
+};
+
+if (require.main === module) {
+  for (const [name, options] of Object.entries(fixtures)) {
+    fs.writeFileSync(path.join(__dirname, name), buildDoc(options));
+    console.log('wrote', name);
+  }
+}
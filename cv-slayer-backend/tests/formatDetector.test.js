@@ -0,0 +1,54 @@
+const formatDetector = require('../services/formatDetector');
+
+const upload = (content, originalname = 'resume', mimetype = 'application/octet-stream') => ({
+  buffer: Buffer.isBuffer(content) ? content : Buffer.from(content),
+  originalname,
+  mimetype
+});
+
+// A one-entry ZIP local file header named name, followed by content
+const zip = (name, content = '') => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(Buffer.byteLength(name), 26);
+  return Buffer.concat([header, Buffer.from(name), Buffer.from(content)]);
+};
+
+describe('formatDetector', () => {
+  test('detects binary formats by their content, not the claimed type', () => {
+    expect(formatDetector.detect(upload('%PDF-1.7\n...', 'resume.docx', 'application/msword'))).toBe('pdf');
+    expect(formatDetector.detect(upload(Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0]), 'resume.pdf'))).toBe('doc');
+    expect(formatDetector.detect(upload(zip('[Content_Types].xml', 'word/document.xml')))).toBe('docx');
+    expect(formatDetector.detect(upload(zip('mimetype', 'application/vnd.oasis.opendocument.text')))).toBe('odt');
+    expect(formatDetector.detect(upload('\uFEFF{\\rtf1 Jane}', 'resume.txt'))).toBe('rtf');
+  });
+
+  test('tells the text formats apart', () => {
+    expect(formatDetector.detect(upload('{"basics": {"name": "Jane"}}'))).toBe('jsonresume');
+    expect(formatDetector.detect(upload('<!DOCTYPE html><html><body>Jane</body></html>'))).toBe('html');
+    expect(formatDetector.detect(upload('\\documentclass{article}\n\\begin{document}Jane\\end{document}'))).toBe('latex');
+    expect(formatDetector.detect(upload('# Jane Smith\n\n## Experience\n- Acme'))).toBe('markdown');
+    expect(formatDetector.detect(upload('Jane Smith\nEngineer at Acme', 'resume.txt'))).toBe('txt');
+  });
+
+  test('rejects empty, binary and malformed containers', () => {
+    expect(formatDetector.detect(upload(Buffer.alloc(0)))).toBeNull();
+    expect(formatDetector.detect(null)).toBeNull();
+    expect(formatDetector.detect(upload(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]), 'resume.pdf'))).toBeNull();
+    expect(formatDetector.detect(upload(Buffer.from([0x50, 0x4B, 0x03, 0x04]), 'resume.docx'))).toBeNull();
+    expect(formatDetector.detect(upload(zip('mimetype', 'application/zip')))).toBeNull();
+    expect(formatDetector.detect(upload(zip('payload.exe', 'MZ')))).toBeNull();
+  });
+
+  test('decodes UTF-16 and Windows-1252 text and refuses control-heavy bytes', () => {
+    expect(formatDetector.decodeText(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Jane', 'utf16le')]))).toBe('Jane');
+    expect(formatDetector.decodeText(Buffer.from([0x93, 0x4A, 0x61, 0x6E, 0x65, 0x94]))).toBe('“Jane”');
+    expect(formatDetector.decodeText(Buffer.from('Jane\x01\x02\x03\x04'))).toBeNull();
+  });
+
+  test('does not fail on a multi-byte character cut off by the sample', () => {
+    const text = `${'a'.repeat(formatDetector.sampleSize - 1)}é and more`;
+
+    expect(formatDetector.detect(upload(text, 'resume.txt'))).toBe('txt');
+  });
+});
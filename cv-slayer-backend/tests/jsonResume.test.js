@@ -0,0 +1,61 @@
+const jsonResume = require('../services/jsonResume');
+
+const json = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+
+const resume = {
+  basics: {
+    name: 'Jane Smith',
+    email: 'jane@mail.com',
+    location: { city: 'Pune', countryCode: 'IN' },
+    profiles: [{ network: 'LinkedIn', username: 'janesmith' }]
+  },
+  work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-03', highlights: ['Cut costs by 30%'] }],
+  skills: [{ name: 'Languages', keywords: ['Go', 'SQL'] }, { name: 'Soft skills', keywords: ['Mentoring'] }]
+};
+
+describe('jsonResume', () => {
+  test('maps a valid document into extractedInfo', () => {
+    const info = jsonResume.toExtractedInfo(jsonResume.parse(json(resume)));
+
+    expect(info.personalInfo).toMatchObject({
+      name: 'Jane Smith',
+      email: 'jane@mail.com',
+      address: 'Pune, IN',
+      linkedin: 'https://linkedin.com/in/janesmith'
+    });
+    expect(info.experience[0]).toMatchObject({ title: 'Engineer', company: 'Acme', startDate: 'Mar 2020', endDate: 'Present' });
+    expect(info.skills.technical).toEqual(['Go', 'SQL']);
+    expect(info.skills.soft).toEqual(['Mentoring']);
+  });
+
+  test('rejects malformed JSON and documents that are not objects', () => {
+    expect(jsonResume.validate(json('{"basics": {"name": "Jane"'))).toEqual({ error: 'File is not valid JSON' });
+    expect(jsonResume.validate(json('[{"basics": {}}]'))).toEqual({ error: 'A JSON Resume must be an object' });
+    expect(jsonResume.validate(json('null'))).toEqual({ error: 'A JSON Resume must be an object' });
+    expect(jsonResume.validate(Buffer.from([0x7B, 0, 1, 2, 3]))).toEqual({ error: 'A JSON Resume must be an object' });
+    expect(() => jsonResume.parse(json('not json'))).toThrow('Invalid JSON Resume: File is not valid JSON');
+  });
+
+  test('lists the schema violations', () => {
+    const { error } = jsonResume.validate(json({
+      basics: { name: 42, email: 'not-an-email' },
+      work: [{ startDate: 'March 2020' }],
+      skills: 'Go'
+    }));
+
+    expect(error).toContain('basics.name must be a string');
+    expect(error).toContain('basics.email must be a valid email');
+    expect(error).toContain('work[0].startDate must be an ISO 8601 date');
+    expect(error).toContain('skills must be an array');
+  });
+
+  test('round-trips extractedInfo to a valid document', () => {
+    const info = jsonResume.toExtractedInfo(jsonResume.parse(json(resume)));
+    const exported = jsonResume.fromExtractedInfo(info, { lastModified: '2026-01-02T03:04:05Z' });
+
+    expect(jsonResume.validate(json(exported)).error).toBeUndefined();
+    expect(exported.work[0]).toMatchObject({ name: 'Acme', startDate: '2020-03' });
+    expect(exported.work[0].endDate).toBeUndefined();
+    expect(exported.meta.lastModified).toBe('2026-01-02T03:04:05.000Z');
+  });
+});
@@ -0,0 +1,54 @@
+const latexParser = require('../services/latexParser');
+
+describe('latexParser', () => {
+  test('renders moderncv entries and the preamble header', () => {
+    const { text } = latexParser.parse([
+      '\\documentclass{moderncv}',
+      '\\name{Jane}{Smith}',
+      '\\email{jane@mail.com} % personal address',
+      '\\begin{document}',
+      '\\section{Experience}',
+      '\\cventry{2020--2023}{Engineer}{Acme}{Pune}{}{Cut costs by 30\\%}',
+      '\\end{document}'
+    ].join('\n'));
+
+    expect(text).toBe('Jane Smith\njane@mail.com\n\nExperience\n\nEngineer, Acme, Pune (2020–2023)\nCut costs by 30%');
+  });
+
+  test("renders Jake's resume subheadings and items", () => {
+    const { text } = latexParser.parse([
+      '\\begin{document}',
+      '\\section{Experience}',
+      '\\resumeSubHeadingListStart',
+      '\\resumeSubheading{Acme}{2020 -- Present}{Engineer}{Pune}',
+      '\\resumeItemListStart',
+      '\\resumeItem{Built \\textbf{payments} for 2M users}',
+      '\\resumeItemListEnd',
+      '\\resumeSubHeadingListEnd',
+      '\\end{document}'
+    ].join('\n'));
+
+    expect(text).toBe('Experience\n\nAcme | 2020 – Present\nEngineer | Pune\n\n• Built payments for 2M users');
+  });
+
+  test('keeps the text of unterminated groups and environments', () => {
+    expect(latexParser.parse('\\begin{document}\\textbf{Jane \\emph{Smith').text).toBe('Jane Smith');
+    expect(latexParser.parse('\\begin{document}\\begin{itemize}\\item Go\\item Rust').text).toBe('• Go\n• Rust');
+    expect(latexParser.parse('\\newcommand{\\x}[1]{{#1}}\\begin{document}\\x{Jane} Smith\\def\\y{').text).toBe('Jane Smith');
+  });
+
+  test('ignores stray closing braces and truncated commands', () => {
+    ['\\begin{document}Jane}}}\\end{document}', '\\begin{document}Jane\\', '\\begin{document}Jane\\cventry', '\\begin{document}Jane\\item[']
+      .forEach(source => {
+        expect(latexParser.parse(source).text).toBe('Jane');
+      });
+  });
+
+  test('rejects nesting deep enough to exhaust the stack', () => {
+    expect(() => latexParser.parse(`\\begin{document}${'{'.repeat(20000)}Jane${'}'.repeat(20000)}`))
+      .toThrow('LaTeX file is nested too deeply');
+    expect(() => latexParser.parse(`\\begin{document}${'\\textbf{'.repeat(5000)}Jane${'}'.repeat(5000)}`))
+      .toThrow('LaTeX file is nested too deeply');
+    expect(latexParser.parse(`\\begin{document}${'{'.repeat(50)}Jane${'}'.repeat(50)}`).text).toBe('Jane');
+  });
+});
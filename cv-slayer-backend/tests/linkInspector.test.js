@@ -0,0 +1,53 @@
+const linkInspector = require('../services/linkInspector');
+const resumeInfoNormalizer = require('../services/resumeInfoNormalizer');
+
+const resume = 'Jane Smith\nSoftware Engineer\n\nEXPERIENCE\nBuilt payment systems at Acme for 5 years';
+
+describe('linkInspector', () => {
+  test('classifies working, broken, placeholder and mismatched links', () => {
+    const links = linkInspector.inspect([
+      { url: 'https://linkedin.com/in/janesmith', text: 'LinkedIn' },
+      { url: 'https://linkedin.com', text: 'LinkedIn' },
+      { url: 'https://linkedin.com/in/your-name', text: 'Profile' },
+      { url: 'https://github.com/jsmith', text: 'github.com/janesmith' },
+      { url: 'javascript:alert(1)', text: 'click' },
+      { url: 'http://localhost:3000', text: 'Demo' }
+    ]);
+
+    expect(links.map(link => link.status)).toEqual(['ok', 'broken', 'placeholder', 'mismatch', 'broken', 'broken']);
+  });
+
+  test('rejects a mailto address with a malformed percent-escape', () => {
+    const [link] = linkInspector.inspect([{ url: 'mailto:jane%ZZ@x.com', text: 'Email me' }]);
+
+    expect(link.status).toBe('broken');
+    expect(link.issue).toBe('Email link has an invalid address');
+  });
+
+  test('accepts a percent-encoded mailto address', () => {
+    const [link] = linkInspector.inspect([{ url: 'mailto:jane.smith%40mail.com?subject=Hi', text: 'Email me' }]);
+
+    expect(link.status).toBe('ok');
+  });
+
+  test('does not throw on a malformed percent-escape in a web link', () => {
+    expect(() => linkInspector.inspect([{ url: 'https://janesmith.dev/%E0%A4%A', text: 'Portfolio' }])).not.toThrow();
+    expect(linkInspector.decode('%ZZ')).toBe('%ZZ');
+  });
+
+  test('extractBasicInfo reads the email behind a mailto link without throwing', () => {
+    const links = linkInspector.inspect([
+      { url: 'mailto:jane%ZZ@x.com', text: 'Email' },
+      { url: 'mailto:jane.smith%2Bcv@mail.com', text: 'Email' }
+    ]);
+    const info = resumeInfoNormalizer.extractBasicInfo(resume, undefined, links);
+
+    expect(info.email).toBe('jane.smith+cv@mail.com');
+  });
+
+  test('extractBasicInfo never decodes a malformed address it is handed', () => {
+    const links = [{ url: 'mailto:jane%ZZ@x.com', text: 'Email', status: 'ok' }];
+
+    expect(() => resumeInfoNormalizer.extractBasicInfo(resume, undefined, links)).not.toThrow();
+  });
+});
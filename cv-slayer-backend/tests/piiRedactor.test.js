@@ -0,0 +1,154 @@
+const piiRedactor = require('../services/piiRedactor');
+const resumeInfoNormalizer = require('../services/resumeInfoNormalizer');
+const geminiService = require('../services/geminiService');
+
+const resume = [
+  'Priya Sharma',
+  'priya.sharma@gmail.com | +91 987-654-3210',
+  'linkedin.com/in/priyasharma | github.com/priyasharma',
+  '221B Baker Street, Mumbai',
+  '',
+  'EXPERIENCE',
+  'Senior Software Engineer – Acme Payments, 2019 – Present',
+  '• Cut settlement time from 3 days to 4 hours for 2 million merchants',
+  '• Contact priya.sharma@gmail.com for references',
+  '',
+  'EDUCATION',
+  'B.Tech Computer Science, IIT Bombay, 2015'
+].join('\n');
+
+describe('piiRedactor', () => {
+  test('replaces every value extractBasicInfo finds', () => {
+    const info = resumeInfoNormalizer.extractBasicInfo(resume);
+    const { text } = piiRedactor.redact(resume, info);
+
+    ['name', 'email', 'phone', 'linkedin', 'github'].forEach(field => {
+      expect(info[field]).not.toBe('');
+      expect(text).not.toContain(info[field]);
+    });
+    expect(text).toContain('[NAME_1]\n[EMAIL_1] | [PHONE_1]\n[LINKEDIN_1] | [GITHUB_1]');
+  });
+
+  test('finds contact details without the personal info', () => {
+    const { text, replacements } = piiRedactor.redact(resume);
+
+    expect(replacements.map(replacement => replacement.placeholder).sort())
+      .toEqual(['[ADDRESS_1]', '[EMAIL_1]', '[GITHUB_1]', '[LINKEDIN_1]', '[NAME_1]', '[PHONE_1]']);
+    expect(text).toContain('[ADDRESS_1], Mumbai');
+  });
+
+  test('gives a repeated value the same placeholder', () => {
+    const { text } = piiRedactor.redact(resume);
+
+    expect(text.match(/\[EMAIL_1\]/g)).toHaveLength(2);
+    expect(text).not.toContain('[EMAIL_2]');
+  });
+
+  test('numbers different values of one kind', () => {
+    const { text } = piiRedactor.redact('Mail a@work.com or b@home.org, call (555) 123-4567 or 555.987.6543');
+
+    expect(text).toBe('Mail [EMAIL_1] or [EMAIL_2], call [PHONE_1] or [PHONE_2]');
+  });
+
+  test('leaves ordinary resume text alone', () => {
+    const { text } = piiRedactor.redact(resume);
+
+    expect(text).toContain('Cut settlement time from 3 days to 4 hours for 2 million merchants');
+    expect(text).toContain('B.Tech Computer Science, IIT Bombay, 2015');
+  });
+
+  test('redacts the name, not a job title on the first line', () => {
+    const text = [
+      'Software Engineer',
+      'John Doe',
+      'john.doe@mail.com',
+      '',
+      'EXPERIENCE',
+      'Software Engineer at Acme, 2020 – Present'
+    ].join('\n');
+    const info = resumeInfoNormalizer.extractBasicInfo(text);
+    const { text: redacted } = piiRedactor.redact(text, info);
+
+    expect(info.name).toBe('Software Engineer');
+    expect(redacted).not.toContain('John Doe');
+    expect(redacted).toContain('[NAME_1]\n[EMAIL_1]');
+    expect(redacted).toContain('Software Engineer\n');
+    expect(redacted).toContain('Software Engineer at Acme');
+  });
+
+  test('leaves a name inside a longer name or word alone', () => {
+    const text = 'Ram Kumar\nram@kumar.dev\n\nEXPERIENCE\nBuyer at Ram Kumar Industries; mentored Ram Kumarswamy';
+    const { text: redacted } = piiRedactor.redact(text, resumeInfoNormalizer.extractBasicInfo(text));
+
+    expect(redacted).toBe('[NAME_1]\n[EMAIL_1]\n\nEXPERIENCE\nBuyer at Ram Kumar Industries; mentored Ram Kumarswamy');
+  });
+
+  test('puts the values back into nested feedback', () => {
+    const { replacements } = piiRedactor.redact(resume, resumeInfoNormalizer.extractBasicInfo(resume));
+    const restored = piiRedactor.restore({
+      score: 72,
+      roastFeedback: '[NAME_1], your contact line ([EMAIL_1], [PHONE_1]) is fine.',
+      improvements: [{ area: 'Links', description: 'Shorten [LINKEDIN_1]', example: '[UNKNOWN_1] [EMAIL_9]' }]
+    }, replacements);
+
+    expect(restored).toEqual({
+      score: 72,
+      roastFeedback: 'Priya Sharma, your contact line (priya.sharma@gmail.com, +91 987-654-3210) is fine.',
+      improvements: [{ area: 'Links', description: 'Shorten linkedin.com/in/priyasharma', example: '[UNKNOWN_1] [EMAIL_9]' }]
+    });
+  });
+});
+
+describe('geminiService PII redaction', () => {
+  const { provider } = geminiService;
+  const originalGenerate = provider.generate;
+  const originalFlag = geminiService.redactPii;
+  const originalTimeout = geminiService.requestTimeout;
+  let prompts;
+  let contexts;
+
+  // The offline analysis, with feedback that quotes the placeholders back
+  beforeEach(() => {
+    prompts = [];
+    contexts = [];
+    geminiService.requestTimeout = 50;
+    provider.generate = async (prompt, context) => {
+      prompts.push(prompt);
+      contexts.push(context);
+      const analysis = JSON.parse(await originalGenerate.call(provider, prompt, context));
+      analysis.roastFeedback = 'Hey [NAME_1], recruiters will email [EMAIL_1] and call [PHONE_1]. ' + analysis.roastFeedback;
+      analysis.extractedInfo.personalInfo = { name: '[NAME_1]', email: '[EMAIL_1]', phone: '[PHONE_1]' };
+      return JSON.stringify(analysis);
+    };
+  });
+
+  afterEach(() => {
+    provider.generate = originalGenerate;
+    geminiService.redactPii = originalFlag;
+    geminiService.requestTimeout = originalTimeout;
+  });
+
+  test('sends placeholders and restores the feedback', async () => {
+    geminiService.redactPii = true;
+    const personalInfo = resumeInfoNormalizer.extractBasicInfo(resume);
+    const result = await geminiService.analyzeResume(resume, { roastLevel: 'ache', language: 'english' }, { personalInfo });
+
+    expect(result.success).toBe(true);
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toContain('[EMAIL_1]');
+    expect(prompts[0]).not.toContain('priya.sharma@gmail.com');
+    expect(prompts[0]).not.toContain('Priya Sharma');
+    expect(contexts[0].resumeText).toContain('[EMAIL_1]');
+    expect(contexts[0].resumeText).not.toContain('priya.sharma@gmail.com');
+    expect(result.data.sectionScores.contact.rationale).not.toMatch(/Missing (email|phone)/);
+    expect(result.data.roastFeedback).toContain('Hey Priya Sharma, recruiters will email priya.sharma@gmail.com and call +91 987-654-3210.');
+    expect(result.data.extractedInfo.personalInfo.email).toBe('priya.sharma@gmail.com');
+  });
+
+  test('sends the text unchanged when redaction is off', async () => {
+    geminiService.redactPii = false;
+    await geminiService.analyzeResume(resume, { roastLevel: 'ache', language: 'english' });
+
+    expect(prompts[0]).toContain('priya.sharma@gmail.com');
+  });
+});
@@ -0,0 +1,131 @@
+const { getAIConfig } = require('../config/ai');
+const { SECTION_KEYS } = require('../config/scoring');
+const { getToneConfig } = require('../config/tone');
+const { createProvider } = require('../services/providers');
+
+const resume = [
+  'Priya Sharma',
+  '[EMAIL_1] | [PHONE_1]',
+  '',
+  'SUMMARY',
+  'Backend engineer building payment systems.',
+  '',
+  'EXPERIENCE',
+  'Senior Software Engineer, Acme Payments, 2019 - Present',
+  '• Built a settlement service in Node.js and PostgreSQL for 2 million merchants',
+  '• Reduced settlement time by 90%',
+  '',
+  'SKILLS',
+  'JavaScript, Python, Docker, AWS'
+].join('\n');
+
+const configWith = (env) => {
+  const saved = { ...process.env };
+  delete process.env.AI_PROVIDER;
+  delete process.env.GEMINI_API_KEY;
+  Object.assign(process.env, env);
+  try {
+    return getAIConfig();
+  } finally {
+    process.env = saved;
+  }
+};
+
+const analyze = async (preferences) => JSON.parse(
+  await createProvider({ provider: 'offline' }).generate('prompt', { resumeText: resume, preferences })
+);
+
+describe('AI providers', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('selects the provider named by AI_PROVIDER', () => {
+    const gemini = createProvider(configWith({ AI_PROVIDER: 'gemini', GEMINI_API_KEY: 'g'.repeat(39) }));
+    const compatible = createProvider(configWith({ AI_PROVIDER: 'openai-compatible', OPENAI_COMPAT_MODEL: 'qwen2.5' }));
+    const offline = createProvider(configWith({ AI_PROVIDER: 'Offline' }));
+
+    expect([gemini.name, gemini.model]).toEqual(['gemini', 'gemini-1.5-flash']);
+    expect([compatible.name, compatible.model, compatible.baseURL]).toEqual(['openai-compatible', 'qwen2.5', 'http://localhost:11434/v1']);
+    expect([offline.name, offline.model]).toEqual(['offline', 'offline-heuristic-v1']);
+  });
+
+  test('falls back to Gemini with a key and offline without one', () => {
+    expect(configWith({ GEMINI_API_KEY: 'g'.repeat(39) }).provider).toBe('gemini');
+    expect(configWith({}).provider).toBe('offline');
+  });
+
+  test('rejects unknown providers and missing credentials', () => {
+    expect(() => configWith({ AI_PROVIDER: 'claude' })).toThrow('Unsupported AI_PROVIDER "claude"');
+    expect(() => createProvider({ provider: 'claude' })).toThrow('Unsupported AI provider: claude');
+    expect(() => createProvider(configWith({ AI_PROVIDER: 'gemini' }))).toThrow('GEMINI_API_KEY environment variable is required');
+  });
+
+  test('offline analysis has the shape the response parser expects', async () => {
+    const analysis = await analyze({ roastLevel: 'dhang', language: 'english' });
+
+    expect(Object.keys(analysis.sectionScores).sort()).toEqual([...SECTION_KEYS].sort());
+    Object.values(analysis.sectionScores).forEach(section => {
+      expect(section.score).toEqual(expect.any(Number));
+      expect(section.rationale).toEqual(expect.any(String));
+    });
+    expect(analysis.roastFeedback.startsWith('Alright, let me roast your resume...')).toBe(true);
+    expect(analysis.strengths).toContain('Contact details are easy to find');
+    expect(analysis.weaknesses.length).toBeGreaterThan(0);
+    analysis.improvements.forEach(item => {
+      expect(item).toEqual({
+        priority: expect.stringMatching(/^(high|medium|low)$/),
+        title: expect.any(String),
+        description: expect.any(String),
+        example: expect.any(String)
+      });
+    });
+    expect(analysis.extractedInfo.skills.technical).toEqual(expect.arrayContaining(['javascript', 'python', 'docker', 'aws']));
+
+    expect(await analyze({ roastLevel: 'dhang', language: 'english' })).toEqual(analysis);
+  });
+
+  test('offline analysis is written in the requested language', async () => {
+    const english = await analyze({ roastLevel: 'ache', language: 'english' });
+    const hindi = await analyze({ roastLevel: 'ache', language: 'hindi' });
+    const hinglish = await analyze({ roastLevel: 'ache', language: 'hinglish' });
+
+    // The same greeting as the AI prompt asks for
+    expect(hindi.roastFeedback.startsWith(getToneConfig({ roastLevel: 'ache', language: 'hindi' }).greeting)).toBe(true);
+    expect(hindi.strengths).toContain('संपर्क विवरण आसानी से मिल जाते हैं');
+    expect(hindi.improvements[0].title).toMatch(/[ऀ-ॿ]/);
+    expect(hindi.sectionScores.contact.rationale).toMatch(/[ऀ-ॿ]/);
+    expect(hinglish.roastFeedback.startsWith('Chaliye aapke resume ka seedha analysis karte hain...')).toBe(true);
+    expect(hinglish.strengths).toContain('Contact details aasani se mil jaate hain');
+
+    // Only the wording changes, never the scores
+    [hindi, hinglish].forEach(analysis => {
+      Object.keys(english.sectionScores).forEach(key => {
+        expect(analysis.sectionScores[key].score).toBe(english.sectionScores[key].score);
+      });
+    });
+    expect(english.roastFeedback).toMatch(/^Let me give you an honest assessment/);
+  });
+
+  test('offline bullet rewrites explain themselves in the requested language', async () => {
+    const provider = createProvider({ provider: 'offline' });
+    const rewrite = async (language) => JSON.parse(await provider.generate('prompt', {
+      task: 'rewrite',
+      bullets: ['Responsible for managing the release process'],
+      issues: [['weak opening']],
+      preferences: { roastLevel: 'ache', language }
+    })).rewrites[0];
+
+    const english = await rewrite('english');
+    const hindi = await rewrite('hindi');
+
+    expect(english.rewritten).toBe('Managed the release process, improving [metric] by [X%]');
+    expect(english.reason).toBe('Why it is stronger: opens with a strong action verb, adds a placeholder for a measurable result.');
+    expect(hindi.rewritten).toBe(english.rewritten);
+    expect(hindi.reason).toMatch(/^यह बेहतर क्यों है: .+।$/);
+  });
+});
@@ -0,0 +1,53 @@
+const rtfParser = require('../services/rtfParser');
+
+const rtf = source => Buffer.from(source, 'latin1');
+
+describe('rtfParser', () => {
+  test('reads paragraphs, Windows-1252 bytes and unicode characters', () => {
+    const { text } = rtfParser.parse(rtf(
+      '{\\rtf1\\ansi{\\fonttbl{\\f0 Calibri;}}{\\info{\\author Jane}}' +
+      '\\pard Jane Smith\\par Senior Engineer \\endash  Acme\\par ' +
+      '\\bullet  Cut costs by 30\\% \\\'93fast\\\'94\\par Caf\\u233?\\par}'
+    ));
+
+    expect(text).toBe('Jane Smith\nSenior Engineer – Acme\n• Cut costs by 30 “fast”\nCafé\n');
+    expect(text).not.toContain('Calibri');
+    expect(text).not.toContain('Jane\n');
+  });
+
+  test('counts tables and pictures and puts each row on a line', () => {
+    const result = rtfParser.parse(rtf(
+      '{\\rtf1 Skills\\par\\trowd\\intbl Go\\cell Rust\\cell\\row\\intbl SQL\\cell Redis\\cell\\row\\pard\\par' +
+      '{\\*\\shppict{\\pict\\pngblip 89504e47}}Done\\par}'
+    ));
+
+    expect(result.text).toContain('Go\tRust\nSQL\tRedis\n');
+    expect(result.text).not.toContain('89504e47');
+    expect(result.tableCount).toBe(1);
+    expect(result.imageCount).toBe(1);
+  });
+
+  test('rejects content that is not RTF', () => {
+    expect(() => rtfParser.parse(rtf('Jane Smith\nEngineer'))).toThrow('Corrupted RTF file');
+    expect(() => rtfParser.parse(Buffer.alloc(0))).toThrow('Corrupted RTF file');
+  });
+
+  test('survives unbalanced groups and truncated escapes', () => {
+    const malformed = [
+      '{\\rtf1 Jane}}} Smith\\par',
+      '{\\rtf1 {{{ Jane Smith',
+      '{\\rtf1 Jane\\\'',
+      '{\\rtf1 Jane\\\'zz Smith}',
+      '{\\rtf1 Jane\\u',
+      '{\\rtf1 Jane\\u-99999999999 Smith}',
+      `{\\rtf1 Jane\\${'a'.repeat(100)} Smith}`,
+      '{\\rtf1 Jane\\'
+    ];
+
+    malformed.forEach(source => {
+      let result;
+      expect(() => { result = rtfParser.parse(rtf(source)); }).not.toThrow();
+      expect(result.text).toContain('Jane');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const load = (redactPii) => {
+  const saved = process.env.AI_REDACT_PII;
+  process.env.AI_REDACT_PII = redactPii;
+  try {
+    let terms;
+    jest.isolateModules(() => {
+      terms = require('../config/terms');
+    });
+    return terms;
+  } finally {
+    if (saved === undefined) delete process.env.AI_REDACT_PII;
+    else process.env.AI_REDACT_PII = saved;
+  }
+};
+
+const aiSection = (terms) => terms.sections.find(section => section.heading.includes('AI')).body;
+
+describe('terms', () => {
+  test('promise placeholders only while redaction is on', () => {
+    const redacted = load('true').CURRENT_TERMS;
+    const unredacted = load('false').CURRENT_TERMS;
+
+    expect(aiSection(redacted)).toContain('replaced with placeholders');
+    expect(aiSection(unredacted)).not.toContain('placeholders');
+    expect(aiSection(unredacted)).toContain('including your contact details');
+    expect(unredacted.version).not.toBe(redacted.version);
+  });
+
+  test('keep every variant available for stored consents', () => {
+    const { TERMS_VERSIONS, getTerms } = load('false');
+
+    TERMS_VERSIONS.forEach(terms => expect(getTerms(terms.version)).toBe(terms));
+    expect(new Set(TERMS_VERSIONS.map(terms => terms.version)).size).toBe(TERMS_VERSIONS.length);
+    expect(getTerms('2020-01-01')).toBeNull();
+  });
+});
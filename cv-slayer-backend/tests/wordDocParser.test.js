@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const wordDocParser = require('../services/wordDocParser');
+const fileProcessor = require('../services/fileProcessor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+const docUpload = (name, buffer = fixture(name)) => ({
+  originalname: name,
+  mimetype: 'application/msword',
+  buffer,
+  size: buffer.length
+});
+
+describe('wordDocParser', () => {
+  test('reads 8-bit text with Windows-1252 punctuation', () => {
+    const { text } = wordDocParser.parse(fixture('resume-word97.doc'));
+
+    expect(text).toContain('Priya Sharma\npriya.sharma@example.com');
+    expect(text).toContain('6 years’ experience building “boring”');
+    expect(text).toContain('Senior Software Engineer – Acme Payments');
+    expect(text).toContain('• Cut settlement time');
+  });
+
+  test('keeps field results and drops field instructions', () => {
+    const { text } = wordDocParser.parse(fixture('resume-word97.doc'));
+
+    expect(text).toContain('linkedin.com/in/priyasharma');
+    expect(text).not.toContain('HYPERLINK');
+    expect(text).not.toContain('=2010+4');
+    expect(text).toContain('2014');
+  });
+
+  test('puts table rows on their own lines and counts tables and pictures', () => {
+    const result = wordDocParser.parse(fixture('resume-word97.doc'));
+
+    expect(result.text).toContain('Degree\tInstitution\tYear\nB.Tech Computer Science\tIIT Delhi\t 2014\nSkills');
+    expect(result.tableCount).toBe(1);
+    expect(result.imageCount).toBe(1);
+  });
+
+  test('returns only the main document story', () => {
+    const { text } = wordDocParser.parse(fixture('resume-word97.doc'));
+
+    expect(text).not.toContain('CONFIDENTIAL HEADER TEXT');
+  });
+
+  test('joins UTF-16 and 8-bit pieces in document order', () => {
+    const { text } = wordDocParser.parse(fixture('resume-hindi.doc'));
+
+    expect(text.split('\n')).toEqual([
+      'राहुल वर्मा',
+      'rahul.verma@example.in | 98765 12345',
+      'कार्य अनुभव',
+      'सॉफ्टवेयर इंजीनियर, इन्फोसिस, पुणे (2018 - 2023)',
+      'ग्राहक पोर्टल के लिए 12 माइक्रोसर्विस बनाईं',
+      'Education',
+      'B.E. Information Technology, Pune University, 2018',
+      'कौशल',
+      'Java, Spring Boot, MySQL, हिंदी और अंग्रेज़ी में संवाद',
+      ''
+    ]);
+  });
+
+  test('rejects encrypted documents', () => {
+    expect(() => wordDocParser.parse(fixture('encrypted.doc')))
+      .toThrow('Password-protected DOC files not supported');
+  });
+
+  test('rejects Word 6.0/95 documents', () => {
+    expect(() => wordDocParser.parse(fixture('word95.doc')))
+      .toThrow('Word 6.0/95 DOC files not supported');
+  });
+
+  test('rejects files that are not CFB containers', () => {
+    expect(() => wordDocParser.parse(Buffer.alloc(2048, 'not a word document')))
+      .toThrow('Corrupted DOC file');
+  });
+});
+
+describe('fileProcessor .doc extraction', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('extracts text, sections and layout from a .doc upload', async () => {
+    const { text, layout, sections } = await fileProcessor.extractDocument(docUpload('resume-word97.doc'));
+
+    expect(text.startsWith('Priya Sharma')).toBe(true);
+    expect(sections.map(section => section.type)).toEqual(['header', 'summary', 'experience', 'education', 'skills']);
+    expect(layout).toMatchObject({ format: 'doc', tableCount: 1, imageCount: 1 });
+  });
+
+  test('finds Hindi section headings in a .doc upload', async () => {
+    const { sections } = await fileProcessor.extractDocument(docUpload('resume-hindi.doc'));
+
+    expect(sections.map(section => section.type)).toEqual(['header', 'experience', 'education', 'skills']);
+  });
+
+  test('passes the reason through for unsupported .doc files', async () => {
+    await expect(fileProcessor.extractDocument(docUpload('encrypted.doc')))
+      .rejects.toThrow('Password-protected DOC files not supported');
+    await expect(fileProcessor.extractDocument(docUpload('word95.doc')))
+      .rejects.toThrow('Word 6.0/95 DOC files not supported');
+  });
+
+  test('reports corrupted .doc files', async () => {
+    // A CFB signature followed by garbage: the upload sniffs as .doc but cannot be read
+    const broken = Buffer.concat([
+      Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+      Buffer.alloc(2040, 'garbage')
+    ]);
+
+    await expect(fileProcessor.extractDocument(docUpload('broken.doc', broken)))
+      .rejects.toThrow('Corrupted DOC file');
+  });
+});
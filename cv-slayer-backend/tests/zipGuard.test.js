@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+const zipGuard = require('../services/zipGuard');
+
+// Builds a ZIP archive; each entry is { name, content, flags, size } where
+// size overrides the unpacked size the headers declare
+const zip = (entries) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const content = Buffer.from(entry.content || '');
+    const data = zlib.deflateRawSync(content);
+    const size = entry.size ?? content.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.flags || 0, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(entry.flags || 0, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    directory.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+describe('zipGuard', () => {
+  test('measures a well-formed archive', () => {
+    const archive = zip([
+      { name: '[Content_Types].xml', content: '<Types/>' },
+      { name: 'word/document.xml', content: '<w:document>Jane Smith</w:document>' }
+    ]);
+
+    expect(zipGuard.check(archive)).toEqual({ entries: 2, totalSize: 43 });
+  });
+
+  test('rejects a zip bomb whose headers understate its size', () => {
+    const bomb = zip([{ name: 'word/document.xml', content: Buffer.alloc(21 * 1024 * 1024), size: 1024 }]);
+
+    expect(bomb.length).toBeLessThan(100 * 1024);
+    expect(() => zipGuard.check(bomb)).toThrow('Archive too large when decompressed');
+  });
+
+  test('rejects entries that declare too much and archives that unpack too much in total', () => {
+    const content = Buffer.alloc(19 * 1024 * 1024);
+    const parts = [0, 1, 2].map((index) => ({ name: `word/part${index}.xml`, content }));
+
+    expect(() => zipGuard.check(zip([{ name: 'word/document.xml', content: 'x', size: 25 * 1024 * 1024 }])))
+      .toThrow('Archive too large when decompressed');
+    expect(() => zipGuard.check(zip(parts))).toThrow('Archive too large when decompressed');
+  });
+
+  test('rejects archives with too many entries', () => {
+    const entries = Array.from({ length: zipGuard.maxEntries + 1 }, (_, index) => ({ name: `f${index}`, content: '' }));
+
+    expect(() => zipGuard.check(zip(entries))).toThrow('Archive has too many entries');
+  });
+
+  test('rejects encrypted and corrupted archives', () => {
+    const archive = zip([{ name: 'word/document.xml', content: 'Jane Smith' }]);
+
+    expect(() => zipGuard.check(zip([{ name: 'word/document.xml', content: 'Jane', flags: 0x1 }])))
+      .toThrow('Encrypted archives not supported');
+    expect(() => zipGuard.check(Buffer.from('not a zip file at all, just some text'))).toThrow('Corrupted archive');
+    expect(() => zipGuard.check(archive.subarray(0, archive.length - 30))).toThrow('Corrupted archive');
+
+    const damaged = Buffer.from(archive);
+    damaged.fill(0xFF, 30 + 'word/document.xml'.length, 30 + 'word/document.xml'.length + 4);
+    expect(() => zipGuard.check(damaged)).toThrow('Corrupted archive');
+  });
+});
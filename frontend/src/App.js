@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import './App.css';
 import Navbar from './components/Navbar';
 import ResultsDisplay from './components/ResultsDisplay';
@@ -34,6 +34,29 @@ class ErrorBoundary extends React.Component {
   }
 }
 
+// Kept in line with the backend's formatDetector; the server sniffs the
+// content, so the extension check here only catches obvious mistakes
+const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.txt', '.md', '.markdown', '.html', '.htm', '.tex', '.json'];
+const ACCEPTED_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/msword',
+  'application/vnd.oasis.opendocument.text',
+  'application/rtf',
+  'text/rtf',
+  'text/plain',
+  'text/markdown',
+  'text/x-markdown',
+  'text/html',
+  'application/xhtml+xml',
+  'application/x-tex',
+  'text/x-tex',
+  'application/x-latex',
+  'text/x-latex',
+  'application/json'
+];
+const ACCEPT_ATTRIBUTE = ACCEPTED_EXTENSIONS.join(',');
+
 function App() {
   const [selectedFile, setSelectedFile] = useState(null);
   const [results, setResults] = useState(null);
@@ -41,7 +64,13 @@ function App() {
   const [error, setError] = useState('');
   const [agreedToTerms, setAgreedToTerms] = useState(false);
   const [showTermsModal, setShowTermsModal] = useState(false);
+  const [terms, setTerms] = useState(null);
+  const [termsError, setTermsError] = useState('');
+  const [storageOptIn, setStorageOptIn] = useState(false);
   const [loadingStep, setLoadingStep] = useState('');
+  const [progress, setProgress] = useState({ percent: 0, message: '' });
+  const [jobDescription, setJobDescription] = useState('');
+  const [jobDescriptionFile, setJobDescriptionFile] = useState(null);
   const [formData, setFormData] = useState({
     gender: 'male',
     roastLevel: 'pyar',
@@ -54,17 +83,39 @@ function App() {
     baseURL: process.env.NODE_ENV === 'production' 
       ? process.env.REACT_APP_API_URL || 'https://cv-slayer.onrender.com'
       : 'http://localhost:5000',
-    timeout: 120000,
+    timeout: 300000,
+    pollInterval: 1500,
     maxFileSize: 10 * 1024 * 1024
   }), []);
 
+  // The server keeps the terms; the version accepted here is sent with the upload
+  const loadTerms = useCallback(async () => {
+    setTermsError('');
+    try {
+      const response = await fetch(`${API_CONFIG.baseURL}/api/resume/terms`);
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.error || 'Could not load the terms');
+      }
+      setTerms(body.data);
+    } catch (error) {
+      console.error('Terms error:', error);
+      setTermsError('Could not load the terms. Please try again.');
+    }
+  }, [API_CONFIG.baseURL]);
+
+  useEffect(() => {
+    loadTerms();
+  }, [loadTerms]);
+
   // Simple file validation
   const validateFile = useCallback((file) => {
     if (!file) return 'Please select a resume file';
     
-    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'];
-    if (!allowedTypes.includes(file.type)) {
-      return 'Please upload PDF or Word documents only';
+    // Browsers report an empty or odd type for .md and some .rtf files
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!ACCEPTED_TYPES.includes(file.type) && !ACCEPTED_EXTENSIONS.includes(extension)) {
+      return 'Please upload a PDF, Word, ODT, RTF, text, Markdown, HTML, LaTeX or JSON Resume file';
     }
     
     if (file.size > API_CONFIG.maxFileSize) {
@@ -93,6 +144,31 @@ function App() {
     }
   }, [validateFile]);
 
+  // Optional job description file handler
+  const handleJobDescriptionFileChange = useCallback((e) => {
+    const file = e.target.files[0];
+    setError('');
+
+    if (file) {
+      const validationError = validateFile(file);
+      if (validationError) {
+        setError(`Job description: ${validationError}`);
+        setJobDescriptionFile(null);
+        e.target.value = '';
+        return;
+      }
+      setJobDescriptionFile(file);
+    } else {
+      setJobDescriptionFile(null);
+    }
+  }, [validateFile]);
+
+  const clearJobDescriptionFile = useCallback(() => {
+    setJobDescriptionFile(null);
+    const fileInput = document.getElementById('jobDescriptionFile');
+    if (fileInput) fileInput.value = '';
+  }, []);
+
   // Simple input handler
   const handleInputChange = useCallback((e) => {
     const { name, value } = e.target;
@@ -105,18 +181,111 @@ function App() {
     setSelectedFile(null);
     setError('');
     setLoadingStep('');
+    setProgress({ percent: 0, message: '' });
     setIsLoading(false);
+    setJobDescription('');
+    setJobDescriptionFile(null);
     setFormData({
       gender: 'male',
       roastLevel: 'pyar',
       roastType: 'funny',
       language: 'english'
     });
+    // Consent is given per submission, so the next upload asks again
+    setAgreedToTerms(false);
+    setStorageOptIn(false);
     
     const fileInput = document.getElementById('resumeFile');
     if (fileInput) fileInput.value = '';
+    const jobDescriptionInput = document.getElementById('jobDescriptionFile');
+    if (jobDescriptionInput) jobDescriptionInput.value = '';
   }, []);
 
+  // Poll the analysis job until it is done, reporting the real backend stage
+  const pollJob = useCallback(async (jobId) => {
+    const deadline = Date.now() + API_CONFIG.timeout;
+
+    while (Date.now() < deadline) {
+      const response = await fetch(`${API_CONFIG.baseURL}/api/resume/jobs/${jobId}`);
+
+      if (!response.ok) {
+        throw new Error(`Error ${response.status}: Please try again`);
+      }
+
+      const status = await response.json();
+      const job = status.data || {};
+
+      if (job.stage === 'done') {
+        return job.result || {};
+      }
+
+      if (job.stage === 'failed') {
+        throw new Error(job.error?.message || 'Analysis failed');
+      }
+
+      if (job.stage) {
+        setLoadingStep(job.stage);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, API_CONFIG.pollInterval));
+    }
+
+    throw new Error('Analysis is taking too long. Please try again');
+  }, [API_CONFIG.baseURL, API_CONFIG.timeout, API_CONFIG.pollInterval]);
+
+  // Follow the job through its Server-Sent Events stream; the backend pushes
+  // real pipeline events (extraction, AI attempts and retries, saving).
+  // Falls back to polling when EventSource is unavailable or the stream drops.
+  const watchJob = useCallback((jobId) => {
+    if (typeof window.EventSource === 'undefined') {
+      return pollJob(jobId);
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new window.EventSource(`${API_CONFIG.baseURL}/api/resume/jobs/${jobId}/events`);
+      let settled = false;
+
+      const finish = (callback) => {
+        if (settled) return;
+        settled = true;
+        source.close();
+        callback();
+      };
+
+      const parse = (event) => {
+        try {
+          return JSON.parse(event.data);
+        } catch (parseError) {
+          return {};
+        }
+      };
+
+      source.addEventListener('progress', (event) => {
+        const data = parse(event);
+        if (data.stage) {
+          setLoadingStep(data.stage);
+        }
+        setProgress(prev => ({
+          percent: typeof data.progress === 'number' ? data.progress : prev.percent,
+          message: data.message || prev.message
+        }));
+      });
+
+      source.addEventListener('done', () => {
+        finish(() => pollJob(jobId).then(resolve, reject));
+      });
+
+      source.addEventListener('failed', (event) => {
+        const data = parse(event);
+        finish(() => reject(new Error(data.message || 'Analysis failed')));
+      });
+
+      source.onerror = () => {
+        finish(() => pollJob(jobId).then(resolve, reject));
+      };
+    });
+  }, [pollJob, API_CONFIG.baseURL]);
+
   // Simple submit handler
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
@@ -126,6 +295,11 @@ function App() {
       return;
     }
     
+    if (!terms) {
+      setError('The terms could not be loaded. Please open them and try again');
+      return;
+    }
+    
     if (!selectedFile) {
       setError('Please select a resume file');
       return;
@@ -140,6 +314,7 @@ function App() {
     setIsLoading(true);
     setError('');
     setLoadingStep('uploading');
+    setProgress({ percent: 0, message: '' });
 
     try {
       const formDataToSend = new FormData();
@@ -149,27 +324,39 @@ function App() {
       formDataToSend.append('roastType', formData.roastType);
       formDataToSend.append('language', formData.language);
       formDataToSend.append('consentGiven', 'true');
+      formDataToSend.append('termsVersion', terms.version);
+      formDataToSend.append('storageOptIn', storageOptIn ? 'true' : 'false');
 
-      setLoadingStep('analyzing');
+      if (jobDescriptionFile) {
+        formDataToSend.append('jobDescriptionFile', jobDescriptionFile);
+      } else if (jobDescription.trim()) {
+        formDataToSend.append('jobDescription', jobDescription.trim());
+      }
 
       const response = await fetch(`${API_CONFIG.baseURL}/api/resume/analyze`, {
         method: 'POST',
         body: formDataToSend
       });
 
-      setLoadingStep('processing');
+      if (response.status === 409) {
+        // The terms changed since they were loaded: accept the new version first
+        setAgreedToTerms(false);
+        await loadTerms();
+        setShowTermsModal(true);
+      }
 
       if (!response.ok) {
-        throw new Error(`Error ${response.status}: Please try again`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Error ${response.status}: Please try again`);
       }
 
-      const result = await response.json();
+      const queued = await response.json();
       
-      if (!result.success) {
-        throw new Error(result.error?.message || 'Analysis failed');
+      if (!queued.success || !queued.data?.jobId) {
+        throw new Error(queued.error?.message || queued.error || 'Analysis failed');
       }
 
-      const processedData = result.data || result;
+      const processedData = await watchJob(queued.data.jobId);
       
       const finalResults = {
         ...processedData,
@@ -182,6 +369,7 @@ function App() {
       };
 
       setLoadingStep('complete');
+      setProgress({ percent: 100, message: 'Analysis complete!' });
       setTimeout(() => {
         setResults(finalResults);
         setIsLoading(false);
@@ -194,7 +382,7 @@ function App() {
       setIsLoading(false);
       setLoadingStep('');
     }
-  }, [selectedFile, formData, agreedToTerms, validateFile, API_CONFIG.baseURL]);
+  }, [selectedFile, formData, jobDescription, jobDescriptionFile, agreedToTerms, terms, storageOptIn, loadTerms, validateFile, watchJob, API_CONFIG.baseURL]);
 
   // Admin route check
   if (window.location.pathname.startsWith('/admin')) {
@@ -212,7 +400,7 @@ function App() {
         <div className="app">
           <Navbar />
           <main className="main-content">
-            <ResultsDisplay results={results} onReset={handleReset} />
+            <ResultsDisplay results={results} onReset={handleReset} apiBaseURL={API_CONFIG.baseURL} />
           </main>
         </div>
       </ErrorBoundary>
@@ -224,16 +412,27 @@ function App() {
     const getLoadingMessage = () => {
       const messages = {
         uploading: 'Uploading your resume...',
+        queued: 'Waiting for an available analyzer...',
+        extracting: 'Reading your resume...',
         analyzing: 'AI is analyzing your resume...',
-        processing: 'Generating feedback...',
+        parsing: 'Generating feedback...',
+        saving: 'Wrapping up...',
         complete: 'Analysis complete!'
       };
-      return messages[loadingStep] || 'Processing...';
+      return progress.message || messages[loadingStep] || 'Processing...';
     };
 
     const getProgressPercentage = () => {
-      const percentages = { uploading: 25, analyzing: 50, processing: 75, complete: 100 };
-      return percentages[loadingStep] || 0;
+      const percentages = {
+        uploading: 10,
+        queued: 15,
+        extracting: 30,
+        analyzing: 55,
+        parsing: 80,
+        saving: 90,
+        complete: 100
+      };
+      return Math.max(progress.percent, percentages[loadingStep] || 0);
     };
 
     return (
@@ -387,7 +586,7 @@ function App() {
                           {selectedFile ? selectedFile.name : "Choose your resume"}
                         </span>
                         <span className="file-secondary">
-                          PDF, DOC, DOCX up to 10MB
+                          PDF, DOC, DOCX, ODT, RTF, TXT, MD, HTML, TEX, JSON Resume up to 10MB
                         </span>
                       </div>
                       <div className="file-button">Browse</div>
@@ -396,7 +595,7 @@ function App() {
                   <input 
                     type="file" 
                     id="resumeFile" 
-                    accept=".pdf,.docx,.doc"
+                    accept={ACCEPT_ATTRIBUTE}
                     onChange={handleFileChange}
                     disabled={isLoading}
                     required
@@ -470,6 +669,48 @@ function App() {
                   </div>
                 </div>
 
+                <div className="job-description-section">
+                  <label htmlFor="jobDescription" className="job-description-label">
+                    Target Job Description <span className="optional-tag">(optional)</span>
+                  </label>
+                  <p className="job-description-hint">
+                    Paste the posting you are applying to and get a match score, keyword check and tailoring tips.
+                  </p>
+                  <textarea
+                    id="jobDescription"
+                    name="jobDescription"
+                    rows={5}
+                    maxLength={10000}
+                    placeholder="Paste the job description here..."
+                    value={jobDescription}
+                    onChange={(e) => setJobDescription(e.target.value)}
+                    disabled={isLoading || Boolean(jobDescriptionFile)}
+                  />
+                  <div className="job-description-file">
+                    <label htmlFor="jobDescriptionFile" className="job-description-file-label">
+                      📎 {jobDescriptionFile ? jobDescriptionFile.name : 'Or upload the posting (PDF, Word, ODT, RTF, text, HTML)'}
+                    </label>
+                    <input
+                      type="file"
+                      id="jobDescriptionFile"
+                      accept={ACCEPT_ATTRIBUTE}
+                      onChange={handleJobDescriptionFileChange}
+                      disabled={isLoading}
+                    />
+                    {jobDescriptionFile && (
+                      <button
+                        type="button"
+                        className="job-description-file-clear"
+                        onClick={clearJobDescriptionFile}
+                        disabled={isLoading}
+                        aria-label="Remove job description file"
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                </div>
+
                 <div className="terms-section">
                   <label className="terms-checkbox">
                     <input 
@@ -491,6 +732,19 @@ function App() {
                       </button>
                     </span>
                   </label>
+
+                  <label className="terms-checkbox">
+                    <input 
+                      type="checkbox" 
+                      checked={storageOptIn}
+                      onChange={(e) => setStorageOptIn(e.target.checked)}
+                      disabled={isLoading}
+                    />
+                    <span className="checkmark"></span>
+                    <span className="terms-text">
+                      Store my resume and analysis for statistics (optional). Without this, nothing is kept after your results are shown.
+                    </span>
+                  </label>
                 </div>
 
                 <button 
@@ -511,7 +765,7 @@ function App() {
           <div className="modal-overlay" onClick={() => setShowTermsModal(false)}>
             <div className="modal-content" onClick={(e) => e.stopPropagation()}>
               <div className="modal-header">
-                <h3>Terms of Service & Privacy Policy</h3>
+                <h3>{terms ? terms.title : 'Terms of Service & Privacy Policy'}</h3>
                 <button 
                   className="modal-close"
                   onClick={() => setShowTermsModal(false)}
@@ -522,20 +776,26 @@ function App() {
               
               <div className="modal-body">
                 <div className="terms-content">
-                  <section>
-                    <h4>🔐 Privacy & Data</h4>
-                    <p>Your resume is processed temporarily for analysis. Files are deleted after processing.</p>
-                  </section>
-
-                  <section>
-                    <h4>🤖 AI Analysis</h4>
-                    <p>We use AI to analyze your resume and provide feedback.</p>
-                  </section>
-
-                  <section>
-                    <h4>📞 Contact</h4>
-                    <p>Questions? Email: outlercodie.com@gmail.com</p>
-                  </section>
+                  {terms ? (
+                    <>
+                      {terms.sections.map((section) => (
+                        <section key={section.heading}>
+                          <h4>{section.heading}</h4>
+                          <p>{section.body}</p>
+                        </section>
+                      ))}
+                      <p className="terms-version">Version {terms.version}, effective {terms.effectiveDate}</p>
+                    </>
+                  ) : termsError ? (
+                    <section>
+                      <p>{termsError}</p>
+                      <button type="button" className="btn-secondary" onClick={loadTerms}>
+                        Retry
+                      </button>
+                    </section>
+                  ) : (
+                    <p>Loading terms...</p>
+                  )}
                 </div>
               </div>
               
@@ -548,6 +808,7 @@ function App() {
                 </button>
                 <button 
                   className="btn-primary"
+                  disabled={!terms}
                   onClick={() => {
                     setAgreedToTerms(true);
                     setShowTermsModal(false);
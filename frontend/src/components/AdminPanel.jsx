@@ -84,6 +84,7 @@ const AdminPanel = () => {
           totalResumes: result.data.totalResumes || 0,
           todayResumes: result.data.todayResumes || 0,
           averageScore: result.data.averageScore || 0,
+          retention: result.data.retention || null,
           recentResumes: (result.data.recentResumes || []).map(resume => ({
             id: resume.id,
             displayName: cleanText(resume.personalInfo?.name || resume.fileName || 'Unknown'),
@@ -223,6 +224,46 @@ const AdminPanel = () => {
     }
   }, [apiRequest]);
 
+  // Drop cached analyses so the next upload goes to the AI again
+  const handleClearCache = useCallback(async (resumeId) => {
+    const scope = resumeId ? 'this resume' : 'all resumes';
+    if (!window.confirm(`Clear the cached analyses for ${scope}?`)) return;
+
+    try {
+      const result = await apiRequest(resumeId ? `/admin/cache/resume/${resumeId}` : '/admin/cache', {
+        method: 'DELETE'
+      });
+      const removed = result.data?.removed || 0;
+      alert(`Removed ${removed} cached ${removed === 1 ? 'analysis' : 'analyses'}`);
+    } catch (error) {
+      setError(`Cache error: ${error.message}`);
+    }
+  }, [apiRequest]);
+
+  // Data-subject erasure request: delete everything stored for an email
+  const handleErasure = useCallback(async () => {
+    const address = (window.prompt('Email address to erase all stored resumes for:') || '').trim();
+    if (!address) return;
+    if (!window.confirm(`Permanently delete every stored resume for ${address}?`)) return;
+
+    try {
+      const result = await apiRequest('/admin/erasure', {
+        method: 'POST',
+        body: JSON.stringify({ email: address })
+      });
+      const deleted = result.data?.deleted || 0;
+      alert(`Deleted ${deleted} ${deleted === 1 ? 'resume' : 'resumes'}`);
+
+      if (currentView === 'resumes') {
+        loadResumes();
+      } else {
+        loadDashboard();
+      }
+    } catch (error) {
+      setError(`Erasure error: ${error.message}`);
+    }
+  }, [apiRequest, currentView, loadResumes, loadDashboard]);
+
   // Check authentication on mount
   useEffect(() => {
     if (isTokenValid()) {
@@ -245,8 +286,21 @@ const AdminPanel = () => {
     
     const fileInfo = selectedResume.fileInfo || {};
     const analysis = selectedResume.analysis || {};
-    const personalInfo = selectedResume.personalInfo || {};
+    const extractedInfo = selectedResume.extractedInfo || {};
+    const personalInfo = extractedInfo.personalInfo || {};
     const preferences = selectedResume.preferences || {};
+    const skills = extractedInfo.skills || {};
+    const skillGroups = ['technical', 'frameworks', 'tools', 'soft', 'languages']
+      .filter(group => Array.isArray(skills[group]) && skills[group].length > 0);
+    const experience = Array.isArray(extractedInfo.experience) ? extractedInfo.experience : [];
+    const education = Array.isArray(extractedInfo.education) ? extractedInfo.education : [];
+    const otherLists = [
+      ['certifications', 'Certifications'],
+      ['projects', 'Projects'],
+      ['awards', 'Awards'],
+      ['volunteerWork', 'Volunteer Work'],
+      ['interests', 'Interests']
+    ].filter(([key]) => Array.isArray(extractedInfo[key]) && extractedInfo[key].length > 0);
     
     return (
       <div className="resume-details">
@@ -254,7 +308,7 @@ const AdminPanel = () => {
         <div className="info-grid">
           <p><strong>File:</strong> {cleanText(fileInfo.originalFileName || fileInfo.fileName || 'Unknown')}</p>
           <p><strong>Size:</strong> {((fileInfo.fileSize || 0) / 1024).toFixed(2)} KB</p>
-          <p><strong>Uploaded:</strong> {new Date(selectedResume.createdAt || Date.now()).toLocaleString()}</p>
+          <p><strong>Uploaded:</strong> {new Date(selectedResume.timestamps?.uploadedAt || selectedResume.createdAt || Date.now()).toLocaleString()}</p>
         </div>
 
         <h3>👤 Personal Information</h3>
@@ -263,8 +317,75 @@ const AdminPanel = () => {
           <p><strong>Email:</strong> {cleanText(personalInfo.email || 'Not found')}</p>
           <p><strong>Phone:</strong> {cleanText(personalInfo.phone || 'Not found')}</p>
           <p><strong>LinkedIn:</strong> {cleanText(personalInfo.linkedin || 'Not found')}</p>
+          <p><strong>GitHub:</strong> {cleanText(personalInfo.github || 'Not found')}</p>
+          <p><strong>Location:</strong> {cleanText(personalInfo.address || 'Not found')}</p>
+          <p><strong>Website:</strong> {cleanText(personalInfo.website || 'Not found')}</p>
         </div>
 
+        {(extractedInfo.professionalSummary || skillGroups.length > 0 || experience.length > 0 ||
+          education.length > 0 || otherLists.length > 0) && (
+          <>
+            <h3>🧾 Extracted Resume Data</h3>
+            {extractedInfo.professionalSummary && (
+              <p><strong>Summary:</strong> {cleanText(extractedInfo.professionalSummary)}</p>
+            )}
+            <div className="extracted-info-grid">
+              {skillGroups.length > 0 && (
+                <div className="info-section">
+                  <h4>Skills</h4>
+                  {skillGroups.map(group => (
+                    <div key={group}>
+                      <p><strong>{group.charAt(0).toUpperCase() + group.slice(1)}:</strong></p>
+                      <div className="skills-tags">
+                        {skills[group].map((skill, index) => (
+                          <span key={index} className="skill-tag">{cleanText(skill)}</span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {experience.length > 0 && (
+                <div className="info-section">
+                  <h4>Experience ({experience.length})</h4>
+                  {experience.map((job, index) => (
+                    <p key={index}>
+                      <strong>{cleanText(job.title || 'Role')}</strong>
+                      {job.company && <> at {cleanText(job.company)}</>}
+                      {(job.startDate || job.endDate) && (
+                        <> ({cleanText([job.startDate, job.endDate].filter(Boolean).join(' - '))})</>
+                      )}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {education.length > 0 && (
+                <div className="info-section">
+                  <h4>Education ({education.length})</h4>
+                  {education.map((entry, index) => (
+                    <p key={index}>
+                      <strong>{cleanText([entry.degree, entry.field].filter(Boolean).join(', ') || 'Degree')}</strong>
+                      {entry.institution && <>, {cleanText(entry.institution)}</>}
+                      {entry.graduationYear && <> ({cleanText(entry.graduationYear)})</>}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {otherLists.map(([key, label]) => (
+                <div key={key} className="info-section">
+                  <h4>{label}</h4>
+                  {extractedInfo[key].map((item, index) => (
+                    <p key={index}>{cleanText(item)}</p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
         {analysis.overallScore && (
           <>
             <h3>📊 Analysis Results</h3>
@@ -294,6 +415,14 @@ const AdminPanel = () => {
             </div>
           </>
         )}
+
+        {selectedResume.resumeId && (
+          <div>
+            <button className="nav-tab" onClick={() => handleClearCache(selectedResume.resumeId)}>
+              🧹 Clear cached analysis for this resume
+            </button>
+          </div>
+        )}
       </div>
     );
   };
@@ -384,6 +513,20 @@ const AdminPanel = () => {
                 📄 Resumes ({resumes.length})
               </button>
             </div>
+            <button
+              className="nav-tab"
+              onClick={() => handleClearCache()}
+              disabled={loading}
+            >
+              🧹 Clear Cache
+            </button>
+            <button
+              className="nav-tab"
+              onClick={handleErasure}
+              disabled={loading}
+            >
+              🗑️ Erasure Request
+            </button>
             <button onClick={handleLogout} className="logout-btn">
               🚪 Logout
             </button>
@@ -427,6 +570,39 @@ const AdminPanel = () => {
                   <p className="stat-number">{(dashboardData?.averageScore || 0).toFixed(1)}/100</p>
                 </div>
               </div>
+
+              <div className="stat-card">
+                <div className="stat-icon">⏳</div>
+                <div className="stat-content">
+                  <h3>Next Purge</h3>
+                  <p className="stat-number small">
+                    {!dashboardData?.retention?.enabled
+                      ? 'Disabled'
+                      : dashboardData.retention.nextRunAt
+                        ? new Date(dashboardData.retention.nextRunAt).toLocaleString()
+                        : 'Not scheduled'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="stat-card">
+                <div className="stat-icon">🧹</div>
+                <div className="stat-content">
+                  <h3>Purged Last Run</h3>
+                  {dashboardData?.retention?.lastRun ? (
+                    <>
+                      <p className="stat-number small">
+                        {dashboardData.retention.lastRun.error
+                          ? 'Failed'
+                          : `${dashboardData.retention.lastRun.purged.text} text · ${dashboardData.retention.lastRun.purged.personal} personal · ${dashboardData.retention.lastRun.purged.analysis} analysis`}
+                      </p>
+                      <small>{new Date(dashboardData.retention.lastRun.finishedAt).toLocaleString()}</small>
+                    </>
+                  ) : (
+                    <p className="stat-number small">No run yet</p>
+                  )}
+                </div>
+              </div>
             </div>
 
             <div className="recent-section">
@@ -1,9 +1,54 @@
 import React, { useState, useCallback, useMemo } from 'react';
 import './ResultsDisplay.css';
 
-const ResultsDisplay = ({ results, onReset }) => {
+const SECTION_LABELS = {
+  contact: 'Contact',
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  formatting: 'Formatting'
+};
+
+// Word-level diff (LCS) for the before/after rewrite view
+const diffWords = (before, after) => {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const same = (i, j) => a[i].toLowerCase() === b[j].toLowerCase();
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const removed = [];
+  const added = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(i, j)) {
+      removed.push({ text: a[i++], changed: false });
+      added.push({ text: b[j++], changed: false });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      removed.push({ text: a[i++], changed: true });
+    } else {
+      added.push({ text: b[j++], changed: true });
+    }
+  }
+  while (i < a.length) removed.push({ text: a[i++], changed: true });
+  while (j < b.length) added.push({ text: b[j++], changed: true });
+
+  return { before: removed, after: added };
+};
+
+const ResultsDisplay = ({ results, onReset, apiBaseURL = '' }) => {
   const [activeTab, setActiveTab] = useState('roast');
   const [showResetConfirm, setShowResetConfirm] = useState(false);
+  const [rewriteState, setRewriteState] = useState({ status: 'idle', rewrites: [], reviewed: 0, error: '' });
+  const [pastedBullets, setPastedBullets] = useState('');
+  const [privacyState, setPrivacyState] = useState({ status: 'idle', message: '' });
 
   // Simple decode function
   function decodeHtmlEntities(text) {
@@ -19,6 +64,26 @@ const ResultsDisplay = ({ results, onReset }) => {
     return isNaN(numScore) ? 0 : Math.max(0, Math.min(100, Math.round(numScore)));
   }, [results]);
 
+  // Per-section sub-scores behind the overall score
+  const sectionScores = useMemo(() => {
+    if (!results || !results.sectionScores || typeof results.sectionScores !== 'object') return [];
+
+    return Object.keys(SECTION_LABELS)
+      .filter(key => results.sectionScores[key] && typeof results.sectionScores[key] === 'object')
+      .map(key => {
+        const section = results.sectionScores[key];
+        const numScore = Number(section.score);
+        const numWeight = Number(section.weight);
+        return {
+          key,
+          label: SECTION_LABELS[key],
+          score: isNaN(numScore) ? 0 : Math.max(0, Math.min(100, Math.round(numScore))),
+          weight: isNaN(numWeight) ? 0 : Math.round(numWeight * 100),
+          rationale: typeof section.rationale === 'string' ? section.rationale.substring(0, 300) : ''
+        };
+      });
+  }, [results]);
+
   // Simple file name
   const sanitizedFileName = useMemo(() => {
     if (!results || !results.originalFileName) return 'Unknown File';
@@ -69,6 +134,103 @@ const ResultsDisplay = ({ results, onReset }) => {
       .slice(0, 8);
   }, [results]);
 
+  // Rule-based ATS report
+  const atsReport = useMemo(() => {
+    if (!results || !results.atsReport || !Array.isArray(results.atsReport.checks)) return null;
+
+    const checks = results.atsReport.checks
+      .filter(check => check && ['pass', 'warn', 'fail'].includes(check.status))
+      .map(check => ({
+        id: String(check.id || ''),
+        label: typeof check.label === 'string' ? check.label.substring(0, 100) : 'Check',
+        status: check.status,
+        message: typeof check.message === 'string' ? check.message.substring(0, 300) : ''
+      }));
+
+    const numScore = Number(results.atsReport.score);
+
+    return {
+      score: isNaN(numScore) ? 0 : Math.max(0, Math.min(100, Math.round(numScore))),
+      checks,
+      counts: {
+        pass: checks.filter(check => check.status === 'pass').length,
+        warn: checks.filter(check => check.status === 'warn').length,
+        fail: checks.filter(check => check.status === 'fail').length
+      }
+    };
+  }, [results]);
+
+  // OCR details when the resume was a scanned PDF
+  const ocr = useMemo(() => {
+    if (!results || !results.ocr || !Array.isArray(results.ocr.pages)) return null;
+
+    const confidence = value => {
+      const num = Number(value);
+      return isNaN(num) ? 0 : Math.max(0, Math.min(100, Math.round(num)));
+    };
+
+    return {
+      warning: typeof results.ocr.warning === 'string' ? results.ocr.warning.substring(0, 300) : '',
+      averageConfidence: confidence(results.ocr.averageConfidence),
+      pages: results.ocr.pages
+        .filter(page => page && Number.isInteger(page.pageNumber))
+        .map(page => ({ pageNumber: page.pageNumber, confidence: confidence(page.confidence) }))
+        .slice(0, 20)
+    };
+  }, [results]);
+
+  // Resume sections the AI analysis covered (long resumes are analyzed in parts)
+  const coverage = useMemo(() => {
+    if (!results || !results.coverage || !Array.isArray(results.coverage.sections)) return null;
+
+    const sections = [];
+    results.coverage.sections
+      .filter(section => section && typeof section.name === 'string')
+      .forEach(section => {
+        const label = (typeof section.heading === 'string' && section.heading.trim()
+          ? section.heading.trim()
+          : section.name === 'header' ? 'Header' : section.name).substring(0, 40);
+        const existing = sections.find(item => item.label === label);
+
+        // A long section split over several parts is analyzed only if every part was
+        if (existing) {
+          existing.analyzed = existing.analyzed && section.analyzed !== false;
+        } else {
+          sections.push({ label, analyzed: section.analyzed !== false });
+        }
+      });
+
+    const numChunks = Number(results.coverage.chunks);
+
+    return {
+      chunks: isNaN(numChunks) ? 1 : Math.max(1, numChunks),
+      complete: sections.every(section => section.analyzed),
+      sections
+    };
+  }, [results]);
+
+  // Job description match (only present when a job description was provided)
+  const jobMatch = useMemo(() => {
+    if (!results || !results.jobMatch || typeof results.jobMatch !== 'object') return null;
+
+    const validKeywords = (list) => (Array.isArray(list) ? list : [])
+      .filter(item => item && typeof item.keyword === 'string' && item.keyword.trim().length > 0)
+      .map(item => ({ keyword: item.keyword.substring(0, 60), present: Boolean(item.present) }))
+      .slice(0, 20);
+
+    const numScore = Number(results.jobMatch.matchScore);
+
+    return {
+      matchScore: isNaN(numScore) ? 0 : Math.max(0, Math.min(100, Math.round(numScore))),
+      requiredKeywords: validKeywords(results.jobMatch.requiredKeywords),
+      preferredKeywords: validKeywords(results.jobMatch.preferredKeywords),
+      tailoringSuggestions: (Array.isArray(results.jobMatch.tailoringSuggestions) ? results.jobMatch.tailoringSuggestions : [])
+        .filter(item => typeof item === 'string' && item.trim().length > 0)
+        .map(item => item.substring(0, 300))
+        .slice(0, 8)
+    };
+  }, [results]);
+
   // Simple score utilities
   const getScoreColor = useCallback((score) => {
     const validScore = Number(score) || 0;
@@ -93,12 +255,126 @@ const ResultsDisplay = ({ results, onReset }) => {
 
   // Simple tab change
   const handleTabChange = useCallback((tabName) => {
-    const validTabs = ['roast', 'improvements', 'analysis'];
+    const validTabs = ['roast', 'improvements', 'analysis', 'ats', 'match', 'rewrite'];
     if (validTabs.includes(tabName)) {
       setActiveTab(tabName);
     }
   }, []);
 
+  // Bullet rewrites: pasted bullets win, otherwise the stored resume is
+  // used, which like every stored-data request needs the deletion token
+  const resumeId = privacyState.status === 'deleted' ? null : (results?.metadata?.resumeId || null);
+  const deletionToken = typeof results?.metadata?.deletionToken === 'string' ? results.metadata.deletionToken : '';
+  const storedResumeId = deletionToken ? resumeId : null;
+
+  const handleRewrite = useCallback(async () => {
+    const bullets = pastedBullets
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .slice(0, 20);
+
+    if (bullets.length === 0 && !storedResumeId) return;
+
+    setRewriteState({ status: 'loading', rewrites: [], reviewed: 0, error: '' });
+
+    try {
+      const response = await fetch(`${apiBaseURL}/api/resume/rewrite`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(bullets.length > 0 ? {} : { 'X-Deletion-Token': deletionToken })
+        },
+        body: JSON.stringify({
+          ...(bullets.length > 0 ? { bullets } : { resumeId: storedResumeId }),
+          roastLevel: results?.preferences?.roastLevel,
+          language: results?.preferences?.language
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Error ${response.status}: Please try again`);
+      }
+
+      setRewriteState({
+        status: 'done',
+        rewrites: (Array.isArray(data.data.rewrites) ? data.data.rewrites : [])
+          .filter(item => item && typeof item.original === 'string' && typeof item.rewritten === 'string')
+          .map(item => ({
+            original: item.original.substring(0, 500),
+            rewritten: item.rewritten.substring(0, 300),
+            reason: typeof item.reason === 'string' ? item.reason.substring(0, 300) : '',
+            issues: Array.isArray(item.issues) ? item.issues.filter(issue => typeof issue === 'string') : []
+          })),
+        reviewed: Number(data.data.reviewedBullets) || 0,
+        error: ''
+      });
+    } catch (error) {
+      setRewriteState({ status: 'error', rewrites: [], reviewed: 0, error: error.message || 'Rewrite failed' });
+    }
+  }, [apiBaseURL, pastedBullets, storedResumeId, deletionToken, results]);
+
+  // Data-subject requests for the stored record, authorized by the deletion token
+  const downloadStoredFile = useCallback(async (path, fileName) => {
+    setPrivacyState({ status: 'loading', message: '' });
+
+    try {
+      const response = await fetch(`${apiBaseURL}${path}`, {
+        headers: { 'X-Deletion-Token': deletionToken }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Error ${response.status}: Please try again`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setPrivacyState({ status: 'idle', message: '' });
+    } catch (error) {
+      setPrivacyState({ status: 'error', message: error.message || 'Export failed' });
+    }
+  }, [apiBaseURL, deletionToken]);
+
+  const handleExportData = useCallback(() => (
+    downloadStoredFile(`/api/resume/${resumeId}/export`, `${resumeId}-data.json`)
+  ), [downloadStoredFile, resumeId]);
+
+  const handleExportJsonResume = useCallback(() => (
+    downloadStoredFile(`/api/resume/resumes/${resumeId}/json-resume`, `${resumeId}.json`)
+  ), [downloadStoredFile, resumeId]);
+
+  const handleDeleteData = useCallback(async () => {
+    if (!window.confirm('Permanently delete your resume text, extracted details and analysis from our servers?')) return;
+
+    setPrivacyState({ status: 'loading', message: '' });
+
+    try {
+      const response = await fetch(`${apiBaseURL}/api/resume/${resumeId}`, {
+        method: 'DELETE',
+        headers: { 'X-Deletion-Token': deletionToken }
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Error ${response.status}: Please try again`);
+      }
+
+      setPrivacyState({ status: 'deleted', message: 'Your stored data has been deleted.' });
+    } catch (error) {
+      setPrivacyState({ status: 'error', message: error.message || 'Deletion failed' });
+    }
+  }, [apiBaseURL, resumeId, deletionToken]);
+
   // Simple print
   const handlePrint = useCallback(() => {
     window.print();
@@ -226,8 +502,21 @@ const ResultsDisplay = ({ results, onReset }) => {
         <div className="header-info">
           <h1 className="results-title">Resume Analysis Complete</h1>
           <p className="file-name">Analysis for: <strong>{sanitizedFileName}</strong></p>
+          {results?.metadata?.cached === true && (
+            <p className="cached-note">⚡ Same file and settings as a recent analysis, so the saved result was reused</p>
+          )}
         </div>
         <div className="header-actions">
+          {storedResumeId && (
+            <button
+              className="action-button secondary small"
+              onClick={handleExportJsonResume}
+              disabled={privacyState.status === 'loading'}
+            >
+              <span className="button-icon">⬇️</span>
+              JSON Resume
+            </button>
+          )}
           <button 
             className="action-button secondary small" 
             onClick={handleResetRequest}
@@ -238,6 +527,27 @@ const ResultsDisplay = ({ results, onReset }) => {
         </div>
       </div>
 
+      {ocr && (
+        <div className="ocr-warning" role="alert">
+          <span className="ocr-warning-icon">📷</span>
+          <div className="ocr-warning-body">
+            <h4>Scanned resume detected</h4>
+            <p>{ocr.warning}</p>
+            <div className="ocr-pages">
+              {ocr.pages.map(page => (
+                <span
+                  key={page.pageNumber}
+                  className="ocr-page"
+                  style={{ color: getScoreColor(page.confidence) }}
+                >
+                  Page {page.pageNumber}: {page.confidence}% OCR confidence
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Score Section */}
       <div className="score-section">
         <div className="score-container">
@@ -259,20 +569,55 @@ const ResultsDisplay = ({ results, onReset }) => {
             </h2>
             <p className="score-description">{getScoreDescription(sanitizedScore)}</p>
             <div className="score-breakdown">
-              <div className="score-bar">
-                <div 
-                  className="score-fill" 
-                  style={{ 
-                    width: `${sanitizedScore}%`,
-                    backgroundColor: getScoreColor(sanitizedScore)
-                  }}
-                />
-              </div>
-              <div className="score-labels">
-                <span className="label-start">0</span>
-                <span className="label-middle">50</span>
-                <span className="label-end">100</span>
-              </div>
+              {sectionScores.length > 0 ? (
+                <ul className="section-scores">
+                  {sectionScores.map(section => (
+                    <li key={section.key} className="section-score">
+                      <div className="section-score-header">
+                        <span className="section-score-label">
+                          {section.label}
+                          <span className="section-score-weight">{section.weight}%</span>
+                        </span>
+                        <span 
+                          className="section-score-value"
+                          style={{ color: getScoreColor(section.score) }}
+                        >
+                          {section.score}
+                        </span>
+                      </div>
+                      <div className="score-bar">
+                        <div 
+                          className="score-fill" 
+                          style={{ 
+                            width: `${section.score}%`,
+                            backgroundColor: getScoreColor(section.score)
+                          }}
+                        />
+                      </div>
+                      {section.rationale && (
+                        <p className="section-score-rationale">{decodeHtmlEntities(section.rationale)}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <>
+                  <div className="score-bar">
+                    <div 
+                      className="score-fill" 
+                      style={{ 
+                        width: `${sanitizedScore}%`,
+                        backgroundColor: getScoreColor(sanitizedScore)
+                      }}
+                    />
+                  </div>
+                  <div className="score-labels">
+                    <span className="label-start">0</span>
+                    <span className="label-middle">50</span>
+                    <span className="label-end">100</span>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -302,6 +647,33 @@ const ResultsDisplay = ({ results, onReset }) => {
           <span className="tab-icon">📊</span>
           <span className="tab-text">Analysis</span>
         </button>
+        {atsReport && (
+          <button 
+            className={`tab-button ${activeTab === 'ats' ? 'active' : ''}`}
+            onClick={() => handleTabChange('ats')}
+          >
+            <span className="tab-icon">🤖</span>
+            <span className="tab-text">ATS Check</span>
+            <span className="tab-count">({atsReport.score}%)</span>
+          </button>
+        )}
+        <button 
+          className={`tab-button ${activeTab === 'rewrite' ? 'active' : ''}`}
+          onClick={() => handleTabChange('rewrite')}
+        >
+          <span className="tab-icon">✍️</span>
+          <span className="tab-text">Rewrites</span>
+        </button>
+        {jobMatch && (
+          <button 
+            className={`tab-button ${activeTab === 'match' ? 'active' : ''}`}
+            onClick={() => handleTabChange('match')}
+          >
+            <span className="tab-icon">🎯</span>
+            <span className="tab-text">Job Match</span>
+            <span className="tab-count">({jobMatch.matchScore}%)</span>
+          </button>
+        )}
       </div>
 
       {/* Tab Content */}
@@ -450,11 +822,314 @@ const ResultsDisplay = ({ results, onReset }) => {
                   )}
                 </div>
               </div>
+
+              {coverage && coverage.sections.length > 0 && (
+                <div className="coverage-section">
+                  <div className="subsection-header">
+                    <h4>
+                      <span className="subsection-icon">🧩</span>
+                      Sections Analyzed
+                      {coverage.chunks > 1 && (
+                        <span className="item-count">(in {coverage.chunks} parts)</span>
+                      )}
+                    </h4>
+                  </div>
+                  <div className="keyword-chips">
+                    {coverage.sections.map(section => (
+                      <span
+                        key={section.label}
+                        className={`keyword-chip ${section.analyzed ? 'present' : 'missing'}`}
+                      >
+                        {section.analyzed ? '✓' : '✗'} {section.label}
+                      </span>
+                    ))}
+                  </div>
+                  {!coverage.complete && (
+                    <p className="coverage-note">
+                      Some sections could not be analyzed. Try again later for a complete review.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'ats' && atsReport && (
+          <div className="ats-content">
+            <div className="content-section">
+              <div className="section-header">
+                <h3>
+                  <span className="section-icon">🤖</span>
+                  ATS Compatibility
+                </h3>
+                <p>Rule-based checks of how applicant tracking systems will read your file</p>
+              </div>
+
+              <div className="ats-summary">
+                <span className="ats-score" style={{ color: getScoreColor(atsReport.score) }}>
+                  {atsReport.score}%
+                </span>
+                <span className="ats-count pass">✅ {atsReport.counts.pass} passed</span>
+                <span className="ats-count warn">⚠️ {atsReport.counts.warn} warnings</span>
+                <span className="ats-count fail">❌ {atsReport.counts.fail} failed</span>
+              </div>
+
+              <ul className="ats-checks">
+                {atsReport.checks.map((check, index) => (
+                  <li key={check.id || index} className={`ats-check status-${check.status}`}>
+                    <span className="ats-check-icon">
+                      {check.status === 'pass' && '✅'}
+                      {check.status === 'warn' && '⚠️'}
+                      {check.status === 'fail' && '❌'}
+                    </span>
+                    <div className="ats-check-body">
+                      <h4 className="ats-check-label">{check.label}</h4>
+                      <p className="ats-check-message">{check.message}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'rewrite' && (
+          <div className="rewrite-content">
+            <div className="content-section">
+              <div className="section-header">
+                <h3>
+                  <span className="section-icon">✍️</span>
+                  Bullet Rewrites
+                </h3>
+                <p>Stronger versions of your weakest bullet points: action verb, measurable impact, one line</p>
+              </div>
+
+              <div className="rewrite-form">
+                <label htmlFor="rewriteBullets" className="rewrite-label">
+                  {storedResumeId
+                    ? 'Rewrite the weak bullets from your resume, or paste specific ones (one per line)'
+                    : 'Paste the bullet points you want rewritten (one per line)'}
+                </label>
+                <textarea
+                  id="rewriteBullets"
+                  rows={4}
+                  maxLength={10000}
+                  placeholder="Responsible for managing the release process..."
+                  value={pastedBullets}
+                  onChange={(e) => setPastedBullets(e.target.value)}
+                  disabled={rewriteState.status === 'loading'}
+                />
+                <button
+                  className="action-button primary"
+                  onClick={handleRewrite}
+                  disabled={rewriteState.status === 'loading' || (!storedResumeId && pastedBullets.trim().length === 0)}
+                >
+                  <span className="button-icon">✍️</span>
+                  {rewriteState.status === 'loading'
+                    ? 'Rewriting...'
+                    : pastedBullets.trim().length > 0 ? 'Rewrite Pasted Bullets' : 'Rewrite My Weak Bullets'}
+                </button>
+              </div>
+
+              {rewriteState.status === 'error' && (
+                <div className="rewrite-error">⚠️ {rewriteState.error}</div>
+              )}
+
+              {rewriteState.status === 'done' && rewriteState.rewrites.length === 0 && (
+                <div className="no-content">
+                  <span className="no-content-icon">💪</span>
+                  <p>
+                    {rewriteState.reviewed > 0
+                      ? `All ${rewriteState.reviewed} bullets already look strong.`
+                      : 'No bullet points were found to rewrite.'}
+                  </p>
+                </div>
+              )}
+
+              {rewriteState.rewrites.length > 0 && (
+                <div className="rewrite-list">
+                  {rewriteState.rewrites.map((rewrite, index) => {
+                    const diff = diffWords(rewrite.original, rewrite.rewritten);
+                    return (
+                      <div key={index} className="rewrite-item">
+                        <div className="rewrite-diff">
+                          <div className="rewrite-side before">
+                            <span className="rewrite-side-label">Before</span>
+                            <p>
+                              {diff.before.map((word, i) => (
+                                <span key={i} className={word.changed ? 'diff-removed' : ''}>{word.text} </span>
+                              ))}
+                            </p>
+                          </div>
+                          <div className="rewrite-side after">
+                            <span className="rewrite-side-label">After</span>
+                            <p>
+                              {diff.after.map((word, i) => (
+                                <span key={i} className={word.changed ? 'diff-added' : ''}>{word.text} </span>
+                              ))}
+                            </p>
+                          </div>
+                        </div>
+                        <div className="rewrite-footer">
+                          <div className="rewrite-reason">
+                            {rewrite.issues.map(issue => (
+                              <span key={issue} className="rewrite-issue">{issue}</span>
+                            ))}
+                            {rewrite.reason && <p>{decodeHtmlEntities(rewrite.reason)}</p>}
+                          </div>
+                          <button
+                            className="action-button secondary"
+                            onClick={() => copyToClipboard(rewrite.rewritten)}
+                          >
+                            <span className="button-icon">📋</span>
+                            Copy
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'match' && jobMatch && (
+          <div className="match-content">
+            <div className="content-section">
+              <div className="section-header">
+                <h3>
+                  <span className="section-icon">🎯</span>
+                  Job Description Match
+                </h3>
+                <p>How well your resume covers the keywords in the job posting</p>
+              </div>
+
+              <div className="match-score">
+                <span className="match-score-value" style={{ color: getScoreColor(jobMatch.matchScore) }}>
+                  {jobMatch.matchScore}%
+                </span>
+                <span className="match-score-label">keyword match</span>
+              </div>
+
+              <div className="analysis-grid">
+                {[
+                  { title: 'Required Keywords', icon: '📌', keywords: jobMatch.requiredKeywords },
+                  { title: 'Preferred Keywords', icon: '⭐', keywords: jobMatch.preferredKeywords }
+                ].map(group => (
+                  <div key={group.title} className="keyword-group">
+                    <div className="subsection-header">
+                      <h4>
+                        <span className="subsection-icon">{group.icon}</span>
+                        {group.title}
+                        <span className="item-count">
+                          ({group.keywords.filter(k => k.present).length}/{group.keywords.length})
+                        </span>
+                      </h4>
+                    </div>
+                    {group.keywords.length > 0 ? (
+                      <div className="keyword-chips">
+                        {group.keywords.map((item, index) => (
+                          <span
+                            key={index}
+                            className={`keyword-chip ${item.present ? 'present' : 'missing'}`}
+                            title={item.present ? 'Found in your resume' : 'Missing from your resume'}
+                          >
+                            {item.present ? '✓' : '✗'} {decodeHtmlEntities(item.keyword)}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="no-content small">
+                        <p>No keywords identified.</p>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="tailoring-section">
+                <div className="subsection-header">
+                  <h4>
+                    <span className="subsection-icon">✂️</span>
+                    Tailoring Suggestions
+                  </h4>
+                </div>
+                {jobMatch.tailoringSuggestions.length > 0 ? (
+                  <ul className="analysis-list">
+                    {jobMatch.tailoringSuggestions.map((suggestion, index) => (
+                      <li key={index} className="analysis-item">
+                        <span className="item-bullet">•</span>
+                        <span className="item-text">{decodeHtmlEntities(suggestion)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="no-content small">
+                    <p>No tailoring suggestions for this job.</p>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         )}
       </div>
 
+      {/* Stored data: export or delete with the deletion key */}
+      {deletionToken && (
+        <div className="privacy-panel">
+          <h4>🔐 Your Data</h4>
+          {privacyState.status === 'deleted' ? (
+            <p>{privacyState.message}</p>
+          ) : (
+            <>
+              <p>
+                Your resume text and analysis are stored. Keep this deletion key to download or
+                delete them later. It is shown only once.
+              </p>
+              <div className="privacy-key">
+                <code>{deletionToken}</code>
+                <button
+                  className="action-button secondary small"
+                  onClick={() => copyToClipboard(`Resume ID: ${resumeId}\nDeletion key: ${deletionToken}`)}
+                >
+                  Copy
+                </button>
+              </div>
+              <div className="privacy-actions">
+                <button
+                  className="action-button secondary small"
+                  onClick={handleExportData}
+                  disabled={privacyState.status === 'loading'}
+                >
+                  <span className="button-icon">⬇️</span>
+                  Download My Data
+                </button>
+                <button
+                  className="action-button secondary small"
+                  onClick={handleDeleteData}
+                  disabled={privacyState.status === 'loading'}
+                >
+                  <span className="button-icon">🗑️</span>
+                  Delete My Data
+                </button>
+              </div>
+              {privacyState.status === 'error' && (
+                <p className="privacy-error" role="alert">{privacyState.message}</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {results?.metadata?.storageOptIn === false && (
+        <div className="privacy-panel">
+          <h4>🔐 Your Data</h4>
+          <p>You did not opt in to storage, so nothing from this resume or its analysis was kept.</p>
+        </div>
+      )}
+
       {/* Action Buttons */}
       <div className="results-actions">
         <button 